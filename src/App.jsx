@@ -1,46 +1,1137 @@
 // App.jsx
-import React, { useState, useRef, forwardRef, useEffect } from 'react';
-import { Canvas } from '@react-three/fiber';
-import { OrbitControls, Edges, Wireframe, Text } from '@react-three/drei';
+import React, { useState, useRef, forwardRef, useEffect, useMemo, useContext } from 'react';
+import { Vector3, DoubleSide } from 'three';
+import { Canvas, useThree } from '@react-three/fiber';
+import { OrbitControls, TransformControls, Edges, Wireframe, Text, Line } from '@react-three/drei';
+import { transformBodyParams, add } from './geometry';
+import { detectCollisions, getPenetrations, hasPair } from './collision';
+import {
+  BODY_TYPES,
+  SHAPE_TYPES,
+  DEFAULT_SHAPE_PARAMS,
+  createBodyGeometry,
+  checkArb,
+} from './bodies';
+import {
+  SCENE_KEYS_BY_TYPE,
+  scaleObjectParams,
+  createObjectId,
+  duplicateParams,
+  removeObject,
+} from './objects';
+import useHistory, { useUndoShortcuts } from './useHistory';
+import {
+  getBodyOrder,
+  nextZoneId,
+  formatZoneTerms,
+  parseZoneTerms,
+  getExportZones,
+  areBodiesCombined,
+  buildZoneGeometries,
+} from './zones';
+import {
+  DEFAULT_MATERIALS,
+  VOID_MATERIAL,
+  MaterialsContext,
+  findMaterial,
+  createMaterial,
+  serializeMaterials,
+  parseMaterials,
+} from './materials';
+import { parseQads } from './qadsParser';
+import { importQads, getImportCollisions } from './qadsImport';
+import {
+  toggleSelection,
+  getSelectedItems,
+  updateObjects,
+  moveParamsBy,
+  rotateParamsBy,
+  setPositionAxis,
+  commonValue,
+} from './selection';
+import { flattenBodies, getWorldParams, reparentParams, isInGroup } from './groups';
+import {
+  DEFAULT_GRID,
+  PLACE_DIRECTIONS,
+  placeAgainst,
+  alignTo,
+  centerOnAxis,
+  snapToGrid,
+} from './placement';
+import {
+  loadAutosave,
+  saveAutosave,
+  listProjects,
+  saveProject,
+  loadProject,
+  renameProject,
+  deleteProject,
+} from './projectStorage';
+import { serializeProject, parseProject } from './projectFile';
+import {
+  MESH_FORMATS,
+  DEFAULT_MESH_EXPORT,
+  MIN_SEGMENTS,
+  MAX_SEGMENTS,
+  buildExportScene,
+  exportMeshes,
+} from './meshExport';
+import { DECK_FORMATS, buildDeck } from './deckExport';
+import { DEFAULT_WORLD, WORLD_SHAPES, getWorldBody, getWorldZones } from './world';
+import { traceRay, rayReportToCsv } from './rayTrace';
+import {
+  DEFAULT_SAMPLES,
+  MAX_SAMPLES,
+  SAMPLES_PER_CHUNK,
+  analyzeBodies,
+  createOverlapEstimator,
+  analysisToCsv,
+} from './analysis';
+import {
+  LENGTH_UNITS,
+  DEFAULT_UNITS,
+  MAX_PRECISION,
+  UnitsContext,
+  convertLength,
+  lengthFactor,
+  useLengthUnit,
+} from './units';
+import { PATTERN_TYPES, DEFAULT_PATTERN, MAX_PATTERN_COPIES, getPatternTransforms } from './patterns';
 import './App.css';
 
 // Reusable control: shows a label, a number input, and a slider.
-function LabeledControl({ label, value, onChange, sliderMin, sliderMax, step, extraLabel }) {
+// A length control shows and takes its value in the project's display unit; value, slider range
+// and step are given in centimeters like the stored params.
+function LabeledControl({ label, value, onChange, sliderMin, sliderMax, step, extraLabel, length = false }) {
+  const { unit, toDisplay, fromDisplay } = useLengthUnit();
+  const show = length ? toDisplay : (v) => v;
+  // A cleared field (or one holding just "-") has no number yet, and leaves the value as it is
+  const handleChange = (e) => {
+    const entered = parseFloat(e.target.value);
+    if (!Number.isFinite(entered)) return;
+    onChange(length ? fromDisplay(entered) : entered);
+  };
   return (
     <div className="control-group">
       <label>{label}</label>
       <input
         type="number"
-        value={value}
-        onChange={(e) => onChange(parseFloat(e.target.value))}
-        step={step}
+        value={show(value)}
+        onChange={handleChange}
+        step={show(step)}
       />
       <input
         type="range"
-        min={sliderMin}
-        max={sliderMax}
-        value={value}
-        onChange={(e) => onChange(parseFloat(e.target.value))}
-        step={step}
+        min={show(sliderMin)}
+        max={show(sliderMax)}
+        value={show(value)}
+        onChange={handleChange}
+        step={show(step)}
+      />
+      {(extraLabel || length) && <span className="extra-label">{length ? unit : extraLabel}</span>}
+    </div>
+  );
+}
+
+// Shared material function for all 3D shapes, from an entry of the material library.
+// Switching between opaque and transparent needs a new three.js material, hence the key.
+const getMaterial = (material) => (
+  <meshStandardMaterial
+    key={material.opacity < 1 ? 'transparent' : 'opaque'}
+    color={material.color}
+    transparent={material.opacity < 1}
+    opacity={material.opacity}
+  />
+);
+
+// Options for the material dropdowns, from the material library
+function MaterialOptions() {
+  const materials = useContext(MaterialsContext);
+  return materials.map((material) => (
+    <option key={material.id} value={material.id}>
+      {material.name} ({material.index})
+    </option>
+  ));
+}
+
+// Material library editor: name, export index, display color and opacity, and optional density of one material
+function MaterialEditor({ material, onChange, onDelete, canDelete }) {
+  return (
+    <div className="material-editor">
+      <div className="control-group">
+        <label>Name:</label>
+        <input
+          type="text"
+          value={material.name}
+          onChange={(e) => onChange({ ...material, name: e.target.value })}
+        />
+      </div>
+      <div className="control-group">
+        <label>Export Index:</label>
+        <input
+          type="number"
+          min={0}
+          step={1}
+          value={material.index}
+          onChange={(e) => onChange({ ...material, index: parseInt(e.target.value, 10) || 0 })}
+        />
+        <input
+          type="color"
+          value={material.color}
+          title="Display color"
+          onChange={(e) => onChange({ ...material, color: e.target.value })}
+        />
+      </div>
+      <LabeledControl
+        label="Opacity:"
+        value={material.opacity}
+        onChange={(v) => onChange({ ...material, opacity: Math.max(0, Math.min(1, v || 0)) })}
+        sliderMin={0}
+        sliderMax={1}
+        step={0.05}
       />
-      {extraLabel && <span className="extra-label">{extraLabel}</span>}
+      <div className="control-group">
+        <label>Density:</label>
+        <input
+          type="number"
+          min={0}
+          step={0.01}
+          value={material.density ?? ''}
+          placeholder="–"
+          onChange={(e) =>
+            onChange({ ...material, density: e.target.value === '' ? null : parseFloat(e.target.value) })
+          }
+        />
+        <span className="extra-label">g/cm³</span>
+      </div>
+      <div className="zone-buttons">
+        <button
+          onClick={onDelete}
+          className="cancel-btn"
+          disabled={!canDelete}
+          title={canDelete ? undefined : 'Used by an object or zone'}
+        >
+          Delete
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// Zone editor: name, region and material of one zone.
+// The region is typed as bodies with +/- signs, e.g. "+box1 -cylinder1 or +sphere1".
+function ZoneEditor({ zone, bodyExists, onChange, onDelete, isPreviewed, onTogglePreview }) {
+  const [text, setText] = useState(formatZoneTerms(zone.terms));
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setText(formatZoneTerms(zone.terms));
+  }, [zone.terms]);
+
+  const commitTerms = () => {
+    const result = parseZoneTerms(text, bodyExists);
+    if (result.error) {
+      setError(result.error);
+    } else {
+      setError(null);
+      onChange({ ...zone, terms: result.terms });
+    }
+  };
+
+  return (
+    <div className={`zone-editor ${isPreviewed ? 'previewed' : ''}`}>
+      <div className="control-group">
+        <label>Name:</label>
+        <input
+          type="text"
+          value={zone.name}
+          onChange={(e) => onChange({ ...zone, name: e.target.value.replace(/\s/g, '') })}
+        />
+      </div>
+      <div className="control-group">
+        <label>Region:</label>
+        <input
+          type="text"
+          value={text}
+          placeholder="+box1 -cylinder1 or +sphere1"
+          onChange={(e) => setText(e.target.value)}
+          onBlur={commitTerms}
+          onKeyDown={(e) => e.key === 'Enter' && commitTerms()}
+        />
+      </div>
+      {error && <div className="zone-error">{error}</div>}
+      <div className="control-group">
+        <label>Material:</label>
+        <select
+          value={zone.materialType}
+          onChange={(e) => onChange({ ...zone, materialType: e.target.value })}
+        >
+          <MaterialOptions />
+        </select>
+      </div>
+      <div className="zone-buttons">
+        <button onClick={onTogglePreview} disabled={zone.terms.length === 0}>
+          {isPreviewed ? 'Hide Preview' : 'Preview'}
+        </button>
+        <button onClick={onDelete} className="cancel-btn">Delete</button>
+      </div>
     </div>
   );
 }
 
-// Shared material function for all 3D shapes
-const getMaterial = (type) => {
-  switch (type) {
-    case 'concrete':
-      return <meshBasicMaterial color="#8B8B8B" />; // Concrete Gray
-    case 'steel':
-      return <meshPhongMaterial color="#708090" />; // Steel Blue-Gray
-    case 'wood':
-      return <meshLambertMaterial color="#8B4513" />; // Wood Brown
-    default:
-      return <meshStandardMaterial color="#696969" />; // Default Metal Gray
+// Import report: contents of a parsed QADS file and the problems found in it, shown before the scene changes.
+// The file either replaces the scene or is added to it, optionally rotated about the origin and then moved.
+function ImportReport({ fileName, result, onConfirm, onCancel }) {
+  const { bodies, zones, errors, warnings } = result;
+  const displayUnit = useLengthUnit();
+  const [mode, setMode] = useState('replace');
+  // Unit of the file's lengths: the one it names, or centimeters like the decks
+  const [fileUnit, setFileUnit] = useState(
+    LENGTH_UNITS.some(({ unit }) => unit === result.units) ? result.units : 'cm'
+  );
+  // The offset is typed in the display unit
+  const [translation, setTranslation] = useState([0, 0, 0]);
+  const [rotation, setRotation] = useState([0, 0, 0]);
+  const setAxis = (setter, axisIndex, value) =>
+    setter((prev) => prev.map((v, i) => (i === axisIndex ? value || 0 : v)));
+  const issues = [
+    ...errors.map((issue) => ({ ...issue, kind: 'error' })),
+    ...warnings.map((issue) => ({ ...issue, kind: 'warning' })),
+  ].sort((a, b) => (a.line ?? Infinity) - (b.line ?? Infinity));
+
+  return (
+    <>
+      <div className="modal-backdrop" onClick={onCancel}></div>
+      <div className="add-object-dropdown import-report">
+        <h3>Import {fileName}</h3>
+        <p>
+          {bodies.length} bodies and {zones.length} zones found, with {errors.length} errors and {warnings.length} warnings.
+        </p>
+        {issues.length > 0 && (
+          <ul className="import-issues">
+            {issues.map((issue, i) => (
+              <li key={i} className={issue.kind}>
+                {issue.line !== null && <strong>Line {issue.line}: </strong>}
+                {issue.message}
+              </li>
+            ))}
+          </ul>
+        )}
+        {errors.length > 0 && bodies.length > 0 && <p className="sidebar-hint">Lines with errors are skipped.</p>}
+        <div className="import-mode">
+          <label>
+            <input type="radio" checked={mode === 'replace'} onChange={() => setMode('replace')} />
+            Replace current scene
+          </label>
+          <label>
+            <input type="radio" checked={mode === 'merge'} onChange={() => setMode('merge')} />
+            Import into current scene
+          </label>
+        </div>
+        <div className="control-group">
+          <label>File units:</label>
+          <select value={fileUnit} onChange={(e) => setFileUnit(e.target.value)}>
+            {LENGTH_UNITS.map(({ unit, label }) => (
+              <option key={unit} value={unit}>{label}</option>
+            ))}
+          </select>
+        </div>
+        {mode === 'merge' &&
+          ['X', 'Y', 'Z'].map((axis, i) => (
+            <div key={axis} className="control-group">
+              <label>Offset {axis}:</label>
+              <input
+                type="number"
+                step={0.1}
+                value={translation[i]}
+                onChange={(e) => setAxis(setTranslation, i, parseFloat(e.target.value))}
+              />
+              <span className="extra-label">{displayUnit.unit}</span>
+              <label>Rotation {axis}:</label>
+              <input
+                type="number"
+                step={0.01}
+                value={rotation[i]}
+                onChange={(e) => setAxis(setRotation, i, parseFloat(e.target.value))}
+              />
+              <span className="extra-label">× π</span>
+            </div>
+          ))}
+        <div className="dropdown-buttons">
+          <button
+            onClick={() => onConfirm({ mode, unit: fileUnit, translation: translation.map(displayUnit.fromDisplay), rotation })}
+            disabled={bodies.length === 0}
+          >
+            {errors.length > 0 ? 'Import Anyway' : 'Import'}
+          </button>
+          <button onClick={onCancel} className="cancel-btn">Cancel</button>
+        </div>
+      </div>
+    </>
+  );
+}
+
+// Sidebar controls for several selected objects: relative moves and rotations, and the position and
+// material they share. Fields whose values differ between the objects are shown as "mixed".
+// items is a list of { type, id, params }.
+function BulkEditor({ items, onMoveBy, onRotateBy, onSetPosition, onSetMaterial }) {
+  const { unit, toDisplay, fromDisplay } = useLengthUnit();
+  // Typed in the display unit
+  const [offset, setOffset] = useState([0, 0, 0]);
+  const [rotation, setRotation] = useState([0, 0, 0]);
+  const bodies = items.filter(({ type }) => type !== 'group');
+  const materialType = commonValue(bodies.map(({ params }) => params.materialType));
+  const setAxis = (setter, axisIndex, value) =>
+    setter((prev) => prev.map((v, i) => (i === axisIndex ? value || 0 : v)));
+
+  return (
+    <>
+      <p className="sidebar-hint">{items.length} objects selected. Shift-click an object to add or remove it.</p>
+
+      <div className="control-section">
+        <h3>Position ({unit})</h3>
+        {['X', 'Y', 'Z'].map((axis, i) => {
+          const value = commonValue(items.map(({ params }) => params.position[i]));
+          return (
+            <div key={axis} className="control-group">
+              <label>Offset {axis}:</label>
+              <input
+                type="number"
+                step={0.1}
+                value={toDisplay(value) ?? ''}
+                placeholder="mixed"
+                onChange={(e) => e.target.value !== '' && onSetPosition(i, fromDisplay(parseFloat(e.target.value)))}
+              />
+            </div>
+          );
+        })}
+        <div className="control-group">
+          <label>Move by:</label>
+          {offset.map((v, i) => (
+            <input
+              key={i}
+              type="number"
+              step={0.1}
+              value={v}
+              onChange={(e) => setAxis(setOffset, i, parseFloat(e.target.value))}
+            />
+          ))}
+        </div>
+        <div className="zone-buttons">
+          <button onClick={() => onMoveBy(offset.map(fromDisplay))}>Move</button>
+        </div>
+      </div>
+
+      <div className="control-section">
+        <h3>Rotation</h3>
+        <div className="control-group">
+          <label>Rotate by:</label>
+          {rotation.map((v, i) => (
+            <input
+              key={i}
+              type="number"
+              step={0.01}
+              value={v}
+              onChange={(e) => setAxis(setRotation, i, parseFloat(e.target.value))}
+            />
+          ))}
+          <span className="extra-label">× π</span>
+        </div>
+        <p className="sidebar-hint">Each object turns about its own center.</p>
+        <div className="zone-buttons">
+          <button onClick={() => onRotateBy(rotation)}>Rotate</button>
+        </div>
+      </div>
+
+      {bodies.length > 0 && (
+        <div className="control-section">
+          <h3>Material</h3>
+          <div className="control-group">
+            <label>Material:</label>
+            <select value={materialType ?? ''} onChange={(e) => onSetMaterial(e.target.value)}>
+              {materialType === undefined && (
+                <option value="" disabled>
+                  mixed
+                </option>
+              )}
+              <MaterialOptions />
+            </select>
+          </div>
+        </div>
+      )}
+    </>
+  );
+}
+
+// Geometry controls of the body types listed in SHAPE_TYPES. onChange(key, value) sets one param.
+function ShapeGeometryControls({ type, params, onChange }) {
+  const length = (label, key, sliderMax = 20) => (
+    <LabeledControl
+      key={key}
+      label={label}
+      length
+      value={params[key]}
+      onChange={(v) => onChange(key, v)}
+      sliderMin={0}
+      sliderMax={sliderMax}
+      step={0.1}
+    />
+  );
+  if (type === 'ellipsoid') {
+    // Kept prolate, so that the foci of the ell card lie on the major axis
+    return (
+      <>
+        <LabeledControl
+          label="Major Radius (Y):"
+          length
+          value={params.majorRadius}
+          onChange={(v) => onChange('majorRadius', Math.max(v, params.minorRadius))}
+          sliderMin={0}
+          sliderMax={10}
+          step={0.1}
+        />
+        <LabeledControl
+          label="Minor Radius:"
+          length
+          value={params.minorRadius}
+          onChange={(v) => onChange('minorRadius', Math.min(v, params.majorRadius))}
+          sliderMin={0}
+          sliderMax={10}
+          step={0.1}
+        />
+      </>
+    );
   }
-};
+  if (type === 'wedge') {
+    return [length('Leg X:', 'width'), length('Leg Y:', 'height'), length('Depth (Z):', 'depth')];
+  }
+  if (type === 'hexPrism') {
+    return [length('Apothem:', 'apothem', 10), length('Height:', 'height')];
+  }
+  if (type === 'ellipticCylinder') {
+    return [length('Radius X:', 'radiusX', 10), length('Radius Z:', 'radiusZ', 10), length('Height:', 'height')];
+  }
+  return <ArbControls params={params} onChange={onChange} />;
+}
+
+// Vertices and faces of an arb. Vertices are relative to the position; faces are typed as vertex numbers
+// ("1234", or "123" for a triangle) and only applied while the body stays closed and convex.
+function ArbControls({ params, onChange }) {
+  const { unit, toDisplay, fromDisplay } = useLengthUnit();
+  const formatFaces = (faces) => faces.filter((face) => face > 0).join(' ');
+  const [facesText, setFacesText] = useState(formatFaces(params.faces));
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setFacesText(formatFaces(params.faces));
+  }, [params.faces]);
+
+  const commitFaces = () => {
+    const entered = facesText.split(/[\s,]+/).filter(Boolean);
+    if (entered.length > 6 || entered.some((face) => !/^[1-8]{3,4}$/.test(face))) {
+      setError('Up to six faces of three or four vertex numbers from 1 to 8');
+      return;
+    }
+    const faces = [...entered.map((face) => Number(face.padEnd(4, '0'))), 0, 0, 0, 0, 0, 0].slice(0, 6);
+    const problem = checkArb(params.vertices, faces);
+    setError(problem && `The faces are not applied: ${problem}`);
+    if (!problem) {
+      onChange('faces', faces);
+    }
+  };
+
+  const setVertex = (index, axis, value) =>
+    onChange(
+      'vertices',
+      params.vertices.map((vertex, i) => (i === index ? vertex.map((v, j) => (j === axis ? value : v)) : vertex))
+    );
+  const problem = checkArb(params.vertices, params.faces);
+
+  return (
+    <>
+      <p className="sidebar-hint">Vertices relative to the position ({unit})</p>
+      {params.vertices.map((vertex, i) => (
+        <div key={i} className="control-group">
+          <label>Vertex {i + 1}:</label>
+          {vertex.map((v, axis) => (
+            <input
+              key={axis}
+              type="number"
+              step={0.1}
+              value={toDisplay(v)}
+              onChange={(e) => e.target.value !== '' && setVertex(i, axis, fromDisplay(parseFloat(e.target.value)))}
+            />
+          ))}
+        </div>
+      ))}
+      <div className="control-group">
+        <label>Faces:</label>
+        <input
+          type="text"
+          value={facesText}
+          placeholder="1234 5678 1265 2376 3487 4158"
+          onChange={(e) => setFacesText(e.target.value)}
+          onBlur={commitFaces}
+          onKeyDown={(e) => e.key === 'Enter' && commitFaces()}
+        />
+      </div>
+      {(error || problem) && <div className="zone-error">{error || `The vertices do not fit the faces: ${problem}`}</div>}
+    </>
+  );
+}
+
+// Line-of-sight tool: the ends of the ray, typed or picked in the viewport, and the bodies and materials it
+// passes through. report is the result of traceRay; getLabel names the body of a crossing and getMaterialName a material.
+function RayTool({ ray, picking, onPick, onSetPoint, report, getLabel, getMaterialName, onExportCsv }) {
+  const { unit, toDisplay, fromDisplay } = useLengthUnit();
+  const show = (value) => parseFloat(toDisplay(value).toFixed(3));
+
+  return (
+    <>
+      {['start', 'end'].map((which) => (
+        <div key={which} className="control-group ray-point">
+          <label>{which === 'start' ? 'Start' : 'End'} ({unit}):</label>
+          {ray[which].map((v, axis) => (
+            <input
+              key={axis}
+              type="number"
+              step={0.1}
+              value={toDisplay(v)}
+              onChange={(e) => e.target.value !== '' && onSetPoint(which, axis, fromDisplay(parseFloat(e.target.value)))}
+            />
+          ))}
+          <button
+            className={picking === which ? 'active' : ''}
+            onClick={() => onPick(picking === which ? null : which)}
+          >
+            Pick
+          </button>
+        </div>
+      ))}
+      <p className="sidebar-hint">
+        {picking
+          ? `Click a body or the grid plane to place the ${picking} of the ray.`
+          : `Length ${show(report.length)} ${unit}. Paths are computed from the body params and the export zones.`}
+      </p>
+      {report.crossings.length > 0 ? (
+        <table className="report-table">
+          <thead>
+            <tr>
+              <th>Body</th>
+              <th>Entry</th>
+              <th>Exit</th>
+              <th>Path</th>
+            </tr>
+          </thead>
+          <tbody>
+            {report.crossings.map((crossing) => (
+              <tr key={crossing.id}>
+                <td>{getLabel(crossing)}</td>
+                <td>{show(crossing.entry)}</td>
+                <td>{show(crossing.exit)}</td>
+                <td>{show(crossing.length)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      ) : (
+        <p className="sidebar-hint">The ray does not pass through any body.</p>
+      )}
+      <table className="report-table">
+        <thead>
+          <tr>
+            <th>Material</th>
+            <th>Path ({unit})</th>
+          </tr>
+        </thead>
+        <tbody>
+          {report.materials.map(({ materialType, length }) => (
+            <tr key={materialType ?? ''}>
+              <td>{getMaterialName(materialType)}</td>
+              <td>{show(length)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <div className="zone-buttons">
+        <button onClick={onExportCsv}>Export CSV</button>
+      </div>
+    </>
+  );
+}
+
+// Live collision list: each pair of colliding bodies with how deep they overlap. Clicking a pair selects and
+// focuses it; an allowed pair was acknowledged and is neither highlighted nor warned about on export.
+// collisions is a list of { pair, penetration, allowed }; getLabel names a body.
+function CollisionPanel({ collisions, getLabel, onFocus, onAllow }) {
+  const { unit, toDisplay } = useLengthUnit();
+
+  if (collisions.length === 0) {
+    return <p className="sidebar-hint">No bodies collide.</p>;
+  }
+  return (
+    <ul className="collision-list">
+      {collisions.map(({ pair, penetration, allowed }) => (
+        <li key={pair.join(' ')} className={`collision-item${allowed ? ' allowed' : ''}`}>
+          <span className="collision-pair" onClick={() => onFocus(pair)}>
+            {getLabel(pair[0])} and {getLabel(pair[1])}
+            {penetration && (
+              <span className="collision-depth">
+                {' '}
+                {parseFloat(toDisplay(penetration.depth).toPrecision(3))} {unit} deep
+              </span>
+            )}
+          </span>
+          <label className="checkbox-label">
+            <input type="checkbox" checked={allowed} onChange={(e) => onAllow(pair, e.target.checked)} />
+            Allowed
+          </label>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+// Model analysis: volume, mass and bounding box of each object, totals per material, and the Monte Carlo
+// estimate of the totals with overlaps counted once. report is the result of analyzeBodies, estimate that of
+// estimateOverlaps (or null until one is made for the current scene); progress is the fraction sampled of an
+// estimate still running, or null.
+function AnalysisPanel({
+  report,
+  estimate,
+  progress,
+  samples,
+  onSamplesChange,
+  onEstimate,
+  getLabel,
+  getMaterialName,
+  onExportCsv,
+}) {
+  const { unit, toDisplay } = useLengthUnit();
+  const showLength = (value) => parseFloat(toDisplay(value).toPrecision(4));
+  const showVolume = (value) => parseFloat((value * lengthFactor('cm', unit) ** 3).toPrecision(4));
+  const showMass = (value) => (value === null ? '–' : parseFloat(value.toPrecision(4)));
+  const showPoint = (point) => `(${point.map(showLength).join(', ')})`;
+  const showBounds = ([min, max]) => `${showPoint(min)} to ${showPoint(max)}`;
+
+  if (!report.bounds) {
+    return <p className="sidebar-hint">The scene is empty.</p>;
+  }
+  return (
+    <>
+      <table className="report-table">
+        <thead>
+          <tr>
+            <th>Object</th>
+            <th>Volume ({unit}³)</th>
+            <th>Mass (kg)</th>
+            <th>Size ({unit})</th>
+          </tr>
+        </thead>
+        <tbody>
+          {report.objects.map((object) => (
+            <tr key={object.id} title={showBounds(object.bounds)}>
+              <td>{getLabel(object)}</td>
+              <td>{showVolume(object.volume)}</td>
+              <td>{showMass(object.mass)}</td>
+              <td>{object.bounds[1].map((max, i) => showLength(max - object.bounds[0][i])).join(' × ')}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <p className="sidebar-hint">
+        Scene bounding box {showBounds(report.bounds)} {unit}. Hover an object for its own box. Masses are left out
+        for materials without a density.
+      </p>
+      <table className="report-table">
+        <thead>
+          <tr>
+            <th>Material</th>
+            <th>Volume ({unit}³)</th>
+            <th>Mass (kg)</th>
+          </tr>
+        </thead>
+        <tbody>
+          {report.materials.map((total) => (
+            <tr key={total.materialType}>
+              <td>{getMaterialName(total.materialType)}</td>
+              <td>{showVolume(total.volume)}</td>
+              <td>{showMass(total.mass)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <div className="control-group">
+        <label>Samples:</label>
+        <input
+          type="number"
+          min={1000}
+          step={1000}
+          value={samples}
+          onChange={(e) => onSamplesChange(Math.min(MAX_SAMPLES, Math.max(1, parseInt(e.target.value, 10) || 1)))}
+        />
+      </div>
+      {estimate ? (
+        <table className="report-table">
+          <thead>
+            <tr>
+              <th>Without overlaps</th>
+              <th>Volume ({unit}³)</th>
+              <th>Mass (kg)</th>
+            </tr>
+          </thead>
+          <tbody>
+            <tr>
+              <td>All bodies</td>
+              <td>
+                {showVolume(estimate.union.volume)} ± {showVolume(estimate.union.error)}
+              </td>
+              <td></td>
+            </tr>
+            {estimate.materials.map((total) => (
+              <tr key={total.materialType}>
+                <td>{getMaterialName(total.materialType)}</td>
+                <td>
+                  {showVolume(total.volume)} ± {showVolume(total.error)}
+                </td>
+                <td>{showMass(total.mass)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      ) : (
+        <p className="sidebar-hint">
+          The totals above count the space where bodies overlap once per body. The estimate samples random points
+          and gives each the material of the first zone it is in.
+        </p>
+      )}
+      <div className="zone-buttons">
+        <button onClick={onEstimate} disabled={progress !== null}>
+          {progress === null ? 'Estimate Overlaps' : `Estimating… ${Math.round(progress * 100)}%`}
+        </button>
+        <button onClick={onExportCsv}>Export CSV</button>
+      </div>
+    </>
+  );
+}
+
+// Pattern tool: lays out copies of the selected body in a linear, rectangular, hexagonal or polar array.
+// Offsets, axes and the polar center are in the coordinates of the body's group.
+function PatternDialog({ objectLabel, position, onApply, onCancel }) {
+  const [pattern, setPattern] = useState(DEFAULT_PATTERN);
+  const copies = getPatternTransforms(pattern, position).length;
+  const set = (key, value) => setPattern((prev) => ({ ...prev, [key]: value }));
+  const setAt = (key, index, value) =>
+    setPattern((prev) => ({ ...prev, [key]: prev[key].map((v, i) => (i === index ? value : v)) }));
+  // Counts are whole numbers of at least one; other values fall back to zero while a field is being typed
+  const toCount = (e) => Math.max(1, parseInt(e.target.value, 10) || 1);
+  const toNumber = (e) => parseFloat(e.target.value) || 0;
+  // Pitches and the center are lengths, shown in the display unit
+  const { unit, toDisplay, fromDisplay } = useLengthUnit();
+  const toLength = (e) => fromDisplay(toNumber(e));
+
+  const numberField = (label, value, onChange, step = 0.1) => (
+    <div className="control-group" key={label}>
+      <label>{label}</label>
+      <input type="number" step={step} value={value} onChange={onChange} />
+    </div>
+  );
+  const axisField = (label, key) => (
+    <div className="control-group">
+      <label>{label}</label>
+      <select value={pattern[key]} onChange={(e) => set(key, parseInt(e.target.value, 10))}>
+        <option value={0}>X</option>
+        <option value={1}>Y</option>
+        <option value={2}>Z</option>
+      </select>
+    </div>
+  );
+
+  return (
+    <>
+      <div className="modal-backdrop" onClick={onCancel}></div>
+      <div className="add-object-dropdown pattern-dialog">
+        <h3>Pattern of {objectLabel}</h3>
+        <select value={pattern.type} onChange={(e) => set('type', e.target.value)}>
+          {PATTERN_TYPES.map(({ type, label }) => (
+            <option key={type} value={type}>{label}</option>
+          ))}
+        </select>
+        {pattern.type === 'linear' && (
+          <>
+            {numberField('Count:', pattern.count, (e) => set('count', toCount(e)), 1)}
+            {numberField(`Pitch (${unit}):`, toDisplay(pattern.pitch), (e) => set('pitch', toLength(e)))}
+            {axisField('Direction:', 'axis')}
+          </>
+        )}
+        {pattern.type === 'rectangular' &&
+          ['X', 'Y', 'Z'].map((axis, i) => (
+            <div className="control-group" key={axis}>
+              <label>Count {axis}:</label>
+              <input
+                type="number"
+                step={1}
+                value={pattern.counts[i]}
+                onChange={(e) => setAt('counts', i, toCount(e))}
+              />
+              <label>Pitch {axis}:</label>
+              <input
+                type="number"
+                step={0.1}
+                value={toDisplay(pattern.pitches[i])}
+                onChange={(e) => setAt('pitches', i, toLength(e))}
+              />
+              <span className="extra-label">{unit}</span>
+            </div>
+          ))}
+        {pattern.type === 'hexagonal' && (
+          <>
+            {numberField('Rings:', pattern.rings, (e) => set('rings', toCount(e)), 1)}
+            {numberField(`Pitch (${unit}):`, toDisplay(pattern.pitch), (e) => set('pitch', toLength(e)))}
+            <div className="control-group">
+              <label>Plane:</label>
+              <select value={pattern.plane} onChange={(e) => set('plane', e.target.value)}>
+                <option value="XY">XY</option>
+                <option value="XZ">XZ</option>
+                <option value="YZ">YZ</option>
+              </select>
+            </div>
+          </>
+        )}
+        {pattern.type === 'polar' && (
+          <>
+            {numberField('Count:', pattern.count, (e) => set('count', toCount(e)), 1)}
+            {numberField('Angle (°):', pattern.angle, (e) => set('angle', toNumber(e)), 15)}
+            {axisField('Axis:', 'axis')}
+            {['X', 'Y', 'Z'].map((axis, i) =>
+              numberField(`Center ${axis} (${unit}):`, toDisplay(pattern.center[i]), (e) =>
+                setAt('center', i, toLength(e))
+              )
+            )}
+            <label className="checkbox-label">
+              <input
+                type="checkbox"
+                checked={pattern.rotateCopies}
+                onChange={(e) => set('rotateCopies', e.target.checked)}
+              />
+              Turn copies with the pattern
+            </label>
+          </>
+        )}
+        <p className="sidebar-hint">
+          {copies > MAX_PATTERN_COPIES
+            ? `${copies} copies is more than the limit of ${MAX_PATTERN_COPIES}.`
+            : `Creates ${copies} copies, along the axes of the object's group.`}
+        </p>
+        <div className="dropdown-buttons">
+          <button onClick={() => onApply(pattern)} disabled={copies === 0 || copies > MAX_PATTERN_COPIES}>
+            Create
+          </button>
+          <button onClick={onCancel} className="cancel-btn">Cancel</button>
+        </div>
+      </div>
+    </>
+  );
+}
+
+// Mesh export settings: format, tessellation of round bodies, and for STL one file or one per object
+function MeshExportDialog({ bodyCount, onExport, onCancel }) {
+  const [settings, setSettings] = useState(DEFAULT_MESH_EXPORT);
+  const set = (key, value) => setSettings((prev) => ({ ...prev, [key]: value }));
+
+  return (
+    <>
+      <div className="modal-backdrop" onClick={onCancel}></div>
+      <div className="add-object-dropdown pattern-dialog">
+        <h3>Export Meshes</h3>
+        <select value={settings.format} onChange={(e) => set('format', e.target.value)}>
+          {MESH_FORMATS.map(({ format, label }) => (
+            <option key={format} value={format}>{label}</option>
+          ))}
+        </select>
+        <div className="control-group">
+          <label>Segments:</label>
+          <input
+            type="number"
+            min={MIN_SEGMENTS}
+            max={MAX_SEGMENTS}
+            step={1}
+            value={settings.segments}
+            onChange={(e) =>
+              set('segments', Math.min(MAX_SEGMENTS, Math.max(MIN_SEGMENTS, parseInt(e.target.value, 10) || MIN_SEGMENTS)))
+            }
+          />
+        </div>
+        {settings.format === 'stl' && (
+          <label className="checkbox-label">
+            <input type="checkbox" checked={settings.mergeStl} onChange={(e) => set('mergeStl', e.target.checked)} />
+            One file for all objects
+          </label>
+        )}
+        <p className="sidebar-hint">
+          Exports {bodyCount} bodies as drawn, in world coordinates. Zones are not part of mesh exports.
+        </p>
+        <div className="dropdown-buttons">
+          <button onClick={() => onExport(settings)} disabled={bodyCount === 0}>Export</button>
+          <button onClick={onCancel} className="cancel-btn">Cancel</button>
+        </div>
+      </div>
+    </>
+  );
+}
+
+// Project manager: saves the scene under a name and opens, renames or deletes saved projects.
+// projects is a list of { id, name, savedAt }; currentProject is the project being edited, or null.
+function ProjectsDialog({ projects, currentProject, onSave, onSaveAs, onOpen, onRename, onDelete, onNew, onClose }) {
+  const [newName, setNewName] = useState('');
+  const [renaming, setRenaming] = useState(null);
+
+  const finishRename = () => {
+    if (renaming.name.trim()) {
+      onRename(renaming.id, renaming.name.trim());
+    }
+    setRenaming(null);
+  };
+
+  return (
+    <>
+      <div className="modal-backdrop" onClick={onClose}></div>
+      <div className="add-object-dropdown projects-dialog">
+        <h3>Projects</h3>
+        <p className="sidebar-hint">
+          {currentProject ? `Editing "${currentProject.name}".` : 'The scene is not saved as a project.'} Changes are
+          kept in this browser and restored when the page is opened again.
+        </p>
+        <div className="dropdown-buttons">
+          <button onClick={onSave} disabled={!currentProject}>Save</button>
+          <button onClick={onNew}>New Scene</button>
+        </div>
+        <div className="control-group">
+          <input
+            type="text"
+            placeholder="Project name"
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+          />
+          <button
+            onClick={() => {
+              onSaveAs(newName.trim());
+              setNewName('');
+            }}
+            disabled={!newName.trim()}
+          >
+            Save As
+          </button>
+        </div>
+        {projects.length === 0 ? (
+          <p className="sidebar-hint">No saved projects yet.</p>
+        ) : (
+          <ul className="project-list">
+            {projects.map((project) => (
+              <li key={project.id} className={project.id === currentProject?.id ? 'current' : ''}>
+                {renaming?.id === project.id ? (
+                  <input
+                    type="text"
+                    value={renaming.name}
+                    autoFocus
+                    onChange={(e) => setRenaming({ id: project.id, name: e.target.value })}
+                    onBlur={finishRename}
+                    onKeyDown={(e) => {
+                      if (e.key === 'Enter') finishRename();
+                      if (e.key === 'Escape') setRenaming(null);
+                    }}
+                  />
+                ) : (
+                  <span className="project-name">
+                    {project.name}
+                    <small>{new Date(project.savedAt).toLocaleString()}</small>
+                  </span>
+                )}
+                <button onClick={() => onOpen(project.id)}>Open</button>
+                <button onClick={() => setRenaming({ id: project.id, name: project.name })}>Rename</button>
+                <button onClick={() => onDelete(project.id)} className="delete-btn">Delete</button>
+              </li>
+            ))}
+          </ul>
+        )}
+        <div className="dropdown-buttons">
+          <button onClick={onClose} className="cancel-btn">Close</button>
+        </div>
+      </div>
+    </>
+  );
+}
+
+// Outliner: groups and bodies as a tree, replacing a flat object list. Clicking an entry selects it;
+// Shift, Ctrl or Cmd adds it to the selection. bodies is a list of { type, id, params }.
+function Outliner({ groups, bodies, selectedIds, onSelect }) {
+  const [collapsed, setCollapsed] = useState(() => new Set());
+
+  const toggle = (id) =>
+    setCollapsed((prev) => {
+      const next = new Set(prev);
+      if (next.has(id)) {
+        next.delete(id);
+      } else {
+        next.add(id);
+      }
+      return next;
+    });
+
+  const renderLevel = (parent) => {
+    const childGroups = Object.entries(groups).filter(([, group]) => (group.parent || null) === parent);
+    const childBodies = bodies.filter(({ params }) => (params.parent || null) === parent);
+    if (childGroups.length === 0 && childBodies.length === 0) {
+      return null;
+    }
+    return (
+      <ul>
+        {childGroups.map(([id, group]) => (
+          <li key={id}>
+            <div
+              className={`outliner-item ${selectedIds.has(id) ? 'selected' : ''}`}
+              onClick={(e) => onSelect(id, 'group', e.shiftKey || e.ctrlKey || e.metaKey)}
+            >
+              <button
+                className="outliner-toggle"
+                onClick={(e) => {
+                  e.stopPropagation();
+                  toggle(id);
+                }}
+              >
+                {collapsed.has(id) ? '▸' : '▾'}
+              </button>
+              {getObjectLabel(id, group)}
+            </div>
+            {!collapsed.has(id) && renderLevel(id)}
+          </li>
+        ))}
+        {childBodies.map(({ type, id, params }) => (
+          <li key={id}>
+            <div
+              className={`outliner-item ${selectedIds.has(id) ? 'selected' : ''}`}
+              onClick={(e) => onSelect(id, type, e.shiftKey || e.ctrlKey || e.metaKey)}
+            >
+              <span className="outliner-type" title={type}>
+                {type[0]}
+              </span>
+              {getObjectLabel(id, params)}
+            </div>
+          </li>
+        ))}
+      </ul>
+    );
+  };
+
+  return (
+    <div className="outliner">
+      {renderLevel(null) || <p className="sidebar-hint">The scene is empty.</p>}
+    </div>
+  );
+}
+
+// Edge color of bodies that collide with a body they are not combined with in a zone
+const COLLISION_COLOR = '#d62828';
 
 // Base Shape3D component with shared functionality
 const Shape3D = forwardRef(
@@ -51,12 +1142,16 @@ const Shape3D = forwardRef(
       materialType,
       onClick,
       isSelected,
+      isColliding = false,
       children,
       rotation,
       isSphere = false,
     },
     ref
   ) => {
+    const materials = useContext(MaterialsContext);
+    // The selection outline wins over the collision highlight
+    const edgeColor = isSelected ? '#ab6036' : isColliding ? COLLISION_COLOR : 'black';
     return (
       <mesh
         ref={ref}
@@ -64,21 +1159,22 @@ const Shape3D = forwardRef(
         rotation={rotation}
         onClick={(e) => {
           e.stopPropagation();
-          onClick(id);
+          const { shiftKey, ctrlKey, metaKey } = e.nativeEvent;
+          onClick(id, shiftKey || ctrlKey || metaKey, e.point.toArray());
         }}
       >
         {children}
-        {getMaterial(materialType)}
+        {getMaterial(findMaterial(materials, materialType))}
         {isSphere ? (
           <Wireframe
-            stroke={isSelected ? '#ab6036' : 'black'}
-            thickness={isSelected ? 0.05 : 0.01}
+            stroke={edgeColor}
+            thickness={isSelected || isColliding ? 0.05 : 0.01}
           />
         ) : (
           <Edges
             threshold={0.01}
-            color={isSelected ? '#ab6036' : 'black'}
-            lineWidth={isSelected ? 5 : 1}
+            color={edgeColor}
+            lineWidth={isSelected || isColliding ? 5 : 1}
           />
         )}
       </mesh>
@@ -99,6 +1195,7 @@ const Cylinder = forwardRef(
       materialType,
       onClick,
       isSelected,
+      isColliding,
     },
     ref
   ) => {
@@ -111,6 +1208,7 @@ const Cylinder = forwardRef(
         materialType={materialType}
         onClick={onClick}
         isSelected={isSelected}
+        isColliding={isColliding}
       >
         <cylinderGeometry args={[radiusTop, radiusBottom, height, 32]} />
       </Shape3D>
@@ -128,6 +1226,7 @@ const Sphere = forwardRef(
       materialType,
       onClick,
       isSelected,
+      isColliding,
     },
     ref
   ) => {
@@ -139,6 +1238,7 @@ const Sphere = forwardRef(
         materialType={materialType}
         onClick={onClick}
         isSelected={isSelected}
+        isColliding={isColliding}
         isSphere={true}
       >
         <sphereGeometry args={[radius, 32, 32]} />
@@ -147,8 +1247,42 @@ const Sphere = forwardRef(
   }
 );
 
+// Box Component using the shared Shape3D base
+const Box = forwardRef(
+  (
+    {
+      id,
+      width,
+      height,
+      depth,
+      rotation,
+      position,
+      materialType,
+      onClick,
+      isSelected,
+      isColliding,
+    },
+    ref
+  ) => {
+    return (
+      <Shape3D
+        ref={ref}
+        id={id}
+        position={position}
+        rotation={rotation}
+        materialType={materialType}
+        onClick={onClick}
+        isSelected={isSelected}
+        isColliding={isColliding}
+      >
+        <boxGeometry args={[width, height, depth]} />
+      </Shape3D>
+    );
+  }
+);
+
 // Scene Component renders a cylinder and passes along the selection state.
-function Scene({ cylinderProps, cylinderRefSetter, cylinderId, onSelect, isSelected }) {
+function Scene({ cylinderProps, cylinderRefSetter, cylinderId, onSelect, isSelected, isColliding }) {
   const meshRef = useRef();
 
   useEffect(() => {
@@ -167,12 +1301,13 @@ function Scene({ cylinderProps, cylinderRefSetter, cylinderId, onSelect, isSelec
       ref={meshRef}
       onClick={onSelect}
       isSelected={isSelected}
+      isColliding={isColliding}
     />
   );
 }
 
 // Scene Component for spheres
-function SceneSphere({ sphereProps, sphereRefSetter, sphereId, onSelect, isSelected }) {
+function SceneSphere({ sphereProps, sphereRefSetter, sphereId, onSelect, isSelected, isColliding }) {
   const meshRef = useRef();
 
   useEffect(() => {
@@ -188,205 +1323,251 @@ function SceneSphere({ sphereProps, sphereRefSetter, sphereId, onSelect, isSelec
       ref={meshRef}
       onClick={onSelect}
       isSelected={isSelected}
+      isColliding={isColliding}
     />
   );
 }
 
-// Helper: Convert Euler angles (in radians) to a direction vector (unit vector along cylinder axis)
-function eulerToDirection([rotX, rotY, rotZ]) {
-  // Start with vector pointing up the Y axis
-  let v = [0, 1, 0];
-  // Apply X rotation
-  let vy = v[1] * Math.cos(rotX) - v[2] * Math.sin(rotX);
-  let vz = v[1] * Math.sin(rotX) + v[2] * Math.cos(rotX);
-  let vx = v[0];
-  // Apply Y rotation
-  let vx2 = vx * Math.cos(rotY) + vz * Math.sin(rotY);
-  let vz2 = -vx * Math.sin(rotY) + vz * Math.cos(rotY);
-  let vy2 = vy;
-  // Apply Z rotation
-  let vx3 = vx2 * Math.cos(rotZ) - vy2 * Math.sin(rotZ);
-  let vy3 = vx2 * Math.sin(rotZ) + vy2 * Math.cos(rotZ);
-  let vz3 = vz2;
-  // Normalize
-  const len = Math.sqrt(vx3 * vx3 + vy3 * vy3 + vz3 * vz3);
-  return [vx3 / len, vy3 / len, vz3 / len];
-}
-
-// Helper: Check if two cylinders are colliding
-function checkCylinderCollision(cyl1, cyl2) {
-  const [x1, y1, z1] = cyl1.position;
-  const [x2, y2, z2] = cyl2.position;
-  const r1 = cyl1.radiusTop;
-  const r2 = cyl2.radiusTop;
-  const h1 = cyl1.height;
-  const h2 = cyl2.height;
-  
-  const dir1 = eulerToDirection(cyl1.rotation.map(v => v * Math.PI));
-  const dir2 = eulerToDirection(cyl2.rotation.map(v => v * Math.PI));
-  
-  const start1 = [x1 - 0.5 * h1 * dir1[0], y1 - 0.5 * h1 * dir1[1], z1 - 0.5 * h1 * dir1[2]];
-  const end1 = [x1 + 0.5 * h1 * dir1[0], y1 + 0.5 * h1 * dir1[1], z1 + 0.5 * h1 * dir1[2]];
-  const start2 = [x2 - 0.5 * h2 * dir2[0], y2 - 0.5 * h2 * dir2[1], z2 - 0.5 * h2 * dir2[2]];
-  const end2 = [x2 + 0.5 * h2 * dir2[0], y2 + 0.5 * h2 * dir2[1], z2 + 0.5 * h2 * dir2[2]];
-  
-  const axis1 = [end1[0] - start1[0], end1[1] - start1[1], end1[2] - start1[2]];
-  const axis2 = [end2[0] - start2[0], end2[1] - start2[1], end2[2] - start2[2]];
-  
-  const cross = [
-    axis1[1] * axis2[2] - axis1[2] * axis2[1],
-    axis1[2] * axis2[0] - axis1[0] * axis2[2],
-    axis1[0] * axis2[1] - axis1[1] * axis2[0]
-  ];
-  
-  const crossMag = Math.sqrt(cross[0] * cross[0] + cross[1] * cross[1] + cross[2] * cross[2]);
-  
-  if (crossMag < 0.001) {
-    const centerDist = Math.sqrt((x2 - x1) ** 2 + (y2 - y1) ** 2 + (z2 - z1) ** 2);
-    return centerDist < (r1 + r2);
-  }
-  
-  const vec = [start2[0] - start1[0], start2[1] - start1[1], start2[2] - start1[2]];
-  const dot1 = vec[0] * cross[0] + vec[1] * cross[1] + vec[2] * cross[2];
-  const distance = Math.abs(dot1) / crossMag;
-  
-  return distance < (r1 + r2);
-}
+// Scene Component for boxes
+function SceneBox({ boxProps, boxRefSetter, boxId, onSelect, isSelected, isColliding }) {
+  const meshRef = useRef();
 
-// Helper: Check for collisions between all objects
-function detectCollisions(cylinderParams, sphereParams) {
-  const collisions = [];
-  const cylinderIds = Object.keys(cylinderParams);
-  const sphereIds = Object.keys(sphereParams);
-  
-  // Check cylinder-cylinder collisions
-  for (let i = 0; i < cylinderIds.length; i++) {
-    for (let j = i + 1; j < cylinderIds.length; j++) {
-      const id1 = cylinderIds[i];
-      const id2 = cylinderIds[j];
-      const cyl1 = cylinderParams[id1];
-      const cyl2 = cylinderParams[id2];
-      
-      if (checkCylinderCollision(cyl1, cyl2)) {
-        collisions.push([id1, id2]);
-      }
-    }
-  }
-  
-  // Check sphere-sphere collisions
-  for (let i = 0; i < sphereIds.length; i++) {
-    for (let j = i + 1; j < sphereIds.length; j++) {
-      const id1 = sphereIds[i];
-      const id2 = sphereIds[j];
-      const sph1 = sphereParams[id1];
-      const sph2 = sphereParams[id2];
-      
-      if (checkSphereCollision(sph1, sph2)) {
-        collisions.push([id1, id2]);
-      }
-    }
-  }
-  
-  // Check cylinder-sphere collisions
-  for (let i = 0; i < cylinderIds.length; i++) {
-    for (let j = 0; j < sphereIds.length; j++) {
-      const cylId = cylinderIds[i];
-      const sphId = sphereIds[j];
-      const cyl = cylinderParams[cylId];
-      const sph = sphereParams[sphId];
-      
-      if (checkCylinderSphereCollision(cyl, sph)) {
-        collisions.push([cylId, sphId]);
-      }
+  useEffect(() => {
+    if (meshRef.current) {
+      boxRefSetter(meshRef.current);
     }
+  }, [meshRef, boxRefSetter]);
+
+  const { rotation, ...restProps } = boxProps;
+  const meshRotation = rotation.map((v) => v * Math.PI);
+  return (
+    <Box
+      id={boxId}
+      {...restProps}
+      rotation={meshRotation}
+      ref={meshRef}
+      onClick={onSelect}
+      isSelected={isSelected}
+      isColliding={isColliding}
+    />
+  );
+}
+
+// Body of one of the SHAPE_TYPES, using the shared Shape3D base with a geometry built from its params.
+// The geometry is only rebuilt when the shape changes, not when the body moves.
+const ShapeBody = forwardRef(
+  (
+    {
+      id,
+      type,
+      params,
+      rotation,
+      onClick,
+      isSelected,
+      isColliding,
+    },
+    ref
+  ) => {
+    const { position, materialType, name, parent, rotation: storedRotation, ...shape } = params;
+    const shapeKey = JSON.stringify(shape);
+    const geometry = useMemo(() => createBodyGeometry(type, JSON.parse(shapeKey)), [type, shapeKey]);
+
+    useEffect(() => () => geometry.dispose(), [geometry]);
+
+    return (
+      <Shape3D
+        ref={ref}
+        id={id}
+        position={position}
+        rotation={rotation}
+        materialType={materialType}
+        onClick={onClick}
+        isSelected={isSelected}
+        isColliding={isColliding}
+        isSphere={type === 'ellipsoid'}
+      >
+        <primitive object={geometry} attach="geometry" />
+      </Shape3D>
+    );
   }
-  
-  return collisions;
+);
+
+// Scene Component for the bodies of the other shape types
+function SceneShape({ type, shapeProps, shapeRefSetter, shapeId, onSelect, isSelected, isColliding }) {
+  const meshRef = useRef();
+
+  useEffect(() => {
+    if (meshRef.current) {
+      shapeRefSetter(meshRef.current);
+    }
+  }, [meshRef, shapeRefSetter]);
+
+  return (
+    <ShapeBody
+      id={shapeId}
+      type={type}
+      params={shapeProps}
+      rotation={shapeProps.rotation.map((v) => v * Math.PI)}
+      ref={meshRef}
+      onClick={onSelect}
+      isSelected={isSelected}
+      isColliding={isColliding}
+    />
+  );
 }
 
-// Helper: Check if two spheres are colliding
-function checkSphereCollision(sph1, sph2) {
-  const [x1, y1, z1] = sph1.position;
-  const [x2, y2, z2] = sph2.position;
-  const r1 = sph1.radius;
-  const r2 = sph2.radius;
-  const epsilon = 0.01; // Small margin to avoid false positives
-  const distance = Math.sqrt((x2 - x1) ** 2 + (y2 - y1) ** 2 + (z2 - z1) ** 2);
-  return distance < (r1 + r2 - epsilon);
+// Scene Component for groups: a three.js group whose position and rotation apply to everything inside it
+function SceneGroup({ group, groupRefSetter, children }) {
+  const groupRef = useRef();
+
+  useEffect(() => {
+    if (groupRef.current) {
+      groupRefSetter(groupRef.current);
+    }
+  }, [groupRef, groupRefSetter]);
+
+  return (
+    <group ref={groupRef} position={group.position} rotation={group.rotation.map((v) => v * Math.PI)}>
+      {children}
+    </group>
+  );
 }
 
-// Helper: Check if a cylinder and sphere are colliding
-function checkCylinderSphereCollision(cyl, sph) {
-  const [cx, cy, cz] = cyl.position;
-  const [sx, sy, sz] = sph.position;
-  const cylRadius = cyl.radiusTop;
-  const sphRadius = sph.radius;
-  const cylHeight = cyl.height;
-
-  const dir = eulerToDirection(cyl.rotation.map(v => v * Math.PI));
-  const start = [cx - 0.5 * cylHeight * dir[0], cy - 0.5 * cylHeight * dir[1], cz - 0.5 * cylHeight * dir[2]];
-  const end = [cx + 0.5 * cylHeight * dir[0], cy + 0.5 * cylHeight * dir[1], cz + 0.5 * cylHeight * dir[2]];
-
-  // Vector from cylinder start to sphere center
-  const vec = [sx - start[0], sy - start[1], sz - start[2]];
-  // Vector along cylinder axis
-  const axis = [end[0] - start[0], end[1] - start[1], end[2] - start[2]];
-  const axisLength = Math.sqrt(axis[0] ** 2 + axis[1] ** 2 + axis[2] ** 2);
-
-  // Project sphere center onto cylinder axis
-  const t = (vec[0] * axis[0] + vec[1] * axis[1] + vec[2] * axis[2]) / (axisLength ** 2);
-  const tClamped = Math.max(0, Math.min(1, t));
-
-  // Closest point on cylinder axis to sphere center
-  const closestPoint = [
-    start[0] + tClamped * axis[0],
-    start[1] + tClamped * axis[1],
-    start[2] + tClamped * axis[2]
-  ];
-
-  // Distance from sphere center to closest point on cylinder axis
-  const distToAxis = Math.sqrt(
-    (sx - closestPoint[0]) ** 2 +
-    (sy - closestPoint[1]) ** 2 +
-    (sz - closestPoint[2]) ** 2
-  );
-
-  // If closest point is on the cap (tClamped == 0 or 1), check distance to cap center
-  if (tClamped === 0 || tClamped === 1) {
-    const capCenter = tClamped === 0 ? start : end;
-    // Project sphere center onto the cap plane
-    const axisNorm = [axis[0] / axisLength, axis[1] / axisLength, axis[2] / axisLength];
-    const v = [sx - capCenter[0], sy - capCenter[1], sz - capCenter[2]];
-    const distAlongAxis = v[0] * axisNorm[0] + v[1] * axisNorm[1] + v[2] * axisNorm[2];
-    const proj = [
-      sx - distAlongAxis * axisNorm[0],
-      sy - distAlongAxis * axisNorm[1],
-      sz - distAlongAxis * axisNorm[2]
-    ];
-    const radialDist = Math.sqrt(
-      (proj[0] - capCenter[0]) ** 2 +
-      (proj[1] - capCenter[1]) ** 2 +
-      (proj[2] - capCenter[2]) ** 2
-    );
-    // If the projected point is within the cap disk, check vertical distance
-    if (radialDist <= cylRadius) {
-      return Math.abs(distAlongAxis) < sphRadius;
-    } else {
-      // Otherwise, check distance to the rim of the cap
-      const rimDist = Math.sqrt((radialDist - cylRadius) ** 2 + distAlongAxis ** 2);
-      return rimDist < sphRadius;
+// Keeps the canvas camera in a ref, for selections made in screen space outside the Canvas
+function CameraTracker({ cameraRef }) {
+  const camera = useThree((state) => state.camera);
+
+  useEffect(() => {
+    cameraRef.current = camera;
+  }, [camera, cameraRef]);
+
+  return null;
+}
+
+// Turns the orbit camera to look at focus.point, keeping its distance and direction. A new focus object
+// focuses again, even on the same point.
+function CameraFocus({ focus }) {
+  const camera = useThree((state) => state.camera);
+  const controls = useThree((state) => state.controls);
+
+  useEffect(() => {
+    if (!focus || !controls) {
+      return;
     }
-  }
+    const offset = camera.position.clone().sub(controls.target);
+    controls.target.set(...focus.point);
+    camera.position.copy(controls.target).add(offset);
+    controls.update();
+  }, [focus, camera, controls]);
 
-  // Otherwise, check side collision
-  return distToAxis < (cylRadius + sphRadius);
+  return null;
 }
 
-// Main App Component
-function App() {
-  const [selectedObject, setSelectedObject] = useState('cylinder1');
-  const [selectedObjectType, setSelectedObjectType] = useState('cylinder');
-  const [cylinderParams, setCylinderParams] = useState({
+// Zone preview: the region of a zone computed with CSG, rendered in the zone's material
+function ZonePreview({ zone, paramsByType }) {
+  const materials = useContext(MaterialsContext);
+  const geometries = useMemo(() => {
+    const getBody = (id) => {
+      const { type } = BODY_TYPES.find((entry) => paramsByType[entry.type][id]);
+      return { type, params: paramsByType[type][id] };
+    };
+    return buildZoneGeometries(zone, getBody);
+  }, [zone, paramsByType]);
+
+  useEffect(() => () => geometries.forEach((geometry) => geometry.dispose()), [geometries]);
+
+  return geometries.map((geometry, i) => (
+    <mesh key={i} geometry={geometry}>
+      {getMaterial(findMaterial(materials, zone.materialType))}
+      <Edges threshold={15} color="black" />
+    </mesh>
+  ));
+}
+
+// World body outline: a translucent shell that does not take clicks, so the bodies inside stay selectable
+function WorldOutline({ body }) {
+  const geometry = useMemo(() => createBodyGeometry(body.type, body.params), [body]);
+
+  useEffect(() => () => geometry.dispose(), [geometry]);
+
+  return (
+    <mesh geometry={geometry} position={body.params.position} raycast={() => null}>
+      <meshBasicMaterial color="#4a90d9" transparent opacity={0.05} depthWrite={false} />
+      {body.type === 'sphere' ? (
+        <Wireframe stroke="#4a90d9" thickness={0.01} />
+      ) : (
+        <Edges color="#4a90d9" />
+      )}
+    </mesh>
+  );
+}
+
+// Ray of the line-of-sight tool, with a marker at each end. Like the world outline it does not take clicks.
+function RayLine({ start, end }) {
+  return (
+    <>
+      <Line points={[start, end]} color="#e8590c" lineWidth={2} raycast={() => null} />
+      {[start, end].map((point, i) => (
+        <mesh key={i} position={point} raycast={() => null}>
+          <sphereGeometry args={[0.08, 12, 12]} />
+          <meshBasicMaterial color="#e8590c" />
+        </mesh>
+      ))}
+    </>
+  );
+}
+
+// Invisible plane through the origin on the work-plane grid, which takes the clicks picking a ray end where
+// no body is under the pointer
+function RayPickPlane({ plane, onPick }) {
+  return (
+    <group rotation={GRID_ROTATIONS[plane]}>
+      <mesh
+        rotation={[-Math.PI / 2, 0, 0]}
+        onClick={(e) => {
+          e.stopPropagation();
+          onPick(e.point.toArray());
+        }}
+      >
+        <planeGeometry args={[1e4, 1e4]} />
+        <meshBasicMaterial transparent opacity={0} depthWrite={false} side={DoubleSide} />
+      </mesh>
+    </group>
+  );
+}
+
+// Helper: Label of an object in lists, showing its user-assigned name when it has one
+function getObjectLabel(id, params) {
+  return params.name ? `${params.name} (${id})` : id;
+}
+
+// Gizmo modes with their keyboard shortcuts
+const GIZMO_MODES = [
+  { mode: 'translate', label: 'Move', key: 'w' },
+  { mode: 'rotate', label: 'Rotate', key: 'e' },
+  { mode: 'scale', label: 'Scale', key: 'r' },
+];
+
+// Number of cells across the work-plane grid, and its rotation for each plane (three.js grids lie in XZ)
+const GRID_CELLS = 40;
+const GRID_ROTATIONS = { XZ: [0, 0, 0], XY: [Math.PI / 2, 0, 0], YZ: [0, 0, Math.PI / 2] };
+
+// Ends of the line-of-sight ray when the tool is first opened, in centimeters
+const DEFAULT_RAY = { start: [-5, 0, 0], end: [5, 0, 0] };
+
+// An empty scene, and the scene a first visit starts with
+const EMPTY_SCENE = {
+  ...Object.fromEntries(BODY_TYPES.map(({ sceneKey }) => [sceneKey, {}])),
+  groups: {},
+  zones: [],
+  materials: DEFAULT_MATERIALS,
+  units: DEFAULT_UNITS,
+  world: DEFAULT_WORLD,
+  allowedOverlaps: [],
+};
+const DEFAULT_SCENE = {
+  ...EMPTY_SCENE,
+  cylinderParams: {
     cylinder1: {
       radiusTop: 1,
       radiusBottom: 1,
@@ -403,37 +1584,288 @@ function App() {
       position: [2, 0, 0],
       materialType: 'concrete',
     },
-  });
-  const [sphereParams, setSphereParams] = useState({
+  },
+  sphereParams: {
     sphere1: {
       radius: 1,
       position: [4, 0, 0],
       materialType: 'concrete',
     },
-  });
+  },
+};
+
+// Delay after the last edit before the scene is autosaved, in milliseconds
+const AUTOSAVE_DELAY_MS = 500;
+
+// Main App Component
+function App() {
+  // The last session from the autosave, or null on a first visit. An autosave that cannot be read is
+  // reported in the sidebar, and the app starts from the default scene instead.
+  const [autosave] = useState(() => loadAutosave());
+  const session = autosave?.scene ? autosave : null;
+  // Saved project the scene belongs to, as { id, name }, or null for an unsaved scene
+  const [currentProject, setCurrentProject] = useState(
+    () => listProjects().find(({ id }) => id === session?.projectId) || null
+  );
+  // Selected objects as { id, type }, in the order they were selected. The last one is the primary
+  // selection that the single-object controls and the gizmo work on.
+  const [selection, setSelection] = useState(session ? [] : [{ id: 'cylinder1', type: 'cylinder' }]);
+  const selectedObject = selection.length > 0 ? selection[selection.length - 1].id : null;
+  const selectedObjectType = selection.length > 0 ? selection[selection.length - 1].type : null;
+  // The scene: everything that undo/redo covers
+  const { present: scene, set: setScene, endStep, undo, redo, canUndo, canRedo } = useHistory(
+    session ? session.scene : DEFAULT_SCENE
+  );
+  const { cylinderParams, sphereParams, boxParams, groups, zones, materials, units, world, allowedOverlaps } = scene;
+
+  // Setter for one part of the scene, used like a useState setter. Edits passing the same
+  // coalesceKey during one gesture (e.g. a slider drag) become a single undo step.
+  const sceneSetter = (key) => (updater, coalesceKey) =>
+    setScene((prev) => {
+      const value = typeof updater === 'function' ? updater(prev[key]) : updater;
+      return value === prev[key] ? prev : { ...prev, [key]: value };
+    }, coalesceKey);
+  const setCylinderParams = sceneSetter('cylinderParams');
+  const setSphereParams = sceneSetter('sphereParams');
+  const setBoxParams = sceneSetter('boxParams');
+  const setGroups = sceneSetter('groups');
+  const setZones = sceneSetter('zones');
+  const setMaterials = sceneSetter('materials');
+  const setUnits = sceneSetter('units');
+  const setWorld = sceneSetter('world');
+  const setAllowedOverlaps = sceneSetter('allowedOverlaps');
+  // Params and setters of the other body types, keyed by type. The params stay the same object until one
+  // of the types changes, so that memos over them do not rerun on unrelated edits.
+  const { ellipsoidParams, wedgeParams, hexPrismParams, ellipticCylinderParams, arbParams } = scene;
+  const shapeParamsByType = useMemo(
+    () => ({
+      ellipsoid: ellipsoidParams,
+      wedge: wedgeParams,
+      hexPrism: hexPrismParams,
+      ellipticCylinder: ellipticCylinderParams,
+      arb: arbParams,
+    }),
+    [ellipsoidParams, wedgeParams, hexPrismParams, ellipticCylinderParams, arbParams]
+  );
+  const shapeSettersByType = Object.fromEntries(SHAPE_TYPES.map(({ type, sceneKey }) => [type, sceneSetter(sceneKey)]));
+
   const [cylinderMeshes, setCylinderMeshes] = useState({});
   const [sphereMeshes, setSphereMeshes] = useState({});
+  const [boxMeshes, setBoxMeshes] = useState({});
+  const [shapeMeshes, setShapeMeshes] = useState({});
+  const [groupObjects, setGroupObjects] = useState({});
+  const [gizmoMode, setGizmoMode] = useState('translate');
+  const [grid, setGrid] = useState(DEFAULT_GRID);
+  // Line-of-sight tool: whether the ray is shown, its ends in centimeters, and the end ('start' or 'end')
+  // that the next click in the viewport places
+  const [showRay, setShowRay] = useState(false);
+  const [ray, setRay] = useState(DEFAULT_RAY);
+  const [rayPick, setRayPick] = useState(null);
+  // Model analysis: whether the panel is shown, the samples of the overlap estimate, the last estimate
+  // with the scene it was made for, and the fraction sampled of an estimate still running (or null)
+  const [showAnalysis, setShowAnalysis] = useState(false);
+  const [analysisSamples, setAnalysisSamples] = useState(DEFAULT_SAMPLES);
+  const [overlapEstimate, setOverlapEstimate] = useState(null);
+  const [estimateProgress, setEstimateProgress] = useState(null);
+  const estimateTimer = useRef(null);
+  const [placementTarget, setPlacementTarget] = useState('');
+  const [placeDirection, setPlaceDirection] = useState(0);
+  const [alignAxis, setAlignAxis] = useState(0);
+  const [alignMode, setAlignMode] = useState('center');
+  const [boxSelectActive, setBoxSelectActive] = useState(false);
+  const [boxSelectRect, setBoxSelectRect] = useState(null);
+  // Point the camera was last turned to, as { point }
+  const [cameraFocus, setCameraFocus] = useState(null);
+  const cameraRef = useRef(null);
+  const [previewZoneId, setPreviewZoneId] = useState(null);
   const fileInputRef = useRef(null);
+  const materialsInputRef = useRef(null);
+  const projectFileInputRef = useRef(null);
+  const [showMaterialLibrary, setShowMaterialLibrary] = useState(false);
+  const [importReport, setImportReport] = useState(null);
   const [showImportExport, setShowImportExport] = useState(false);
   const [showAddObjectDropdown, setShowAddObjectDropdown] = useState(false);
   const [newObjectType, setNewObjectType] = useState('cylinder');
+  const [showPatternDialog, setShowPatternDialog] = useState(false);
+  const [projects, setProjects] = useState([]);
+  const [showProjects, setShowProjects] = useState(false);
+  const [showMeshExport, setShowMeshExport] = useState(false);
+  const [exportFormat, setExportFormat] = useState('qads');
+  const [autosaveFailed, setAutosaveFailed] = useState(false);
+
+  // Params, setters and scene keys of each object type (groups included), keyed by selectedObjectType
+  const paramsByType = {
+    cylinder: cylinderParams,
+    sphere: sphereParams,
+    box: boxParams,
+    ...shapeParamsByType,
+    group: groups,
+  };
+  const settersByType = {
+    cylinder: setCylinderParams,
+    sphere: setSphereParams,
+    box: setBoxParams,
+    ...shapeSettersByType,
+    group: setGroups,
+  };
+  const selectedParams = paramsByType[selectedObjectType]?.[selectedObject];
+  // Selected objects that still exist (undo can remove them), with their params
+  const selectedItems = getSelectedItems(selection, paramsByType);
+  const isMultiSelection = selectedItems.length > 1;
+  const isGroupSelected = selectedObjectType === 'group';
+  const meshesByType = {
+    cylinder: cylinderMeshes,
+    sphere: sphereMeshes,
+    box: boxMeshes,
+    ...Object.fromEntries(SHAPE_TYPES.map(({ type }) => [type, shapeMeshes[type] || {}])),
+    group: groupObjects,
+  };
+  const selectedMesh = meshesByType[selectedObjectType]?.[selectedObject];
+  // Spheres have no rotation, so the gizmo only moves or scales them. Groups are only moved and rotated.
+  const activeGizmoMode =
+    (selectedObjectType === 'sphere' && gizmoMode === 'rotate') || (isGroupSelected && gizmoMode === 'scale')
+      ? 'translate'
+      : gizmoMode;
+  // Bodies in world coordinates, with the transforms of their groups applied
+  const worldCylinderParams = useMemo(() => flattenBodies(cylinderParams, groups), [cylinderParams, groups]);
+  const worldSphereParams = useMemo(() => flattenBodies(sphereParams, groups), [sphereParams, groups]);
+  const worldBoxParams = useMemo(() => flattenBodies(boxParams, groups), [boxParams, groups]);
+  const worldShapeParams = useMemo(
+    () => Object.fromEntries(SHAPE_TYPES.map(({ type }) => [type, flattenBodies(shapeParamsByType[type], groups)])),
+    [shapeParamsByType, groups]
+  );
+  const worldParamsByType = useMemo(
+    () => ({ cylinder: worldCylinderParams, sphere: worldSphereParams, box: worldBoxParams, ...worldShapeParams }),
+    [worldCylinderParams, worldSphereParams, worldBoxParams, worldShapeParams]
+  );
+  const bodyExists = (id) => BODY_TYPES.some(({ type }) => paramsByType[type][id]);
+  // The world body around all bodies, when the world is enabled
+  const worldBody = useMemo(() => {
+    if (!world.enabled) {
+      return null;
+    }
+    const bodies = getBodyOrder(worldParamsByType).map(({ type, id }) => ({ type, params: worldParamsByType[type][id] }));
+    return getWorldBody(world, bodies);
+  }, [world, worldParamsByType]);
+  // Colliding pairs of bodies, kept up to date as the scene is edited. Overlaps between bodies combined in a
+  // zone (e.g. a wall minus its penetration) are intended and left out.
+  const collisionPairs = useMemo(
+    () =>
+      detectCollisions(worldCylinderParams, worldSphereParams, worldBoxParams, worldShapeParams).filter(
+        ([id1, id2]) => !areBodiesCombined(zones, id1, id2)
+      ),
+    [worldCylinderParams, worldSphereParams, worldBoxParams, worldShapeParams, zones]
+  );
+  // How deep each pair overlaps. Depths are kept for the pairs whose bodies have not changed, so an edit only
+  // works out the depths of the pairs of the bodies it changed. The depths are only kept for reuse once the
+  // render that worked them out is committed.
+  const penetrationsRef = useRef(new Map());
+  const penetrations = useMemo(() => {
+    const bodyOf = (id) => {
+      const { type } = BODY_TYPES.find((entry) => worldParamsByType[entry.type][id]);
+      return { type, params: worldParamsByType[type][id] };
+    };
+    return getPenetrations(collisionPairs, bodyOf, penetrationsRef.current);
+  }, [collisionPairs, worldParamsByType]);
+  useEffect(() => {
+    penetrationsRef.current = penetrations;
+  }, [penetrations]);
+  // Collisions as { pair, penetration, allowed }; allowed ones were acknowledged and are not warned about
+  const collisions = collisionPairs.map((pair) => ({
+    pair,
+    penetration: penetrations.get(pair.join(' ')).penetration,
+    allowed: hasPair(allowedOverlaps, pair),
+  }));
+  const collidingIds = new Set(collisions.filter(({ allowed }) => !allowed).flatMap(({ pair }) => pair));
+  const previewZone = zones.find((zone) => zone.id === previewZoneId && zone.terms.length > 0);
+  // New objects and zones start out in the first material of the library
+  const defaultMaterialType = materials[0].id;
+  const usedMaterialTypes = new Set([
+    ...BODY_TYPES.flatMap(({ type }) => Object.values(paramsByType[type]).map(({ materialType }) => materialType)),
+    ...zones.map(({ materialType }) => materialType),
+    ...(world.enabled ? [world.fill] : []),
+  ]);
+
+  // Autosave the scene shortly after it changes, and right away when the page is closed
+  useEffect(() => {
+    const save = () => setAutosaveFailed(!saveAutosave(scene, currentProject?.id ?? null));
+    const timer = setTimeout(save, AUTOSAVE_DELAY_MS);
+    window.addEventListener('beforeunload', save);
+    return () => {
+      clearTimeout(timer);
+      window.removeEventListener('beforeunload', save);
+    };
+  }, [scene, currentProject]);
+
+  // A gesture ends when the pointer is released (a slider or gizmo drag) or a field loses focus (typing into
+  // it), which closes its coalesced undo step
+  useEffect(() => {
+    window.addEventListener('pointerup', endStep);
+    window.addEventListener('focusout', endStep);
+    return () => {
+      window.removeEventListener('pointerup', endStep);
+      window.removeEventListener('focusout', endStep);
+    };
+  }, [endStep]);
+
+  useUndoShortcuts(undo, redo);
 
-  const handleObjectSelect = (objectId, objectType) => {
-    setSelectedObject(objectId);
-    setSelectedObjectType(objectType);
+  // Keyboard shortcuts for the gizmo mode: W move, E rotate, R scale. B starts a box selection, Escape cancels it.
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.ctrlKey || e.metaKey || e.altKey || ['INPUT', 'SELECT', 'TEXTAREA'].includes(e.target.tagName)) return;
+      const key = e.key.toLowerCase();
+      const gizmo = GIZMO_MODES.find((mode) => mode.key === key);
+      if (gizmo) {
+        setGizmoMode(gizmo.mode);
+      } else if (key === 'b') {
+        setBoxSelectActive(true);
+      } else if (key === 'g') {
+        setGrid((prev) => ({ ...prev, snap: !prev.snap }));
+      } else if (key === 'escape') {
+        setBoxSelectActive(false);
+        setBoxSelectRect(null);
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+
+  // Select a single object, or nothing when objectId is null
+  const selectObject = (objectId, objectType) => {
+    setSelection(objectId ? [{ id: objectId, type: objectType }] : []);
   };
 
-  // Update function for Radius
-  const updateRadius = (value) => {
+  // Places the ray end being picked at a point in the viewport, and ends the picking
+  const placeRayEnd = (point) => {
+    setRay((prev) => ({ ...prev, [rayPick]: point }));
+    setRayPick(null);
+  };
+
+  // Clicking an object selects it; with Shift, Ctrl or Cmd held it is added to or removed from the selection.
+  // While a ray end is being picked, clicking a body places it at the clicked point instead.
+  const handleObjectSelect = (objectId, objectType, additive = false, point = null) => {
+    if (rayPick && point) {
+      placeRayEnd(point);
+      return;
+    }
+    if (!additive) {
+      selectObject(objectId, objectType);
+      return;
+    }
+    setSelection((prev) => toggleSelection(prev, objectId, objectType));
+  };
+
+  // Update function for Radius. Cylinders take the end to update ('radiusTop' or 'radiusBottom').
+  const updateRadius = (value, end) => {
     if (selectedObjectType === 'cylinder') {
       setCylinderParams((prev) => ({
         ...prev,
         [selectedObject]: {
           ...prev[selectedObject],
-          radiusTop: value,
-          radiusBottom: value,
+          [end]: value,
         },
-      }));
+      }), `${selectedObject}:${end}`);
     } else {
       setSphereParams((prev) => ({
         ...prev,
@@ -441,15 +1873,28 @@ function App() {
           ...prev[selectedObject],
           radius: value,
         },
-      }));
+      }), `${selectedObject}:radius`);
     }
   };
 
-  // Add a new object (cylinder or sphere) with default parameters.
+  // Add a new object (a body of any type, or a group) with default parameters.
+  // With a group selected, the new object is placed inside it.
   const addObject = () => {
-    if (newObjectType === 'cylinder') {
+    const parent = isGroupSelected ? { parent: selectedObject } : {};
+    if (newObjectType === 'group') {
+      const newId = createObjectId('group', Object.keys(groups));
+      setGroups((prev) => ({
+        ...prev,
+        [newId]: {
+          position: [0, 0, 0],
+          rotation: [0, 0, 0],
+          ...parent,
+        },
+      }));
+      selectObject(newId, 'group');
+    } else if (newObjectType === 'cylinder') {
       const count = Object.keys(cylinderParams).length;
-      const newId = 'cylinder' + (count + 1);
+      const newId = createObjectId('cylinder', Object.keys(cylinderParams));
       const defaultPosition = [count * 2, 0, 0];
 
       setCylinderParams((prev) => ({
@@ -460,14 +1905,47 @@ function App() {
           height: 2,
           rotation: [0, 0, 0],
           position: defaultPosition,
-          materialType: 'concrete',
+          materialType: defaultMaterialType,
+          ...parent,
         },
       }));
-      setSelectedObject(newId);
-      setSelectedObjectType('cylinder');
+      selectObject(newId, 'cylinder');
+    } else if (newObjectType === 'box') {
+      const count = Object.keys(boxParams).length;
+      const newId = createObjectId('box', Object.keys(boxParams));
+      const defaultPosition = [count * 2, 0, 0];
+
+      setBoxParams((prev) => ({
+        ...prev,
+        [newId]: {
+          width: 2,
+          height: 2,
+          depth: 2,
+          rotation: [0, 0, 0],
+          position: defaultPosition,
+          materialType: defaultMaterialType,
+          ...parent,
+        },
+      }));
+      selectObject(newId, 'box');
+    } else if (DEFAULT_SHAPE_PARAMS[newObjectType]) {
+      const count = Object.keys(paramsByType[newObjectType]).length;
+      const newId = createObjectId(newObjectType, Object.keys(paramsByType[newObjectType]));
+
+      settersByType[newObjectType]((prev) => ({
+        ...prev,
+        [newId]: {
+          ...DEFAULT_SHAPE_PARAMS[newObjectType],
+          rotation: [0, 0, 0],
+          position: [count * 2, 0, 0],
+          materialType: defaultMaterialType,
+          ...parent,
+        },
+      }));
+      selectObject(newId, newObjectType);
     } else {
       const count = Object.keys(sphereParams).length;
-      const newId = 'sphere' + (count + 1);
+      const newId = createObjectId('sphere', Object.keys(sphereParams));
       const defaultPosition = [count * 2, 0, 0];
 
       setSphereParams((prev) => ({
@@ -475,23 +1953,263 @@ function App() {
         [newId]: {
           radius: 1,
           position: defaultPosition,
-          materialType: 'concrete',
+          materialType: defaultMaterialType,
+          ...parent,
         },
       }));
-      setSelectedObject(newId);
-      setSelectedObjectType('sphere');
+      selectObject(newId, 'sphere');
     }
     setShowAddObjectDropdown(false);
   };
 
+  // Delete the selected objects and select the neighbour of the primary one in the object list.
+  // Deleting a group keeps its contents: they move up into the group's parent, staying where they are.
+  const deleteObject = () => {
+    if (selectedItems.length === 0) return;
+    const deletedIds = new Set(selectedItems.map(({ id }) => id));
+    const objects = getBodyOrder(paramsByType);
+    const index = objects.findIndex(({ id }) => id === selectedObject);
+    const remaining = objects.filter(({ id }) => !deletedIds.has(id));
+    const fallback = remaining[Math.min(Math.max(index, 0), remaining.length - 1)];
+
+    setScene((prev) => selectedItems.reduce((next, { id, type }) => removeObject(next, id, type), prev));
+    if (isGroupSelected && !isMultiSelection) {
+      selectObject(selectedParams.parent || null, 'group');
+    } else {
+      selectObject(fallback ? fallback.id : null, fallback?.type);
+    }
+  };
+
+  // Duplicate the selected object next to itself and select the copy
+  const duplicateObject = () => {
+    if (!selectedParams) return;
+    const newId = createObjectId(selectedObjectType, Object.keys(paramsByType[selectedObjectType]));
+    const copy = duplicateParams(selectedObjectType, selectedParams);
+    settersByType[selectedObjectType]((prev) => ({ ...prev, [newId]: copy }));
+    selectObject(newId, selectedObjectType);
+  };
+
+  // Copies of the selected body laid out in a pattern, added as one undo step. The copies are numbered after
+  // the original's name and selected together with it.
+  const applyPattern = (pattern) => {
+    const ids = Object.keys(paramsByType[selectedObjectType]);
+    const copies = {};
+    getPatternTransforms(pattern, selectedParams.position).forEach(({ rotation, translation }, i) => {
+      const id = createObjectId(selectedObjectType, [...ids, ...Object.keys(copies)]);
+      copies[id] = transformBodyParams(selectedParams, rotation, translation);
+      if (selectedParams.name) {
+        copies[id].name = `${selectedParams.name} ${i + 2}`;
+      }
+    });
+    settersByType[selectedObjectType]((prev) => ({ ...prev, ...copies }));
+    setSelection([
+      ...Object.keys(copies).map((id) => ({ id, type: selectedObjectType })),
+      { id: selectedObject, type: selectedObjectType },
+    ]);
+    setShowPatternDialog(false);
+  };
+
+  // Move the selected object into a group (or to the top level), keeping its place in the world
+  const moveToGroup = (parent) => {
+    const sceneKey = SCENE_KEYS_BY_TYPE[selectedObjectType];
+    setScene((prev) => ({
+      ...prev,
+      [sceneKey]: {
+        ...prev[sceneKey],
+        [selectedObject]: reparentParams(prev[sceneKey][selectedObject], parent, prev.groups),
+      },
+    }));
+  };
+
+  // Placement relative to another body (the placement target), computed in world coordinates from the
+  // params of both bodies. The result is written back relative to the selected object's group.
+  const bodyTypeOf = (id) => BODY_TYPES.find(({ type }) => paramsByType[type][id]).type;
+  const targetBody =
+    placementTarget && placementTarget !== selectedObject && bodyExists(placementTarget)
+      ? { type: bodyTypeOf(placementTarget), params: worldParamsByType[bodyTypeOf(placementTarget)][placementTarget] }
+      : null;
+  const selectedWorldParams = selectedParams && getWorldParams(selectedParams, groups);
+
+  const placeSelected = (worldPosition) => {
+    const placed = { ...selectedWorldParams, position: worldPosition };
+    const { position } = selectedParams.parent ? reparentParams(placed, selectedParams.parent, groups) : placed;
+    updateParam('position', position);
+  };
+  const moveSelectedInWorld = (translation) => placeSelected(add(selectedWorldParams.position, translation));
+  const selectedBody = () => ({ type: selectedObjectType, params: selectedWorldParams });
+
+  // Box selection: drag a rectangle over the canvas to select the bodies whose centers lie inside it.
+  // With Shift, Ctrl or Cmd held the bodies are added to the selection.
+  const getCanvasPoint = (e) => {
+    const bounds = e.currentTarget.getBoundingClientRect();
+    return [e.clientX - bounds.left, e.clientY - bounds.top];
+  };
+
+  const handleBoxSelectStart = (e) => {
+    const point = getCanvasPoint(e);
+    e.currentTarget.setPointerCapture(e.pointerId);
+    setBoxSelectRect({ start: point, end: point });
+  };
+
+  const handleBoxSelectMove = (e) => {
+    if (boxSelectRect) {
+      setBoxSelectRect({ ...boxSelectRect, end: getCanvasPoint(e) });
+    }
+  };
+
+  const handleBoxSelectEnd = (e) => {
+    if (!boxSelectRect || !cameraRef.current) return;
+    const { width, height } = e.currentTarget.getBoundingClientRect();
+    const [minX, maxX] = [boxSelectRect.start[0], boxSelectRect.end[0]].sort((a, b) => a - b);
+    const [minY, maxY] = [boxSelectRect.start[1], boxSelectRect.end[1]].sort((a, b) => a - b);
+    const inside = getBodyOrder(paramsByType).filter(({ type, id }) => {
+      const mesh = meshesByType[type][id];
+      if (!mesh) return false;
+      const center = mesh.getWorldPosition(new Vector3()).project(cameraRef.current);
+      const x = ((center.x + 1) / 2) * width;
+      const y = ((1 - center.y) / 2) * height;
+      // Points behind the camera project with z > 1
+      return center.z < 1 && x >= minX && x <= maxX && y >= minY && y <= maxY;
+    });
+    if (e.shiftKey || e.ctrlKey || e.metaKey) {
+      setSelection((prev) => [...prev.filter(({ id }) => !inside.some((item) => item.id === id)), ...inside]);
+    } else {
+      setSelection(inside);
+    }
+    setBoxSelectRect(null);
+    setBoxSelectActive(false);
+  };
+
+  // Apply an update to the params of every selected object, as one undo step
+  const updateSelected = (update, coalesceKey) => {
+    setScene((prev) => updateObjects(prev, selectedItems, update), coalesceKey);
+  };
+
+  const moveSelectedBy = (offset) => {
+    updateSelected((params) => moveParamsBy(params, offset));
+  };
+
+  // Each object turns about its own center; spheres only have a center
+  const rotateSelectedBy = (rotation) => {
+    updateSelected((params) => rotateParamsBy(params, rotation));
+  };
+
+  const setSelectedPosition = (axisIndex, value) => {
+    updateSelected(
+      (params) => setPositionAxis(params, axisIndex, value),
+      `selection:position${axisIndex}`
+    );
+  };
+
+  const setSelectedMaterial = (materialType) => {
+    updateSelected((params, type) => (type === 'group' ? params : { ...params, materialType }));
+  };
+
+  // Add a zone, starting from the selected body
+  const addZone = () => {
+    const id = nextZoneId(zones);
+    const bodyParams = isGroupSelected ? null : selectedParams;
+    setZones((prev) => [
+      ...prev,
+      {
+        id,
+        name: id,
+        materialType: bodyParams?.materialType || defaultMaterialType,
+        terms: bodyParams ? [[{ bodyId: selectedObject, sign: '+' }]] : [],
+      },
+    ]);
+  };
+
+  const updateZone = (zoneId, zone) => {
+    setZones((prev) => prev.map((z) => (z.id === zoneId ? zone : z)), `${zoneId}:zone`);
+  };
+
+  const deleteZone = (zoneId) => {
+    setZones((prev) => prev.filter((z) => z.id !== zoneId));
+    if (previewZoneId === zoneId) {
+      setPreviewZoneId(null);
+    }
+  };
+
+  const addMaterial = () => {
+    const index = Math.max(0, ...materials.map((material) => material.index)) + 1;
+    setMaterials((prev) => [...prev, createMaterial(prev, index)]);
+    setShowMaterialLibrary(true);
+  };
+
+  const updateMaterial = (materialId, material) => {
+    setMaterials((prev) => prev.map((m) => (m.id === materialId ? material : m)), `${materialId}:material`);
+  };
+
+  const deleteMaterial = (materialId) => {
+    setMaterials((prev) => prev.filter((m) => m.id !== materialId));
+  };
+
+  // Saves the material library to a JSON file.
+  const handleSaveMaterials = () => {
+    const blob = new Blob([serializeMaterials(materials)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = 'materials.json';
+    link.click();
+  };
+
+  // Loads a material library from a JSON file. Materials in use that the file does not define are kept.
+  const handleLoadMaterials = (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      let loaded;
+      try {
+        loaded = parseMaterials(e.target.result);
+      } catch (error) {
+        alert(`Could not load the material library: ${error.message}`);
+        event.target.value = '';
+        return;
+      }
+      const loadedIds = new Set(loaded.map(({ id }) => id));
+      const kept = materials.filter(({ id }) => usedMaterialTypes.has(id) && !loadedIds.has(id));
+      if (loaded.length + kept.length > 0) {
+        setMaterials([...loaded, ...kept]);
+      }
+      event.target.value = '';
+    };
+    reader.readAsText(file);
+  };
+
+  // Selects the two bodies of a collision and turns the camera to the middle between them
+  const focusCollision = (pair) => {
+    const bodies = pair.map((id) => ({ id, type: bodyTypeOf(id) }));
+    setSelection(bodies);
+    const [a, b] = bodies.map(({ id, type }) => worldParamsByType[type][id].position);
+    setCameraFocus({ point: a.map((v, i) => (v + b[i]) / 2) });
+  };
+
+  // Acknowledges the overlap of a pair of bodies, or takes the acknowledgement back
+  const setOverlapAllowed = (pair, allowed) =>
+    setAllowedOverlaps((prev) => (allowed ? [...prev, pair] : prev.filter((other) => !hasPair([other], pair))));
+
+  // Helper: Bodies and zones as the decks are written. Bodies are in world coordinates, with the transforms
+  // of their groups applied, and bodies not used in any zone get a zone of their own. The world body goes
+  // last, and its void and exterior zones after the others, unless includeWorld is false.
+  const getExportModel = (includeWorld = true) => {
+    const bodyOrder = getBodyOrder(paramsByType);
+    const bodyTypes = Object.fromEntries(bodyOrder.map(({ id, type }) => [id, type]));
+    const exportZones = getExportZones(zones, bodyOrder, (id) => paramsByType[bodyTypes[id]][id]);
+    const bodies = bodyOrder.map(({ type, id }) => ({ type, id, params: worldParamsByType[type][id] }));
+    return worldBody && includeWorld
+      ? { bodies: [...bodies, worldBody], zones: [...exportZones, ...getWorldZones(world, exportZones)] }
+      : { bodies, zones: exportZones };
+  };
+
   // Exports objects to a text file.
   const handleExport = () => {
-    const collisions = detectCollisions(cylinderParams, sphereParams);
-    
-    if (collisions.length > 0) {
-      const collisionMessage = collisions.map(([id1, id2]) => 
-        `${id1} and ${id2}`
-      ).join(', ');
+    // Acknowledged overlaps are not warned about again
+    const warnings = collisions.filter(({ allowed }) => !allowed);
+
+    if (warnings.length > 0) {
+      const collisionMessage = warnings.map(({ pair: [id1, id2] }) => `${id1} and ${id2}`).join(', ');
       
       const warningMessage = `⚠️ COLLISION WARNING ⚠️\n\nDetected collisions between: ${collisionMessage}\n\nObjects are intersecting and may cause issues in your model. Please adjust their positions or sizes before exporting.\n\nDo you want to export anyway?`;
       
@@ -500,513 +2218,1194 @@ function App() {
       }
     }
     
-    const materialMap = {
-      'concrete': 1,
-      'steel': 2,
-      'wood': 3,
-      'standard': 4
-    };
-    
-    let exportString = '';
-    let index = 1;
-    
-    // Export cylinders
-    for (const [id, params] of Object.entries(cylinderParams)) {
-      const [centerX, centerY, centerZ] = params.position;
-      const [rotX, rotY, rotZ] = params.rotation.map(v => v * Math.PI);
-      const height = params.height;
-      const radius = params.radiusTop;
-      const [dx, dy, dz] = eulerToDirection([rotX, rotY, rotZ]);
-      const bottomX = centerX - 0.5 * height * dx;
-      const bottomY = centerY - 0.5 * height * dy;
-      const bottomZ = centerZ - 0.5 * height * dz;
-      const dirX = dx * height;
-      const dirY = dy * height;
-      const dirZ = dz * height;
-      exportString += `rcc ${index} ${bottomX.toFixed(6)} ${bottomY.toFixed(6)} ${bottomZ.toFixed(6)} ${dirX.toFixed(6)} ${dirY.toFixed(6)} ${dirZ.toFixed(6)} ${radius.toFixed(6)}\n`;
-      index++;
-    }
-    
-    // Export spheres
-    for (const [id, params] of Object.entries(sphereParams)) {
-      const [centerX, centerY, centerZ] = params.position;
-      const radius = params.radius;
-      exportString += `sph ${index} ${centerX.toFixed(6)} ${centerY.toFixed(6)} ${centerZ.toFixed(6)} ${radius.toFixed(6)}\n`;
-      index++;
-    }
-    
-    exportString += 'end body\n';
-    
-    // Zone definitions
-    index = 1;
-    for (const [id, params] of Object.entries(cylinderParams)) {
-      const materialInt = materialMap[params.materialType] || 1;
-      exportString += `zn${index} 1 ${index}\n`;
-      index++;
-    }
-    for (const [id, params] of Object.entries(sphereParams)) {
-      const materialInt = materialMap[params.materialType] || 1;
-      exportString += `zn${index} 1 ${index}\n`;
-      index++;
-    }
-    exportString += 'end zone\n';
-    
-    // Material list per body
-    index = 1;
-    for (const [id, params] of Object.entries(cylinderParams)) {
-      const materialInt = materialMap[params.materialType] || 1;
-      exportString += `${materialInt} `;
-      index++;
-    }
-    for (const [id, params] of Object.entries(sphereParams)) {
-      const materialInt = materialMap[params.materialType] || 1;
-      exportString += `${materialInt} `;
-      index++;
+    const { write, extension, unit } = DECK_FORMATS.find(({ format }) => format === exportFormat);
+    const { bodies, zones: exportZones } = getExportModel();
+    const deck = buildDeck(bodies, exportZones, materials, { unit: unit || units.exportUnit, precision: units.precision });
+    let text;
+    try {
+      text = write(deck);
+    } catch (error) {
+      alert(`The export failed: ${error.message}`);
+      return;
     }
-    
-    exportString += '\nend geom\n';
 
-    const blob = new Blob([exportString], { type: 'text/plain' });
+    const blob = new Blob([text], { type: 'text/plain' });
     const link = document.createElement('a');
     link.href = URL.createObjectURL(blob);
-    link.download = 'model.qads';
+    link.download = `model.${extension}`;
     link.click();
     
-    if (collisions.length > 0) {
+    if (warnings.length > 0) {
       alert('⚠️ Export completed with collision warnings. Please review your model.');
     }
   };
 
+  // Exports the bodies as meshes (STL, OBJ or glTF) for CAD and visualization tools
+  const handleMeshExport = async (settings) => {
+    const bodies = getBodyOrder(paramsByType).map(({ type, id }) => ({
+      type,
+      id,
+      params: worldParamsByType[type][id],
+    }));
+    const exportScene = buildExportScene(bodies, materials, settings.segments, units.exportUnit);
+    let files;
+    try {
+      files = await exportMeshes(exportScene, settings, 'model');
+    } catch (error) {
+      alert(`The mesh export failed: ${error.message}`);
+      return;
+    }
+    for (const { fileName, data } of files) {
+      const blob = new Blob([data], { type: typeof data === 'string' ? 'text/plain' : 'application/octet-stream' });
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(blob);
+      link.download = fileName;
+      link.click();
+    }
+    setShowMeshExport(false);
+  };
+
+  // Line-of-sight report of the ray through the bodies and zones as exported, while the tool is open
+  const rayModel = showRay ? getExportModel() : null;
+  const rayReport = rayModel && traceRay(rayModel.bodies, rayModel.zones, ray.start, ray.end);
+  const getRayLabel = (crossing) => getObjectLabel(crossing.id, crossing);
+  const getRayMaterialName = (materialType) =>
+    materialType === null ? 'Outside all zones' : findMaterial(materials, materialType).name;
+
+  const handleRayExport = () => {
+    const csv = rayReportToCsv(rayReport, ray.start, ray.end, {
+      label: getRayLabel,
+      materialName: getRayMaterialName,
+      format: (value) => String(parseFloat(convertLength(value, 'cm', units.displayUnit).toFixed(units.precision))),
+      unit: units.displayUnit,
+    });
+    const blob = new Blob([csv], { type: 'text/csv' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = 'ray.csv';
+    link.click();
+  };
+
+  // Analysis of the bodies without the world, while the panel is open. An estimate is only shown for the
+  // scene it was made for.
+  const analysisModel = showAnalysis ? getExportModel(false) : null;
+  const analysisReport = analysisModel && analyzeBodies(analysisModel.bodies, materials);
+  const currentEstimate = overlapEstimate?.scene === scene ? overlapEstimate.result : null;
+
+  // The estimate samples a chunk per task, so the page stays responsive and shows its progress
+  const handleEstimateOverlaps = () => {
+    const estimator = createOverlapEstimator(analysisModel.bodies, analysisModel.zones, materials);
+    const estimatedScene = scene;
+    const total = analysisSamples;
+    let sampled = 0;
+    const sampleChunk = () => {
+      const count = Math.min(SAMPLES_PER_CHUNK, total - sampled);
+      estimator.sample(count);
+      sampled += count;
+      if (sampled < total) {
+        setEstimateProgress(sampled / total);
+        estimateTimer.current = setTimeout(sampleChunk, 0);
+      } else {
+        estimateTimer.current = null;
+        setEstimateProgress(null);
+        setOverlapEstimate({ scene: estimatedScene, result: estimator.result() });
+      }
+    };
+    clearTimeout(estimateTimer.current);
+    setEstimateProgress(0);
+    estimateTimer.current = setTimeout(sampleChunk, 0);
+  };
+
+  // An estimate still running is dropped when the scene changes or the panel is closed
+  useEffect(
+    () => () => {
+      clearTimeout(estimateTimer.current);
+      estimateTimer.current = null;
+      setEstimateProgress(null);
+    },
+    [scene, showAnalysis]
+  );
+
+  const handleAnalysisExport = () => {
+    const factor = lengthFactor('cm', units.displayUnit);
+    const format = (value) => String(parseFloat(value.toPrecision(units.precision)));
+    const csv = analysisToCsv(analysisReport, currentEstimate, {
+      label: (object) => getObjectLabel(object.id, object),
+      materialName: (materialType) => findMaterial(materials, materialType).name,
+      formatLength: (value) => format(value * factor),
+      formatVolume: (value) => format(value * factor ** 3),
+      formatMass: format,
+      unit: units.displayUnit,
+    });
+    const blob = new Blob([csv], { type: 'text/csv' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = 'analysis.csv';
+    link.click();
+  };
+
   const handleImportClick = () => {
     if (fileInputRef.current) {
       fileInputRef.current.click();
     }
   };
 
+  // Reads a QADS file and shows the import report; the scene is only replaced once the report is confirmed.
   const handleFileImport = (event) => {
     const file = event.target.files[0];
     if (!file) return;
     const reader = new FileReader();
     reader.onload = (e) => {
-      const text = e.target.result;
-      const lines = text.split('\n');
-      let newCylinderParams = {};
-      let newSphereParams = {};
-      let cylIndex = 1;
-      let sphIndex = 1;
-      let objectOrder = [];
-      let materialList = [];
-      let parsingMaterials = false;
-      for (let line of lines) {
-        line = line.trim();
-        if (line.startsWith('rcc')) {
-          const parts = line.split(/\s+/);
-          if (parts.length >= 9) {
-            const posX = parseFloat(parts[2]);
-            const posY = parseFloat(parts[3]);
-            const posZ = parseFloat(parts[4]);
-            const dirX = parseFloat(parts[5]);
-            const dirY = parseFloat(parts[6]);
-            const dirZ = parseFloat(parts[7]);
-            const radius = parseFloat(parts[8]);
-            // Calculate center and rotation
-            const height = Math.sqrt(dirX * dirX + dirY * dirY + dirZ * dirZ);
-            const centerX = posX + dirX / 2;
-            const centerY = posY + dirY / 2;
-            const centerZ = posZ + dirZ / 2;
-            // Approximate rotation (not exact, but works for simple cases)
-            const rotY = Math.atan2(dirX, dirZ) / Math.PI;
-            const rotX = Math.atan2(Math.sqrt(dirX * dirX + dirZ * dirZ), dirY) / Math.PI;
-            const id = `cylinder${cylIndex}`;
-            newCylinderParams[id] = {
-              radiusTop: radius,
-              radiusBottom: radius,
-              height: height,
-              rotation: [rotX, rotY, 0],
-              position: [centerX, centerY, centerZ],
-              materialType: 'concrete', // will be updated after parsing materials
-            };
-            objectOrder.push({ type: 'cylinder', id });
-            cylIndex++;
-          }
-        } else if (line.startsWith('sph')) {
-          const parts = line.split(/\s+/);
-          if (parts.length >= 6) {
-            const posX = parseFloat(parts[2]);
-            const posY = parseFloat(parts[3]);
-            const posZ = parseFloat(parts[4]);
-            const radius = parseFloat(parts[5]);
-            const id = `sphere${sphIndex}`;
-            newSphereParams[id] = {
-              radius: radius,
-              position: [posX, posY, posZ],
-              materialType: 'concrete', // will be updated after parsing materials
-            };
-            objectOrder.push({ type: 'sphere', id });
-            sphIndex++;
-          }
-        } else if (line.match(/^\d+(\s+\d+)*$/)) {
-          // This is likely the material list line
-          parsingMaterials = true;
-          materialList = line.split(/\s+/).map(Number);
-        }
-      }
-      // Map material numbers to types
-      const materialMapReverse = {
-        1: 'concrete',
-        2: 'steel',
-        3: 'wood',
-        4: 'standard',
-      };
-      if (materialList.length > 0 && objectOrder.length === materialList.length) {
-        materialList.forEach((matNum, idx) => {
-          const obj = objectOrder[idx];
-          const matType = materialMapReverse[matNum] || 'concrete';
-          if (obj.type === 'cylinder') {
-            newCylinderParams[obj.id].materialType = matType;
-          } else if (obj.type === 'sphere') {
-            newSphereParams[obj.id].materialType = matType;
-          }
-        });
-      }
-      if (Object.keys(newCylinderParams).length > 0 || Object.keys(newSphereParams).length > 0) {
-        setCylinderParams(newCylinderParams);
-        setSphereParams(newSphereParams);
-        if (Object.keys(newCylinderParams).length > 0) {
-          setSelectedObject('cylinder1');
-          setSelectedObjectType('cylinder');
-        } else if (Object.keys(newSphereParams).length > 0) {
-          setSelectedObject('sphere1');
-          setSelectedObjectType('sphere');
-        }
-      } else {
-        alert('No valid cylinder or sphere data found in the file.');
+      setImportReport({ fileName: file.name, result: parseQads(e.target.result) });
+      event.target.value = '';
+    };
+    reader.readAsText(file);
+  };
+
+  // Adds the bodies and zones of a parsed QADS file to the scene, or replaces the scene with them
+  const applyImport = (parsed, options) => {
+    const { scene: newScene, bodyIdsByNumber, bodyTypesById, newParamsByType } = importQads(scene, parsed, options);
+    // One scene update, so the whole import is a single undo step
+    setScene(newScene);
+    setPreviewZoneId(null);
+    const first = parsed.bodies.length > 0 ? bodyIdsByNumber[parsed.bodies[0].number] : null;
+    selectObject(first, bodyTypesById[first]);
+
+    if (options.mode === 'merge') {
+      const collisions = getImportCollisions(scene, newParamsByType);
+      if (collisions.length > 0) {
+        const collisionMessage = collisions.map(([id1, id2]) => `${id1} and ${id2}`).join(', ');
+        alert(`⚠️ The imported bodies collide with existing objects: ${collisionMessage}\n\nPlease adjust the import offset or the positions of these objects.`);
       }
+    }
+  };
+
+  const openProjectsDialog = () => {
+    setProjects(listProjects());
+    setShowProjects(true);
+  };
+
+  // Save the scene into the current project, or as a new project when name is given
+  const storeProject = (name = null) => {
+    const project = name ? { name } : currentProject;
+    const id = saveProject(project.name, scene, name ? null : project.id);
+    if (!id) {
+      alert('The project could not be saved: the browser storage is full.');
+      return;
+    }
+    setCurrentProject({ id, name: project.name });
+    setProjects(listProjects());
+  };
+
+  // Switch to another scene. Loading is one undo step, so it can be taken back.
+  const replaceScene = (newScene, project) => {
+    setScene({ ...EMPTY_SCENE, ...newScene });
+    setCurrentProject(project);
+    setSelection([]);
+    setPreviewZoneId(null);
+    setShowProjects(false);
+  };
+
+  const openProject = (project) => {
+    const saved = loadProject(project.id);
+    if (!saved) {
+      alert(`The project "${project.name}" could not be read.`);
+      return;
+    }
+    replaceScene(saved, project);
+  };
+
+  // Saves the whole scene to a project file, which opens again exactly as it was saved
+  const handleSaveProjectFile = () => {
+    const name = currentProject?.name || 'project';
+    const text = serializeProject(scene, { name, savedAt: new Date().toISOString() });
+    const blob = new Blob([text], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `${name}.json`;
+    link.click();
+  };
+
+  // Opens a project file, replacing the scene. Files of older versions are migrated.
+  const handleOpenProjectFile = (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = (e) => {
       event.target.value = '';
+      let project;
+      try {
+        project = parseProject(e.target.result);
+      } catch (error) {
+        alert(`Could not open the project: ${error.message}`);
+        return;
+      }
+      replaceScene(project.scene, null);
     };
     reader.readAsText(file);
   };
 
+  const renameStoredProject = (id, name) => {
+    renameProject(id, name);
+    if (currentProject?.id === id) {
+      setCurrentProject({ id, name });
+    }
+    setProjects(listProjects());
+  };
+
+  const deleteStoredProject = (project) => {
+    if (!window.confirm(`Delete the project "${project.name}"? This cannot be undone.`)) return;
+    deleteProject(project.id);
+    if (currentProject?.id === project.id) {
+      setCurrentProject(null);
+    }
+    setProjects(listProjects());
+  };
+
+  // Write a gizmo move or rotation of the selected mesh back into its params. The whole drag
+  // shares one coalesce key, so it is a single undo step.
+  const handleGizmoChange = () => {
+    if (!selectedMesh || activeGizmoMode === 'scale') return;
+    const { position, rotation } = selectedMesh;
+    settersByType[selectedObjectType]((prev) => ({
+      ...prev,
+      [selectedObject]: {
+        ...prev[selectedObject],
+        position: [position.x, position.y, position.z],
+        ...(prev[selectedObject].rotation && {
+          rotation: [rotation.x, rotation.y, rotation.z].map((v) => v / Math.PI),
+        }),
+      },
+    }), `${selectedObject}:gizmo`);
+  };
+
+  // Scaling is baked into the geometry params when the drag ends, then the mesh scale is reset
+  const handleGizmoRelease = () => {
+    if (!selectedMesh || activeGizmoMode !== 'scale') return;
+    const { x, y, z } = selectedMesh.scale;
+    selectedMesh.scale.set(1, 1, 1);
+    settersByType[selectedObjectType]((prev) => ({
+      ...prev,
+      [selectedObject]: {
+        ...prev[selectedObject],
+        ...scaleObjectParams(selectedObjectType, prev[selectedObject], [x, y, z]),
+      },
+    }));
+  };
+
   // Helpers to update other parameters.
   const updateParam = (key, value) => {
-    if (selectedObjectType === 'cylinder') {
-      setCylinderParams((prev) => ({
-        ...prev,
-        [selectedObject]: {
-          ...prev[selectedObject],
-          [key]: value,
-        },
-      }));
-    } else {
-      setSphereParams((prev) => ({
-        ...prev,
-        [selectedObject]: {
-          ...prev[selectedObject],
-          [key]: value,
-        },
-      }));
-    }
+    settersByType[selectedObjectType]((prev) => ({
+      ...prev,
+      [selectedObject]: {
+        ...prev[selectedObject],
+        [key]: value,
+      },
+    }), `${selectedObject}:${key}`);
   };
 
   const updateRotation = (axisIndex, value) => {
-    if (selectedObjectType === 'cylinder') {
-      const newRotation = [...cylinderParams[selectedObject].rotation];
+    if (selectedParams.rotation) {
+      const newRotation = [...selectedParams.rotation];
       newRotation[axisIndex] = value;
-      setCylinderParams((prev) => ({
-        ...prev,
-        [selectedObject]: {
-          ...prev[selectedObject],
-          rotation: newRotation,
-        },
-      }));
+      updateParam('rotation', newRotation);
     }
   };
 
   const updatePosition = (axisIndex, value) => {
-    if (selectedObjectType === 'cylinder') {
-      const newPosition = [...cylinderParams[selectedObject].position];
-      newPosition[axisIndex] = value;
-      setCylinderParams((prev) => ({
-        ...prev,
-        [selectedObject]: {
-          ...prev[selectedObject],
-          position: newPosition,
-        },
-      }));
-    } else {
-      const newPosition = [...sphereParams[selectedObject].position];
-      newPosition[axisIndex] = value;
-      setSphereParams((prev) => ({
-        ...prev,
-        [selectedObject]: {
-          ...prev[selectedObject],
-          position: newPosition,
-        },
-      }));
-    }
+    const newPosition = [...selectedParams.position];
+    newPosition[axisIndex] = value;
+    updateParam('position', newPosition);
   };
 
   const updateMaterialType = (e) => {
-    if (selectedObjectType === 'cylinder') {
-      setCylinderParams((prev) => ({
-        ...prev,
-        [selectedObject]: {
-          ...prev[selectedObject],
-          materialType: e.target.value,
-        },
-      }));
-    } else {
-      setSphereParams((prev) => ({
-        ...prev,
-        [selectedObject]: {
-          ...prev[selectedObject],
-          materialType: e.target.value,
-        },
-      }));
-    }
+    updateParam('materialType', e.target.value);
   };
 
-  return (
-    <div className="app-container">
-      <div
-        className="import-export-toggle"
-        onClick={() => setShowImportExport(!showImportExport)}
-      >
-        {showImportExport ? '-' : '+'}
-      </div>
-
-      <div className={`export-import-container ${showImportExport ? 'active' : ''}`}>
-        <button className="import-btn" onClick={handleImportClick}>
-          Import
-        </button>
-        <button className="export-btn" onClick={handleExport}>
-          Export All Objects
-        </button>
-      </div>
-      <input
-        type="file"
-        accept=".qads"
-        style={{ display: 'none' }}
-        ref={fileInputRef}
-        onChange={handleFileImport}
-      />
+  // Selected bodies and the bodies inside selected groups are drawn with highlighted edges
+  const selectedIds = new Set(selectedItems.map(({ id }) => id));
+  const isHighlighted = (id, params) =>
+    selectedIds.has(id) ||
+    selectedItems.some((item) => item.type === 'group' && isInGroup(params.parent, item.id, groups));
 
-      <div className="sidebar">
-        <div className="sidebar-header">
-          <h2>Object Controls</h2>
-        </div>
-        <div className="control-group">
-          <label>Select Object:</label>
-          <select
-            value={selectedObject}
-            onChange={(e) => {
-              const newSelected = e.target.value;
-              setSelectedObject(newSelected);
-              if (cylinderParams[newSelected]) {
-                setSelectedObjectType('cylinder');
-              } else if (sphereParams[newSelected]) {
-                setSelectedObjectType('sphere');
+  // Meshes of the bodies and groups inside a group (null for the top level), nested the same way as the groups
+  const renderSceneLevel = (parent) => {
+    const inLevel = ([, params]) => (params.parent || null) === parent;
+    return (
+      <>
+        {Object.entries(cylinderParams).filter(inLevel).map(([id, params]) => (
+          <Scene
+            key={id}
+            cylinderId={id}
+            cylinderProps={params}
+            isSelected={isHighlighted(id, params)}
+            cylinderRefSetter={(mesh) =>
+              setCylinderMeshes((prev) => (prev[id] === mesh ? prev : { ...prev, [id]: mesh }))
+            }
+            isColliding={collidingIds.has(id)}
+            onSelect={(id, additive, point) => handleObjectSelect(id, 'cylinder', additive, point)}
+          />
+        ))}
+        {Object.entries(sphereParams).filter(inLevel).map(([id, params]) => (
+          <SceneSphere
+            key={id}
+            sphereId={id}
+            sphereProps={params}
+            isSelected={isHighlighted(id, params)}
+            sphereRefSetter={(mesh) =>
+              setSphereMeshes((prev) => (prev[id] === mesh ? prev : { ...prev, [id]: mesh }))
+            }
+            isColliding={collidingIds.has(id)}
+            onSelect={(id, additive, point) => handleObjectSelect(id, 'sphere', additive, point)}
+          />
+        ))}
+        {Object.entries(boxParams).filter(inLevel).map(([id, params]) => (
+          <SceneBox
+            key={id}
+            boxId={id}
+            boxProps={params}
+            isSelected={isHighlighted(id, params)}
+            boxRefSetter={(mesh) =>
+              setBoxMeshes((prev) => (prev[id] === mesh ? prev : { ...prev, [id]: mesh }))
+            }
+            isColliding={collidingIds.has(id)}
+            onSelect={(id, additive, point) => handleObjectSelect(id, 'box', additive, point)}
+          />
+        ))}
+        {SHAPE_TYPES.flatMap(({ type }) =>
+          Object.entries(shapeParamsByType[type]).filter(inLevel).map(([id, params]) => (
+            <SceneShape
+              key={id}
+              type={type}
+              shapeId={id}
+              shapeProps={params}
+              isSelected={isHighlighted(id, params)}
+              shapeRefSetter={(mesh) =>
+                setShapeMeshes((prev) =>
+                  prev[type]?.[id] === mesh ? prev : { ...prev, [type]: { ...prev[type], [id]: mesh } }
+                )
               }
-            }}
+              isColliding={collidingIds.has(id)}
+              onSelect={(id, additive, point) => handleObjectSelect(id, type, additive, point)}
+            />
+          ))
+        )}
+        {Object.entries(groups).filter(inLevel).map(([id, group]) => (
+          <SceneGroup
+            key={id}
+            group={group}
+            groupRefSetter={(object) =>
+              setGroupObjects((prev) => (prev[id] === object ? prev : { ...prev, [id]: object }))
+            }
           >
-            {Object.keys(cylinderParams).map((id) => (
-              <option key={id} value={id}>
-                {id}
-              </option>
-            ))}
-            {Object.keys(sphereParams).map((id) => (
-              <option key={id} value={id}>
-                {id}
-              </option>
-            ))}
-          </select>
-        </div>
+            {renderSceneLevel(id)}
+          </SceneGroup>
+        ))}
+      </>
+    );
+  };
 
-        <div className="control-section">
-          <h3>Geometry</h3>
-          <LabeledControl
-            label="Radius:"
-            value={selectedObjectType === 'cylinder' ? cylinderParams[selectedObject]?.radiusTop : sphereParams[selectedObject]?.radius}
-            onChange={updateRadius}
-            sliderMin={0.1}
-            sliderMax={5}
-            step={0.1}
+  return (
+    <MaterialsContext.Provider value={materials}>
+      <UnitsContext.Provider value={units}>
+        <div className="app-container">
+          <div
+            className="import-export-toggle"
+            onClick={() => setShowImportExport(!showImportExport)}
+          >
+            {showImportExport ? '-' : '+'}
+          </div>
+
+          <div className={`export-import-container ${showImportExport ? 'active' : ''}`}>
+            <button className="projects-btn" onClick={openProjectsDialog}>
+              Projects
+            </button>
+            <button className="projects-btn" onClick={() => projectFileInputRef.current?.click()}>
+              Open File
+            </button>
+            <button className="projects-btn" onClick={handleSaveProjectFile}>
+              Save File
+            </button>
+            <button className="import-btn" onClick={handleImportClick}>
+              Import QADS
+            </button>
+            <select value={exportFormat} onChange={(e) => setExportFormat(e.target.value)} title="Export format">
+              {DECK_FORMATS.map(({ format, label }) => (
+                <option key={format} value={format}>{label}</option>
+              ))}
+            </select>
+            <button className="export-btn" onClick={handleExport}>
+              Export
+            </button>
+            <button className="export-btn" onClick={() => setShowMeshExport(true)}>
+              Export Mesh
+            </button>
+          </div>
+          <input
+            type="file"
+            accept=".qads"
+            style={{ display: 'none' }}
+            ref={fileInputRef}
+            onChange={handleFileImport}
+          />
+          <input
+            type="file"
+            accept=".json"
+            style={{ display: 'none' }}
+            ref={materialsInputRef}
+            onChange={handleLoadMaterials}
+          />
+          <input
+            type="file"
+            accept=".json"
+            style={{ display: 'none' }}
+            ref={projectFileInputRef}
+            onChange={handleOpenProjectFile}
           />
-          {selectedObjectType === 'cylinder' && (
+
+          <div className="sidebar">
+            <div className="sidebar-header">
+              <h2>Object Controls</h2>
+              <div className="history-buttons">
+                <button onClick={undo} disabled={!canUndo} title="Undo (Ctrl+Z)">Undo</button>
+                <button onClick={redo} disabled={!canRedo} title="Redo (Ctrl+Shift+Z)">Redo</button>
+              </div>
+            </div>
+            {autosave?.error && (
+              <p className="autosave-warning">The last session could not be restored: {autosave.error}</p>
+            )}
+            {autosaveFailed && (
+              <p className="autosave-warning">
+                The browser storage is full, so changes are no longer saved automatically. Export the scene to keep it.
+              </p>
+            )}
+            <Outliner
+              groups={groups}
+              bodies={getBodyOrder(paramsByType).map(({ type, id }) => ({
+                type,
+                id,
+                params: paramsByType[type][id],
+              }))}
+              selectedIds={selectedIds}
+              onSelect={handleObjectSelect}
+            />
+
+            {isMultiSelection ? (
+              <BulkEditor
+                items={selectedItems}
+                onMoveBy={moveSelectedBy}
+                onRotateBy={rotateSelectedBy}
+                onSetPosition={setSelectedPosition}
+                onSetMaterial={setSelectedMaterial}
+              />
+            ) : selectedParams ? (
+              <>
+                <div className="control-group">
+                  <label>Name:</label>
+                  <input
+                    type="text"
+                    value={selectedParams.name || ''}
+                    placeholder={selectedObject}
+                    onChange={(e) => updateParam('name', e.target.value)}
+                  />
+                </div>
+                <div className="control-group">
+                  <label>Group:</label>
+                  <select value={selectedParams.parent || ''} onChange={(e) => moveToGroup(e.target.value || null)}>
+                    <option value="">(none)</option>
+                    {Object.entries(groups)
+                      .filter(([id]) => !isGroupSelected || !isInGroup(id, selectedObject, groups))
+                      .map(([id, group]) => (
+                        <option key={id} value={id}>
+                          {getObjectLabel(id, group)}
+                        </option>
+                      ))}
+                  </select>
+                </div>
+
+              {!isGroupSelected && (
+                <div className="control-section">
+                  <h3>Geometry</h3>
+                  {selectedObjectType === 'cylinder' ? (
+                    <>
+                      <LabeledControl
+                        label="Radius Top:"
+                        length
+                        value={cylinderParams[selectedObject]?.radiusTop}
+                        onChange={(v) => updateRadius(v, 'radiusTop')}
+                        sliderMin={0}
+                        sliderMax={5}
+                        step={0.1}
+                      />
+                      <LabeledControl
+                        label="Radius Bottom:"
+                        length
+                        value={cylinderParams[selectedObject]?.radiusBottom}
+                        onChange={(v) => updateRadius(v, 'radiusBottom')}
+                        sliderMin={0}
+                        sliderMax={5}
+                        step={0.1}
+                      />
+                    </>
+                  ) : selectedObjectType === 'box' ? (
+                    <>
+                      <LabeledControl
+                        label="Width (X):"
+                        length
+                        value={boxParams[selectedObject]?.width}
+                        onChange={(v) => updateParam('width', v)}
+                        sliderMin={0}
+                        sliderMax={20}
+                        step={0.1}
+                      />
+                      <LabeledControl
+                        label="Height (Y):"
+                        length
+                        value={boxParams[selectedObject]?.height}
+                        onChange={(v) => updateParam('height', v)}
+                        sliderMin={0}
+                        sliderMax={20}
+                        step={0.1}
+                      />
+                      <LabeledControl
+                        label="Depth (Z):"
+                        length
+                        value={boxParams[selectedObject]?.depth}
+                        onChange={(v) => updateParam('depth', v)}
+                        sliderMin={0}
+                        sliderMax={20}
+                        step={0.1}
+                      />
+                    </>
+                  ) : SHAPE_TYPES.some(({ type }) => type === selectedObjectType) ? (
+                    <ShapeGeometryControls type={selectedObjectType} params={selectedParams} onChange={updateParam} />
+                  ) : (
+                    <LabeledControl
+                      label="Radius:"
+                      length
+                      value={sphereParams[selectedObject]?.radius}
+                      onChange={updateRadius}
+                      sliderMin={0.1}
+                      sliderMax={5}
+                      step={0.1}
+                    />
+                  )}
+                  {selectedObjectType === 'cylinder' && (
+                    <LabeledControl
+                      label="Height:"
+                      length
+                      value={cylinderParams[selectedObject]?.height}
+                      onChange={(v) => updateParam('height', v)}
+                      sliderMin={0}
+                      sliderMax={20}
+                      step={0.1}
+                    />
+                  )}
+                </div>
+              )}
+
+              {selectedParams.rotation && (
+                <div className="control-section">
+                  <h3>Rotation</h3>
+                  <LabeledControl
+                    label="Rotation X:"
+                    value={selectedParams?.rotation[0]}
+                    onChange={(v) => updateRotation(0, v)}
+                    sliderMin={-1}
+                    sliderMax={1}
+                    step={grid.snap ? grid.angle / 180 : 0.01}
+                    extraLabel={"× π"}
+                  />
+                  <LabeledControl
+                    label="Rotation Y:"
+                    value={selectedParams?.rotation[1]}
+                    onChange={(v) => updateRotation(1, v)}
+                    sliderMin={-1}
+                    sliderMax={1}
+                    step={grid.snap ? grid.angle / 180 : 0.01}
+                    extraLabel={"× π"}
+                  />
+                  <LabeledControl
+                    label="Rotation Z:"
+                    value={selectedParams?.rotation[2]}
+                    onChange={(v) => updateRotation(2, v)}
+                    sliderMin={-1}
+                    sliderMax={1}
+                    step={grid.snap ? grid.angle / 180 : 0.01}
+                    extraLabel={"× π"}
+                  />
+                </div>
+              )}
+
+              <div className="control-section">
+                <h3>
+                  Position {isGroupSelected ? '(Origin of group)' : selectedObjectType === 'sphere' ? "(Center of sphere)" : "(Center of object)"}
+                  {selectedParams.parent && ', relative to its group'}
+                </h3>
+                <LabeledControl
+                  label="Offset X:"
+                  length
+                  value={selectedParams?.position[0]}
+                  onChange={(v) => updatePosition(0, v)}
+                  sliderMin={-20}
+                  sliderMax={20}
+                  step={grid.snap ? grid.spacing : 0.1}
+                />
+                <LabeledControl
+                  label="Offset Y:"
+                  length
+                  value={selectedParams?.position[1]}
+                  onChange={(v) => updatePosition(1, v)}
+                  sliderMin={-20}
+                  sliderMax={20}
+                  step={grid.snap ? grid.spacing : 0.1}
+                />
+                <LabeledControl
+                  label="Offset Z:"
+                  length
+                  value={selectedParams?.position[2]}
+                  onChange={(v) => updatePosition(2, v)}
+                  sliderMin={-20}
+                  sliderMax={20}
+                  step={grid.snap ? grid.spacing : 0.1}
+                />
+              </div>
+
+              <div className="control-section">
+                <h3>Placement</h3>
+                <div className="zone-buttons">
+                  <button onClick={() => placeSelected(snapToGrid(selectedWorldParams.position, grid.spacing))}>
+                    Snap to Grid
+                  </button>
+                </div>
+                {!isGroupSelected && (
+                  <>
+                    <div className="control-group">
+                      <label>Target:</label>
+                      <select value={targetBody ? placementTarget : ''} onChange={(e) => setPlacementTarget(e.target.value)}>
+                        <option value="">Choose a body…</option>
+                        {getBodyOrder(paramsByType)
+                          .filter(({ id }) => id !== selectedObject)
+                          .map(({ type, id }) => (
+                            <option key={id} value={id}>
+                              {getObjectLabel(id, paramsByType[type][id])}
+                            </option>
+                          ))}
+                      </select>
+                    </div>
+                    <div className="control-group">
+                      <label>Place on:</label>
+                      <select value={placeDirection} onChange={(e) => setPlaceDirection(parseInt(e.target.value, 10))}>
+                        {PLACE_DIRECTIONS.map(({ label }, i) => (
+                          <option key={label} value={i}>{label} side</option>
+                        ))}
+                      </select>
+                      <button
+                        disabled={!targetBody}
+                        onClick={() =>
+                          moveSelectedInWorld(placeAgainst(selectedBody(), targetBody, PLACE_DIRECTIONS[placeDirection].direction))
+                        }
+                      >
+                        Place
+                      </button>
+                    </div>
+                    <div className="control-group">
+                      <label>Align:</label>
+                      <select value={alignMode} onChange={(e) => setAlignMode(e.target.value)}>
+                        <option value="min">Min</option>
+                        <option value="center">Center</option>
+                        <option value="max">Max</option>
+                      </select>
+                      <select value={alignAxis} onChange={(e) => setAlignAxis(parseInt(e.target.value, 10))}>
+                        <option value={0}>X</option>
+                        <option value={1}>Y</option>
+                        <option value={2}>Z</option>
+                      </select>
+                      <button
+                        disabled={!targetBody}
+                        onClick={() => moveSelectedInWorld(alignTo(selectedBody(), targetBody, alignAxis, alignMode))}
+                      >
+                        Align
+                      </button>
+                    </div>
+                    <div className="zone-buttons">
+                      <button
+                        disabled={!targetBody || targetBody.type === 'sphere'}
+                        onClick={() => placeSelected(centerOnAxis(selectedBody(), targetBody))}
+                      >
+                        Center on Target Axis
+                      </button>
+                    </div>
+                    <p className="sidebar-hint">
+                      Place puts the object against the chosen side of the target; Align lines up their extents along an
+                      axis. Both only move the object, in world coordinates.
+                    </p>
+                  </>
+                )}
+              </div>
+
+              {!isGroupSelected && (
+                <div className="control-section">
+                  <h3>Material</h3>
+                  <div className="control-group">
+                    <label>Material:</label>
+                    <select
+                      value={selectedParams?.materialType}
+                      onChange={updateMaterialType}
+                    >
+                      <MaterialOptions />
+                    </select>
+                  </div>
+                </div>
+              )}
+              </>
+            ) : (
+              <p className="sidebar-hint">No object selected. Use "Add Object" to create one.</p>
+            )}
+
+            <div className="control-section">
+              <h3>Zones</h3>
+              {zones.map((zone) => (
+                <ZoneEditor
+                  key={zone.id}
+                  zone={zone}
+                  bodyExists={bodyExists}
+                  onChange={(z) => updateZone(zone.id, z)}
+                  onDelete={() => deleteZone(zone.id)}
+                  isPreviewed={zone.id === previewZoneId}
+                  onTogglePreview={() => setPreviewZoneId(zone.id === previewZoneId ? null : zone.id)}
+                />
+              ))}
+              <p className="sidebar-hint">Bodies not used in any zone are exported as a zone of their own.</p>
+              <button className="add-zone-btn" onClick={addZone}>Add Zone</button>
+            </div>
+
+            <div className="control-section">
+              <h3>Collisions</h3>
+              <CollisionPanel
+                collisions={collisions}
+                getLabel={(id) => getObjectLabel(id, paramsByType[bodyTypeOf(id)][id])}
+                onFocus={focusCollision}
+                onAllow={setOverlapAllowed}
+              />
+            </div>
+
+            <div className="control-section">
+              <h3>World &amp; Void</h3>
+              <label className="checkbox-label">
+                <input
+                  type="checkbox"
+                  checked={world.enabled}
+                  onChange={(e) => setWorld((prev) => ({ ...prev, enabled: e.target.checked }))}
+                />
+                Export a world boundary with void and exterior zones
+              </label>
+              {world.enabled && (
+                <>
+                  <div className="control-group">
+                    <label>Shape:</label>
+                    <select value={world.shape} onChange={(e) => setWorld((prev) => ({ ...prev, shape: e.target.value }))}>
+                      {WORLD_SHAPES.map(({ shape, label }) => (
+                        <option key={shape} value={shape}>{label}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <LabeledControl
+                    label="Margin:"
+                    length
+                    value={world.margin}
+                    onChange={(v) => v >= 0 && setWorld((prev) => ({ ...prev, margin: v }), 'world:margin')}
+                    sliderMin={0}
+                    sliderMax={100}
+                    step={1}
+                  />
+                  <div className="control-group">
+                    <label>Fill:</label>
+                    <select value={world.fill} onChange={(e) => setWorld((prev) => ({ ...prev, fill: e.target.value }))}>
+                      <option value={VOID_MATERIAL.id}>{VOID_MATERIAL.name} (0)</option>
+                      <MaterialOptions />
+                    </select>
+                  </div>
+                  <p className="sidebar-hint">
+                    The void zone is the world outside every zone; the exterior outside the
+                    world is a black hole (material 0).
+                  </p>
+                </>
+              )}
+            </div>
+
+            <div className="control-section">
+              <div className="section-header">
+                <h3>Line of Sight</h3>
+                <button
+                  onClick={() => {
+                    setShowRay(!showRay);
+                    setRayPick(null);
+                  }}
+                >
+                  {showRay ? 'Hide' : 'Show'}
+                </button>
+              </div>
+              {showRay && (
+                <RayTool
+                  ray={ray}
+                  picking={rayPick}
+                  onPick={setRayPick}
+                  onSetPoint={(which, axis, value) =>
+                    setRay((prev) => ({ ...prev, [which]: prev[which].map((v, i) => (i === axis ? value : v)) }))
+                  }
+                  report={rayReport}
+                  getLabel={getRayLabel}
+                  getMaterialName={getRayMaterialName}
+                  onExportCsv={handleRayExport}
+                />
+              )}
+            </div>
+
+            <div className="control-section">
+              <div className="section-header">
+                <h3>Analysis</h3>
+                <button onClick={() => setShowAnalysis(!showAnalysis)}>{showAnalysis ? 'Hide' : 'Show'}</button>
+              </div>
+              {showAnalysis && (
+                <AnalysisPanel
+                  report={analysisReport}
+                  estimate={currentEstimate}
+                  progress={estimateProgress}
+                  samples={analysisSamples}
+                  onSamplesChange={setAnalysisSamples}
+                  onEstimate={handleEstimateOverlaps}
+                  getLabel={(object) => getObjectLabel(object.id, object)}
+                  getMaterialName={(materialType) => findMaterial(materials, materialType).name}
+                  onExportCsv={handleAnalysisExport}
+                />
+              )}
+            </div>
+
+            <div className="control-section">
+              <div className="section-header">
+                <h3>Material Library</h3>
+                <button onClick={() => setShowMaterialLibrary(!showMaterialLibrary)}>
+                  {showMaterialLibrary ? 'Hide' : `Edit (${materials.length})`}
+                </button>
+              </div>
+              {showMaterialLibrary &&
+                materials.map((material) => (
+                  <MaterialEditor
+                    key={material.id}
+                    material={material}
+                    onChange={(m) => updateMaterial(material.id, m)}
+                    onDelete={() => deleteMaterial(material.id)}
+                    canDelete={materials.length > 1 && !usedMaterialTypes.has(material.id)}
+                  />
+                ))}
+              <div className="zone-buttons">
+                <button onClick={addMaterial}>Add Material</button>
+                <button onClick={handleSaveMaterials}>Save JSON</button>
+                <button onClick={() => materialsInputRef.current?.click()}>Load JSON</button>
+              </div>
+            </div>
+
+            <div className="control-section">
+            <h3>Grid &amp; Snapping</h3>
+            <label className="checkbox-label">
+              <input
+                type="checkbox"
+                checked={grid.visible}
+                onChange={(e) => setGrid((prev) => ({ ...prev, visible: e.target.checked }))}
+              />
+              Show grid
+            </label>
+            <div className="control-group">
+              <label>Plane:</label>
+              <select value={grid.plane} onChange={(e) => setGrid((prev) => ({ ...prev, plane: e.target.value }))}>
+                <option value="XZ">XZ (ground)</option>
+                <option value="XY">XY</option>
+                <option value="YZ">YZ</option>
+              </select>
+            </div>
             <LabeledControl
-              label="Height:"
-              value={cylinderParams[selectedObject]?.height}
-              onChange={(v) => updateParam('height', v)}
-              sliderMin={0}
-              sliderMax={20}
+              label="Spacing:"
+              value={grid.spacing}
+              onChange={(v) => v > 0 && setGrid((prev) => ({ ...prev, spacing: v }))}
+              sliderMin={0.1}
+              sliderMax={10}
               step={0.1}
+              length
             />
-          )}
-        </div>
+            <label className="checkbox-label">
+              <input
+                type="checkbox"
+                checked={grid.snap}
+                onChange={(e) => setGrid((prev) => ({ ...prev, snap: e.target.checked }))}
+              />
+              Snap moves to the grid and rotations to
+              <input
+                type="number"
+                className="snap-angle"
+                min={1}
+                max={180}
+                step={1}
+                value={grid.angle}
+                onChange={(e) => setGrid((prev) => ({ ...prev, angle: Math.max(1, parseFloat(e.target.value) || 1) }))}
+              />
+              ° (G)
+            </label>
+          </div>
 
-        {selectedObjectType === 'cylinder' && (
           <div className="control-section">
-            <h3>Rotation</h3>
-            <LabeledControl
-              label="Rotation X:"
-              value={cylinderParams[selectedObject]?.rotation[0]}
-              onChange={(v) => updateRotation(0, v)}
-              sliderMin={-1}
-              sliderMax={1}
-              step={0.01}
-              extraLabel={"× π"}
-            />
-            <LabeledControl
-              label="Rotation Y:"
-              value={cylinderParams[selectedObject]?.rotation[1]}
-              onChange={(v) => updateRotation(1, v)}
-              sliderMin={-1}
-              sliderMax={1}
-              step={0.01}
-              extraLabel={"× π"}
-            />
-            <LabeledControl
-              label="Rotation Z:"
-              value={cylinderParams[selectedObject]?.rotation[2]}
-              onChange={(v) => updateRotation(2, v)}
-              sliderMin={-1}
-              sliderMax={1}
-              step={0.01}
-              extraLabel={"× π"}
-            />
+            <h3>Units</h3>
+            <div className="control-group">
+              <label>Display:</label>
+              <select
+                value={units.displayUnit}
+                onChange={(e) => setUnits((prev) => ({ ...prev, displayUnit: e.target.value }))}
+              >
+                {LENGTH_UNITS.map(({ unit, label }) => (
+                  <option key={unit} value={unit}>{label}</option>
+                ))}
+              </select>
+            </div>
+            <div className="control-group">
+              <label>Export:</label>
+              <select
+                value={units.exportUnit}
+                onChange={(e) => setUnits((prev) => ({ ...prev, exportUnit: e.target.value }))}
+              >
+                {LENGTH_UNITS.map(({ unit, label }) => (
+                  <option key={unit} value={unit}>{label}</option>
+                ))}
+              </select>
+            </div>
+            <div className="control-group">
+              <label>Decimals:</label>
+              <input
+                type="number"
+                min={0}
+                max={MAX_PRECISION}
+                step={1}
+                value={units.precision}
+                onChange={(e) =>
+                  setUnits(
+                    (prev) => ({
+                      ...prev,
+                      precision: Math.min(MAX_PRECISION, Math.max(0, parseInt(e.target.value, 10) || 0)),
+                    }),
+                    'units:precision'
+                  )
+                }
+              />
+            </div>
+            <p className="sidebar-hint">
+              Lengths are shown and typed in the display unit. QADS and mesh files are written in the export unit
+              with this many decimals; MCNP and FLUKA decks always use centimeters.
+            </p>
           </div>
-        )}
 
-        <div className="control-section">
-          <h3>Position {selectedObjectType === 'cylinder' ? "(Center of object)" : "(Center of sphere)"}</h3>
-          <LabeledControl
-            label="Offset X:"
-            value={selectedObjectType === 'cylinder' ? cylinderParams[selectedObject]?.position[0] : sphereParams[selectedObject]?.position[0]}
-            onChange={(v) => updatePosition(0, v)}
-            sliderMin={-20}
-            sliderMax={20}
-            step={0.1}
-          />
-          <LabeledControl
-            label="Offset Y:"
-            value={selectedObjectType === 'cylinder' ? cylinderParams[selectedObject]?.position[1] : sphereParams[selectedObject]?.position[1]}
-            onChange={(v) => updatePosition(1, v)}
-            sliderMin={-20}
-            sliderMax={20}
-            step={0.1}
-          />
-          <LabeledControl
-            label="Offset Z:"
-            value={selectedObjectType === 'cylinder' ? cylinderParams[selectedObject]?.position[2] : sphereParams[selectedObject]?.position[2]}
-            onChange={(v) => updatePosition(2, v)}
-            sliderMin={-20}
-            sliderMax={20}
-            step={0.1}
-          />
-        </div>
+          <div className="control-section actions">
+              <button onClick={() => setShowAddObjectDropdown(true)}>Add Object</button>
+              <button onClick={duplicateObject} disabled={!selectedParams || isGroupSelected || isMultiSelection}>
+                Duplicate
+              </button>
+              <button
+                onClick={() => setShowPatternDialog(true)}
+                disabled={!selectedParams || isGroupSelected || isMultiSelection}
+              >
+                Pattern
+              </button>
+              <button
+                onClick={deleteObject}
+                disabled={selectedItems.length === 0}
+                className="delete-btn"
+                title={isGroupSelected && !isMultiSelection ? 'Delete the group, keeping its contents' : undefined}
+              >
+                {isMultiSelection ? `Delete ${selectedItems.length}` : isGroupSelected ? 'Ungroup' : 'Delete'}
+              </button>
+            </div>
+          </div>
 
-        <div className="control-section">
-          <h3>Material</h3>
-          <div className="control-group">
-            <label>Material:</label>
-            <select
-              value={selectedObjectType === 'cylinder' ? cylinderParams[selectedObject]?.materialType : sphereParams[selectedObject]?.materialType}
-              onChange={updateMaterialType}
-            >
-              <option value="standard">Metal (Gray)</option>
-              <option value="concrete">Concrete (Gray)</option>
-              <option value="steel">Steel (Blue-Gray)</option>
-              <option value="wood">Wood (Brown)</option>
-            </select>
+          <div className="canvas-container">
+            <div className="gizmo-toolbar">
+              {GIZMO_MODES.map(({ mode, label, key }) => (
+                <button
+                  key={mode}
+                  className={activeGizmoMode === mode ? 'active' : ''}
+                  onClick={() => setGizmoMode(mode)}
+                  title={`${label} (${key.toUpperCase()})`}
+                >
+                  {label} ({key.toUpperCase()})
+                </button>
+              ))}
+              <button
+                className={boxSelectActive ? 'active' : ''}
+                onClick={() => setBoxSelectActive(!boxSelectActive)}
+                disabled={Boolean(previewZone)}
+                title="Box Select (B)"
+              >
+                Box Select (B)
+              </button>
+            </div>
+            {boxSelectActive && !previewZone && (
+              <div
+                className="box-select-overlay"
+                onPointerDown={handleBoxSelectStart}
+                onPointerMove={handleBoxSelectMove}
+                onPointerUp={handleBoxSelectEnd}
+              >
+                {boxSelectRect && (
+                  <div
+                    className="box-select-rect"
+                    style={{
+                      left: Math.min(boxSelectRect.start[0], boxSelectRect.end[0]),
+                      top: Math.min(boxSelectRect.start[1], boxSelectRect.end[1]),
+                      width: Math.abs(boxSelectRect.end[0] - boxSelectRect.start[0]),
+                      height: Math.abs(boxSelectRect.end[1] - boxSelectRect.start[1]),
+                    }}
+                  />
+                )}
+              </div>
+            )}
+            <Canvas camera={{ position: [0, 0, 10] }}>
+              <CameraTracker cameraRef={cameraRef} />
+              <CameraFocus focus={cameraFocus} />
+              <ambientLight intensity={0.5} />
+              <pointLight position={[10, 10, 10]} />
+              {/* makeDefault lets the gizmo disable orbiting while it is dragged */}
+              <OrbitControls makeDefault />
+              {selectedMesh && selectedParams && !isMultiSelection && !previewZone && (
+                <TransformControls
+                  object={selectedMesh}
+                  mode={activeGizmoMode}
+                  translationSnap={grid.snap ? grid.spacing : null}
+                  rotationSnap={grid.snap ? (grid.angle * Math.PI) / 180 : null}
+                  onObjectChange={handleGizmoChange}
+                  onMouseUp={handleGizmoRelease}
+                />
+              )}
+              {grid.visible && (
+                <gridHelper
+                  args={[GRID_CELLS * grid.spacing, GRID_CELLS, '#888888', '#c8c8c8']}
+                  rotation={GRID_ROTATIONS[grid.plane]}
+                />
+              )}
+              <axesHelper args={[5]} />
+              {/* Axis Labels */}
+              <Text
+                position={[5.5, 0, 0]}
+                fontSize={0.5}
+                color="red"
+                anchorX="center"
+                anchorY="middle"
+              >
+                X
+              </Text>
+              <Text
+                position={[0, 5.5, 0]}
+                fontSize={0.5}
+                color="green"
+                anchorX="center"
+                anchorY="middle"
+              >
+                Y
+              </Text>
+              <Text
+                position={[0, 0, 5.5]}
+                fontSize={0.5}
+                color="blue"
+                anchorX="center"
+                anchorY="middle"
+              >
+                Z
+              </Text>
+              {previewZone ? (
+                <ZonePreview
+                  zone={previewZone}
+                  paramsByType={worldParamsByType}
+                />
+              ) : (
+                renderSceneLevel(null)
+              )}
+              {worldBody && <WorldOutline body={worldBody} />}
+              {showRay && <RayLine start={ray.start} end={ray.end} />}
+              {rayPick && (
+                <RayPickPlane
+                  plane={grid.plane}
+                  onPick={(point) => placeRayEnd(grid.snap ? snapToGrid(point, grid.spacing) : point)}
+                />
+              )}
+            </Canvas>
           </div>
-        </div>
 
-        <div className="control-section actions">
-          <button onClick={() => setShowAddObjectDropdown(true)}>Add Object</button>
-        </div>
-      </div>
+          {showAddObjectDropdown && (
+            <>
+              <div className="modal-backdrop" onClick={() => setShowAddObjectDropdown(false)}></div>
+              <div className="add-object-dropdown">
+                <h3>Add New Object</h3>
+                <select
+                  value={newObjectType}
+                  onChange={(e) => setNewObjectType(e.target.value)}
+                >
+                  <option value="cylinder">Cylinder</option>
+                  <option value="sphere">Sphere</option>
+                  <option value="box">Box</option>
+                  {SHAPE_TYPES.map(({ type, label }) => (
+                    <option key={type} value={type}>{label}</option>
+                  ))}
+                  <option value="group">Group</option>
+                </select>
+                <div className="dropdown-buttons">
+                  <button onClick={addObject}>Add</button>
+                  <button onClick={() => setShowAddObjectDropdown(false)} className="cancel-btn">Cancel</button>
+                </div>
+              </div>
+            </>
+          )}
 
-      <div className="canvas-container">
-        <Canvas camera={{ position: [0, 0, 10] }}>
-          <ambientLight intensity={0.5} />
-          <pointLight position={[10, 10, 10]} />
-          <OrbitControls />
-          <axesHelper args={[5]} />
-          {/* Axis Labels */}
-          <Text
-            position={[5.5, 0, 0]}
-            fontSize={0.5}
-            color="red"
-            anchorX="center"
-            anchorY="middle"
-          >
-            X
-          </Text>
-          <Text
-            position={[0, 5.5, 0]}
-            fontSize={0.5}
-            color="green"
-            anchorX="center"
-            anchorY="middle"
-          >
-            Y
-          </Text>
-          <Text
-            position={[0, 0, 5.5]}
-            fontSize={0.5}
-            color="blue"
-            anchorX="center"
-            anchorY="middle"
-          >
-            Z
-          </Text>
-          {Object.entries(cylinderParams).map(([id, params]) => (
-            <Scene
-              key={id}
-              cylinderId={id}
-              cylinderProps={params}
-              isSelected={id === selectedObject}
-              cylinderRefSetter={(mesh) =>
-                setCylinderMeshes((prev) => ({ ...prev, [id]: mesh }))
-              }
-              onSelect={(id) => handleObjectSelect(id, 'cylinder')}
+          {showPatternDialog && selectedParams && (
+            <PatternDialog
+              objectLabel={getObjectLabel(selectedObject, selectedParams)}
+              position={selectedParams.position}
+              onApply={applyPattern}
+              onCancel={() => setShowPatternDialog(false)}
             />
-          ))}
-          {Object.entries(sphereParams).map(([id, params]) => (
-            <SceneSphere
-              key={id}
-              sphereId={id}
-              sphereProps={params}
-              isSelected={id === selectedObject}
-              sphereRefSetter={(mesh) =>
-                setSphereMeshes((prev) => ({ ...prev, [id]: mesh }))
-              }
-              onSelect={(id) => handleObjectSelect(id, 'sphere')}
+          )}
+
+          {showMeshExport && (
+            <MeshExportDialog
+              bodyCount={getBodyOrder(paramsByType).length}
+              onExport={handleMeshExport}
+              onCancel={() => setShowMeshExport(false)}
             />
-          ))}
-        </Canvas>
-      </div>
+          )}
 
-      {showAddObjectDropdown && (
-        <>
-          <div className="modal-backdrop" onClick={() => setShowAddObjectDropdown(false)}></div>
-          <div className="add-object-dropdown">
-            <h3>Add New Object</h3>
-            <select
-              value={newObjectType}
-              onChange={(e) => setNewObjectType(e.target.value)}
-            >
-              <option value="cylinder">Cylinder</option>
-              <option value="sphere">Sphere</option>
-            </select>
-            <div className="dropdown-buttons">
-              <button onClick={addObject}>Add</button>
-              <button onClick={() => setShowAddObjectDropdown(false)} className="cancel-btn">Cancel</button>
-            </div>
-          </div>
-        </>
-      )}
-    </div>
+          {showProjects && (
+            <ProjectsDialog
+              projects={projects}
+              currentProject={currentProject}
+              onSave={() => storeProject()}
+              onSaveAs={storeProject}
+              onOpen={(id) => openProject(projects.find((project) => project.id === id))}
+              onRename={renameStoredProject}
+              onDelete={(id) => deleteStoredProject(projects.find((project) => project.id === id))}
+              onNew={() => replaceScene({ materials, units, world }, null)}
+              onClose={() => setShowProjects(false)}
+            />
+          )}
+
+          {importReport && (
+            <ImportReport
+              fileName={importReport.fileName}
+              result={importReport.result}
+              onConfirm={(options) => {
+                applyImport(importReport.result, options);
+                setImportReport(null);
+              }}
+              onCancel={() => setImportReport(null)}
+            />
+          )}
+        </div>
+      </UnitsContext.Provider>
+    </MaterialsContext.Provider>
   );
 }
 
@@ -0,0 +1,208 @@
+// analysis.js
+import { SHAPE_TYPES, getShapeVolume } from './bodies';
+import { getExtent } from './placement';
+import { getContainsPoint } from './rayTrace';
+import { findZone } from './zones';
+import { toCsv } from './csv';
+import { findMaterial } from './materials';
+
+// Model report: the volume of each body from its params, its mass from the density of its material, and its
+// axis-aligned bounding box, with totals per material. Summed volumes count the space where bodies overlap
+// more than once; estimateOverlaps gives the totals the export zones actually fill, by sampling random points.
+// Lengths are in centimeters, volumes in cm³ and masses in kilograms.
+
+// Points sampled by estimateOverlaps unless told otherwise, and the most the sidebar lets it sample
+export const DEFAULT_SAMPLES = 20000;
+export const MAX_SAMPLES = 1000000;
+
+// Points the sidebar samples per task, so a large estimate leaves the page responsive between chunks
+export const SAMPLES_PER_CHUNK = 20000;
+
+// Helper: Volume of a body
+export function getBodyVolume(type, params) {
+  if (type === 'cylinder') {
+    const { radiusTop: r1, radiusBottom: r2, height } = params;
+    return (Math.PI * height * (r1 * r1 + r1 * r2 + r2 * r2)) / 3;
+  }
+  if (type === 'sphere') {
+    return (4 / 3) * Math.PI * params.radius ** 3;
+  }
+  if (type === 'box') {
+    return params.width * params.height * params.depth;
+  }
+  if (SHAPE_TYPES.some((shape) => shape.type === type)) {
+    return getShapeVolume(type, params);
+  }
+  throw new Error(`Unknown body type "${type}"`);
+}
+
+// Helper: Axis-aligned bounding box [min, max] of bodies in world coordinates, or null when there are none
+export function getBounds(bodies) {
+  if (bodies.length === 0) {
+    return null;
+  }
+  const ranges = [0, 1, 2].map((axis) => bodies.map(({ type, params }) => getExtent(type, params, axis)));
+  return [
+    ranges.map((extents) => Math.min(...extents.map(([min]) => min))),
+    ranges.map((extents) => Math.max(...extents.map(([, max]) => max))),
+  ];
+}
+
+// Helper: Mass in kilograms of a volume in cm³ of a material, or null when the material has no density
+const getMass = (volume, material) => (material.density === null ? null : (volume * material.density) / 1000);
+
+// Report of bodies ([{ type, id, params }] in world coordinates) with the material library:
+//   objects:   [{ id, type, name, materialType, volume, mass, bounds }] in the order of the bodies
+//   materials: [{ materialType, volume, mass }] sums over the objects of each material, in order of appearance
+//   bounds:    bounding box of all bodies, or null
+// Masses are null where the material has no density.
+export function analyzeBodies(bodies, materials) {
+  const objects = bodies.map(({ type, id, params }) => {
+    const volume = getBodyVolume(type, params);
+    return {
+      id,
+      type,
+      name: params.name || null,
+      materialType: params.materialType,
+      volume,
+      mass: getMass(volume, findMaterial(materials, params.materialType)),
+      bounds: getBounds([{ type, params }]),
+    };
+  });
+  const totals = [];
+  for (const { materialType, volume } of objects) {
+    const total = totals.find((entry) => entry.materialType === materialType);
+    if (total) {
+      total.volume += volume;
+    } else {
+      totals.push({ materialType, volume });
+    }
+  }
+  return {
+    objects,
+    materials: totals.map((total) => ({
+      ...total,
+      mass: getMass(total.volume, findMaterial(materials, total.materialType)),
+    })),
+    bounds: getBounds(bodies),
+  };
+}
+
+// Helper: Pseudo-random numbers in [0, 1) from a seed (mulberry32), so repeated estimates of the same model agree
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Monte Carlo estimate of the volumes the bodies and zones fill, counting overlaps once. Points are sampled
+// uniformly in the bounding box of the bodies; each is given the material of the first zone it is in, as the
+// transport codes do. The estimator samples a chunk at a time with sample(count), so the sidebar can spread a
+// large estimate over several tasks; result() gives the estimate from the points sampled so far:
+//   samples:   number of points sampled
+//   union:     { volume, error } of the space inside at least one body
+//   materials: [{ materialType, volume, error, mass }] filled by the zones of each material, in zone order
+// Errors are one standard deviation of the estimate.
+export function createOverlapEstimator(bodies, zones, materials, seed = 1) {
+  const bounds = getBounds(bodies);
+  const tests = bodies.map(({ type, id, params }) => ({ id, contains: getContainsPoint(type, params) }));
+  const random = createRandom(seed);
+  let samples = 0;
+  let unionHits = 0;
+  const hits = new Map(zones.map(({ materialType }) => [materialType, 0]));
+
+  const sample = (count) => {
+    samples += count;
+    if (!bounds) {
+      return;
+    }
+    const [min, max] = bounds;
+    for (let i = 0; i < count; i++) {
+      const point = min.map((low, axis) => low + random() * (max[axis] - low));
+      const inside = new Set(tests.filter(({ contains }) => contains(point)).map(({ id }) => id));
+      if (inside.size === 0) {
+        continue;
+      }
+      unionHits++;
+      const zone = findZone(zones, (bodyId) => inside.has(bodyId));
+      if (zone) {
+        hits.set(zone.materialType, hits.get(zone.materialType) + 1);
+      }
+    }
+  };
+
+  const result = () => {
+    if (!bounds) {
+      return { samples, union: { volume: 0, error: 0 }, materials: [] };
+    }
+    const [min, max] = bounds;
+    const boxVolume = (max[0] - min[0]) * (max[1] - min[1]) * (max[2] - min[2]);
+    // A fraction p of the box hit by n samples has a standard deviation of sqrt(p (1 - p) / n)
+    const estimate = (count) => {
+      const fraction = count / samples;
+      return { volume: boxVolume * fraction, error: boxVolume * Math.sqrt((fraction * (1 - fraction)) / samples) };
+    };
+    return {
+      samples,
+      union: estimate(unionHits),
+      materials: [...hits].map(([materialType, count]) => {
+        const { volume, error } = estimate(count);
+        return { materialType, volume, error, mass: getMass(volume, findMaterial(materials, materialType)) };
+      }),
+    };
+  };
+
+  return { sample, result };
+}
+
+// Overlap estimate from samples points in one go (see createOverlapEstimator)
+export function estimateOverlaps(bodies, zones, materials, samples = DEFAULT_SAMPLES, seed = 1) {
+  const estimator = createOverlapEstimator(bodies, zones, materials, seed);
+  estimator.sample(samples);
+  return estimator.result();
+}
+
+// Helper: CSV file of a report, with the overlap estimate when there is one (or null). label(object) names
+// an object and materialName(materialType) a material; formatLength, formatVolume and formatMass write values
+// in the units named by unit (a length unit) and in kilograms.
+export function analysisToCsv(report, estimate, options) {
+  const { label, materialName, formatLength, formatVolume, formatMass, unit } = options;
+  const formatBounds = (bounds) => (bounds ? [...bounds[0], ...bounds[1]].map(formatLength) : []);
+  const mass = (value) => (value === null ? '' : formatMass(value));
+  const rows = [
+    ['unit', unit],
+    [],
+    ['object', 'type', 'material', `volume (${unit}3)`, 'mass (kg)', 'min x', 'min y', 'min z', 'max x', 'max y', 'max z'],
+    ...report.objects.map((object) => [
+      label(object),
+      object.type,
+      materialName(object.materialType),
+      formatVolume(object.volume),
+      mass(object.mass),
+      ...formatBounds(object.bounds),
+    ]),
+    ['scene', '', '', '', '', ...formatBounds(report.bounds)],
+    [],
+    ['material', `volume (${unit}3)`, 'mass (kg)'],
+    ...report.materials.map((total) => [materialName(total.materialType), formatVolume(total.volume), mass(total.mass)]),
+  ];
+  if (estimate) {
+    rows.push(
+      [],
+      [`overlap-corrected (${estimate.samples} samples)`, `volume (${unit}3)`, `error (${unit}3)`, 'mass (kg)'],
+      ['all bodies', formatVolume(estimate.union.volume), formatVolume(estimate.union.error), ''],
+      ...estimate.materials.map((total) => [
+        materialName(total.materialType),
+        formatVolume(total.volume),
+        formatVolume(total.error),
+        mass(total.mass),
+      ])
+    );
+  }
+  return toCsv(rows);
+}
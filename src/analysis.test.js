@@ -0,0 +1,90 @@
+import { getBodyVolume, analyzeBodies, createOverlapEstimator, estimateOverlaps, analysisToCsv } from './analysis';
+import { DEFAULT_SHAPE_PARAMS } from './bodies';
+import { DEFAULT_MATERIALS } from './materials';
+
+const box = (id, position, materialType = 'concrete') => ({
+  type: 'box',
+  id,
+  params: { width: 2, height: 2, depth: 2, rotation: [0, 0, 0], position, materialType },
+});
+
+test('volumes follow from the params of each body type', () => {
+  expect(getBodyVolume('cylinder', { radiusTop: 1, radiusBottom: 1, height: 2 })).toBeCloseTo(2 * Math.PI, 12);
+  expect(getBodyVolume('cylinder', { radiusTop: 0, radiusBottom: 3, height: 1 })).toBeCloseTo(3 * Math.PI, 12);
+  expect(getBodyVolume('sphere', { radius: 2 })).toBeCloseTo((32 / 3) * Math.PI, 12);
+  expect(getBodyVolume('ellipsoid', DEFAULT_SHAPE_PARAMS.ellipsoid)).toBeCloseTo(2 * Math.PI, 12);
+  expect(getBodyVolume('wedge', DEFAULT_SHAPE_PARAMS.wedge)).toBeCloseTo(4, 12);
+  // Six equilateral triangles of height 1 around the axis, 2 high
+  expect(getBodyVolume('hexPrism', DEFAULT_SHAPE_PARAMS.hexPrism)).toBeCloseTo(4 * Math.sqrt(3), 12);
+  // A frustum of a 2 × 2 base and a 1 × 1 top, 2 high
+  expect(getBodyVolume('arb', DEFAULT_SHAPE_PARAMS.arb)).toBeCloseTo(14 / 3, 12);
+});
+
+test('the report sums volumes and masses per material, the bounding box covers all bodies', () => {
+  const report = analyzeBodies(
+    [box('box1', [0, 0, 0]), box('box2', [1, 0, 0]), box('box3', [0, 5, 0], 'standard')],
+    DEFAULT_MATERIALS
+  );
+  expect(report.objects[0]).toMatchObject({ id: 'box1', volume: 8, bounds: [[-1, -1, -1], [1, 1, 1]] });
+  expect(report.objects[0].mass).toBeCloseTo(0.0184, 12);
+  expect(report.materials).toEqual([
+    { materialType: 'concrete', volume: 16, mass: expect.closeTo(0.0368, 12) },
+    { materialType: 'standard', volume: 8, mass: null },
+  ]);
+  expect(report.bounds).toEqual([[-1, -1, -1], [2, 6, 1]]);
+});
+
+test('the overlap estimate counts the space shared by bodies once', () => {
+  const bodies = [box('box1', [0, 0, 0]), box('box2', [1, 0, 0], 'steel')];
+  const zones = [
+    { name: 'a', materialType: 'concrete', terms: [[{ bodyId: 'box1', sign: '+' }]] },
+    { name: 'b', materialType: 'steel', terms: [[{ bodyId: 'box2', sign: '+' }]] },
+  ];
+  const estimate = estimateOverlaps(bodies, zones, DEFAULT_MATERIALS, 20000);
+  // The boxes fill their whole 3 × 2 × 2 bounding box; the first zone gets the overlap
+  expect(estimate.union).toEqual({ volume: 12, error: 0 });
+  const [concrete, steel] = estimate.materials;
+  expect(concrete.volume).toBeCloseTo(8, 0);
+  expect(steel.volume).toBeCloseTo(4, 0);
+  expect(Math.abs(steel.volume - 4)).toBeLessThan(4 * steel.error);
+  expect(steel.mass).toBeCloseTo((steel.volume * 7.87) / 1000, 12);
+  // The same seed gives the same estimate
+  expect(estimateOverlaps(bodies, zones, DEFAULT_MATERIALS, 20000)).toEqual(estimate);
+});
+
+test('an estimate sampled in chunks is the one sampled in one go', () => {
+  const bodies = [box('box1', [0, 0, 0]), { type: 'sphere', id: 'sphere1', params: { radius: 1, position: [1, 0, 0] } }];
+  const zones = [{ name: 'a', materialType: 'concrete', terms: [[{ bodyId: 'box1', sign: '+' }]] }];
+  const estimator = createOverlapEstimator(bodies, zones, DEFAULT_MATERIALS);
+  estimator.sample(3000);
+  estimator.sample(2000);
+  expect(estimator.result()).toEqual(estimateOverlaps(bodies, zones, DEFAULT_MATERIALS, 5000));
+  expect(estimator.result().samples).toBe(5000);
+});
+
+test('the CSV lists the objects, the scene box, the material totals and the estimate', () => {
+  const report = analyzeBodies([box('box1', [0, 0, 0], 'standard')], DEFAULT_MATERIALS);
+  const estimate = { samples: 10, union: { volume: 8, error: 0 }, materials: [] };
+  const csv = analysisToCsv(report, estimate, {
+    label: ({ id }) => id,
+    materialName: (materialType) => materialType,
+    formatLength: String,
+    formatVolume: String,
+    formatMass: String,
+    unit: 'cm',
+  });
+  expect(csv.split('\n')).toEqual([
+    'unit,cm',
+    '',
+    'object,type,material,volume (cm3),mass (kg),min x,min y,min z,max x,max y,max z',
+    'box1,box,standard,8,,-1,-1,-1,1,1,1',
+    'scene,,,,,-1,-1,-1,1,1,1',
+    '',
+    'material,volume (cm3),mass (kg)',
+    'standard,8,',
+    '',
+    'overlap-corrected (10 samples),volume (cm3),error (cm3),mass (kg)',
+    'all bodies,8,0,',
+    '',
+  ]);
+});
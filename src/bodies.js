@@ -0,0 +1,278 @@
+// bodies.js
+import { BoxGeometry, BufferGeometry, CylinderGeometry, Float32BufferAttribute, SphereGeometry } from 'three';
+import { add, sub, scale, dot, cross, normalize, rotateVector } from './geometry';
+
+// Body types in export order, with the scene key of their params. Body numbers follow this order, so
+// new types go at the end. The first three have their own components and controls in App; the others
+// are rendered from createBodyGeometry and are listed in SHAPE_TYPES.
+export const BODY_TYPES = [
+  { type: 'cylinder', sceneKey: 'cylinderParams', label: 'Cylinder' },
+  { type: 'sphere', sceneKey: 'sphereParams', label: 'Sphere' },
+  { type: 'box', sceneKey: 'boxParams', label: 'Box' },
+  { type: 'ellipsoid', sceneKey: 'ellipsoidParams', label: 'Ellipsoid' },
+  { type: 'wedge', sceneKey: 'wedgeParams', label: 'Wedge' },
+  { type: 'hexPrism', sceneKey: 'hexPrismParams', label: 'Hexagonal Prism' },
+  { type: 'ellipticCylinder', sceneKey: 'ellipticCylinderParams', label: 'Elliptic Cylinder' },
+  { type: 'arb', sceneKey: 'arbParams', label: 'Arbitrary Polyhedron' },
+];
+
+export const SHAPE_TYPES = BODY_TYPES.slice(3);
+
+// Geometry params of a new body of each shape type. In the local frame of a body:
+//   ellipsoid:        an ellipsoid of revolution about Y, majorRadius along Y and minorRadius across it
+//   wedge:            the half of a width × height × depth box below the diagonal from its -X+Y to +X-Y edge;
+//                     the right angle is at the -X-Y edge and the triangle is extruded along Z
+//   hexPrism:         a regular hexagonal prism along Y, apothem the distance from the axis to the side faces
+//   ellipticCylinder: a cylinder along Y with semi-axes radiusX and radiusZ
+//   arb:              eight vertices relative to the position and six faces, each a four-digit number of
+//                     1-based vertex numbers ("1234"; a triangle ends in 0, an unused face is 0)
+// Positions are the center of the body (of its bounding box for wedges), like boxes and cylinders.
+export const DEFAULT_SHAPE_PARAMS = {
+  ellipsoid: { majorRadius: 1.5, minorRadius: 1 },
+  wedge: { width: 2, height: 2, depth: 2 },
+  hexPrism: { apothem: 1, height: 2 },
+  ellipticCylinder: { radiusX: 1.5, radiusZ: 1, height: 2 },
+  arb: {
+    vertices: [
+      [-1, -1, -1], [1, -1, -1], [1, -1, 1], [-1, -1, 1],
+      [-0.5, 1, -0.5], [0.5, 1, -0.5], [0.5, 1, 0.5], [-0.5, 1, 0.5],
+    ],
+    faces: [1234, 5678, 1265, 2376, 3487, 4158],
+  },
+};
+
+const COS30 = Math.cos(Math.PI / 6);
+
+// Helper: 1-based vertex numbers of an ARB face number, without the trailing 0 of a triangle
+export function getArbFaceVertices(face) {
+  return String(Math.round(face))
+    .split('')
+    .map(Number)
+    .filter((number) => number > 0);
+}
+
+// Helper: Vertices and faces (lists of vertex indices around each face) of the polyhedral shapes,
+// in the local frame of the body
+function getPolyhedron(type, params) {
+  if (type === 'wedge') {
+    const [w, h, d] = [params.width / 2, params.height / 2, params.depth / 2];
+    return {
+      vertices: [[-w, -h, -d], [w, -h, -d], [-w, h, -d], [-w, -h, d], [w, -h, d], [-w, h, d]],
+      faces: [[0, 1, 2], [3, 4, 5], [0, 1, 4, 3], [0, 2, 5, 3], [1, 2, 5, 4]],
+    };
+  }
+  if (type === 'hexPrism') {
+    const radius = params.apothem / COS30;
+    const corners = Array.from({ length: 6 }, (_, k) => {
+      const angle = Math.PI / 6 + (k * Math.PI) / 3;
+      return [radius * Math.cos(angle), radius * Math.sin(angle)];
+    });
+    const h = params.height / 2;
+    return {
+      vertices: [...corners.map(([x, z]) => [x, -h, z]), ...corners.map(([x, z]) => [x, h, z])],
+      faces: [
+        [0, 1, 2, 3, 4, 5],
+        [6, 7, 8, 9, 10, 11],
+        ...corners.map((_, k) => [k, (k + 1) % 6, 6 + ((k + 1) % 6), 6 + k]),
+      ],
+    };
+  }
+  // arb
+  return {
+    vertices: params.vertices,
+    faces: params.faces.map(getArbFaceVertices).filter((face) => face.length >= 3).map((face) => face.map((n) => n - 1)),
+  };
+}
+
+// Helper: Vertices of the polyhedral shapes that are corners of the body, in its local frame
+function getCorners(type, params) {
+  const { vertices, faces } = getPolyhedron(type, params);
+  return [...new Set(faces.flat())].map((i) => vertices[i]);
+}
+
+// Helper: Face planes of the polyhedral shapes (wedge, hexPrism, arb) in the local frame of the body, as
+// { normal, offset } with unit normals pointing out: a point p is inside when dot(normal, p) <= offset for all
+export function getShapePlanes(type, params) {
+  const { vertices, faces } = getPolyhedron(type, params);
+  const corners = getCorners(type, params);
+  const center = scale(corners.reduce(add, [0, 0, 0]), 1 / corners.length);
+  return faces.map((face) => {
+    const [a, b, c] = face.map((i) => vertices[i]);
+    let normal = normalize(cross(sub(b, a), sub(c, a)));
+    if (dot(normal, sub(a, center)) < 0) {
+      normal = scale(normal, -1);
+    }
+    return { normal, offset: dot(normal, a) };
+  });
+}
+
+// Helper: Flat-shaded geometry of a convex polyhedron. Faces may be listed in either winding; each is
+// turned to face away from the center of the corners.
+function createPolyhedronGeometry({ vertices, faces }) {
+  const used = [...new Set(faces.flat())].map((i) => vertices[i]);
+  const center = scale(used.reduce(add, [0, 0, 0]), 1 / used.length);
+  const positions = [];
+  const normals = [];
+  for (const face of faces) {
+    const points = face.map((i) => vertices[i]);
+    // Newell's method gives the normal of a (possibly slightly non-planar) polygon
+    let normal = [0, 0, 0];
+    points.forEach((p, i) => {
+      normal = add(normal, cross(p, points[(i + 1) % points.length]));
+    });
+    normal = normalize(normal);
+    if (dot(normal, sub(points[0], center)) < 0) {
+      points.reverse();
+      normal = scale(normal, -1);
+    }
+    for (let i = 1; i < points.length - 1; i++) {
+      positions.push(...points[0], ...points[i], ...points[i + 1]);
+      normals.push(...normal, ...normal, ...normal);
+    }
+  }
+  const geometry = new BufferGeometry();
+  geometry.setAttribute('position', new Float32BufferAttribute(positions, 3));
+  geometry.setAttribute('normal', new Float32BufferAttribute(normals, 3));
+  // CSG needs the same attributes on every brush
+  geometry.setAttribute('uv', new Float32BufferAttribute(new Array((positions.length / 3) * 2).fill(0), 2));
+  return geometry;
+}
+
+// Helper: three.js geometry of a body in its local frame. segments is the number of segments around
+// round bodies (the viewport draws 32).
+export function createBodyGeometry(type, params, segments = 32) {
+  if (type === 'cylinder') {
+    return new CylinderGeometry(params.radiusTop, params.radiusBottom, params.height, segments);
+  }
+  if (type === 'sphere') {
+    return new SphereGeometry(params.radius, segments, segments);
+  }
+  if (type === 'box') {
+    return new BoxGeometry(params.width, params.height, params.depth);
+  }
+  if (type === 'ellipsoid') {
+    return new SphereGeometry(1, segments, segments).scale(params.minorRadius, params.majorRadius, params.minorRadius);
+  }
+  if (type === 'ellipticCylinder') {
+    return new CylinderGeometry(1, 1, params.height, segments).scale(params.radiusX, 1, params.radiusZ);
+  }
+  return createPolyhedronGeometry(getPolyhedron(type, params));
+}
+
+// Helper: Support function of a shape-type body in world coordinates: for a direction d, the point of the
+// body furthest along d. All shapes are convex, so the collision and placement helpers work from this alone.
+export function getShapeSupport(type, params) {
+  const rotation = params.rotation.map((v) => v * Math.PI);
+  const axes = [[1, 0, 0], [0, 1, 0], [0, 0, 1]].map((axis) => rotateVector(axis, rotation));
+  const toLocal = (d) => axes.map((axis) => dot(axis, d));
+  const toWorld = (p) => axes.reduce((point, axis, i) => add(point, scale(axis, p[i])), params.position);
+
+  if (type === 'ellipsoid') {
+    const semiAxes = [params.minorRadius, params.majorRadius, params.minorRadius];
+    return (d) => {
+      const local = toLocal(d);
+      const stretched = local.map((v, i) => semiAxes[i] * semiAxes[i] * v);
+      const norm = Math.sqrt(dot(stretched, local));
+      return norm > 0 ? toWorld(scale(stretched, 1 / norm)) : params.position;
+    };
+  }
+  if (type === 'ellipticCylinder') {
+    return (d) => {
+      const [x, y, z] = toLocal(d);
+      const norm = Math.hypot(params.radiusX * x, params.radiusZ * z);
+      const rim = norm > 0 ? [(params.radiusX ** 2 * x) / norm, (params.radiusZ ** 2 * z) / norm] : [0, 0];
+      return toWorld([rim[0], y >= 0 ? params.height / 2 : -params.height / 2, rim[1]]);
+    };
+  }
+  const corners = getCorners(type, params).map(toWorld);
+  return (d) => corners.reduce((best, corner) => (dot(corner, d) > dot(best, d) ? corner : best));
+}
+
+// Helper: [min, max] corners of the bounding box of a shape-type body in its local frame
+export function getLocalBounds(type, params) {
+  if (type === 'ellipsoid') {
+    const { majorRadius: a, minorRadius: b } = params;
+    return [[-b, -a, -b], [b, a, b]];
+  }
+  if (type === 'ellipticCylinder') {
+    const { radiusX, radiusZ, height } = params;
+    return [[-radiusX, -height / 2, -radiusZ], [radiusX, height / 2, radiusZ]];
+  }
+  const corners = getCorners(type, params);
+  return [
+    [0, 1, 2].map((i) => Math.min(...corners.map((corner) => corner[i]))),
+    [0, 1, 2].map((i) => Math.max(...corners.map((corner) => corner[i]))),
+  ];
+}
+
+// Helper: Volume of a shape-type body. Polyhedra are split into tetrahedra from the center of their corners,
+// one per triangle of a fan over each face.
+export function getShapeVolume(type, params) {
+  if (type === 'ellipsoid') {
+    return (4 / 3) * Math.PI * params.majorRadius * params.minorRadius ** 2;
+  }
+  if (type === 'ellipticCylinder') {
+    return Math.PI * params.radiusX * params.radiusZ * params.height;
+  }
+  const { vertices, faces } = getPolyhedron(type, params);
+  const corners = getCorners(type, params);
+  const center = scale(corners.reduce(add, [0, 0, 0]), 1 / corners.length);
+  let volume = 0;
+  for (const face of faces) {
+    const [a, ...rest] = face.map((i) => sub(vertices[i], center));
+    for (let i = 0; i + 1 < rest.length; i++) {
+      volume += Math.abs(dot(a, cross(rest[i], rest[i + 1]))) / 6;
+    }
+  }
+  return volume;
+}
+
+// Helper: Geometry params of a shape-type body after scaling its mesh by [sx, sy, sz] with the gizmo
+export function scaleShapeParams(type, params, [sx, sy, sz]) {
+  if (type === 'ellipsoid') {
+    // Kept a prolate ellipsoid of revolution: X and Z both scale the minor radius, up to the major radius
+    const majorRadius = params.majorRadius * sy;
+    return { majorRadius, minorRadius: Math.min((params.minorRadius * (sx + sz)) / 2, majorRadius) };
+  }
+  if (type === 'wedge') {
+    return { width: params.width * sx, height: params.height * sy, depth: params.depth * sz };
+  }
+  if (type === 'hexPrism') {
+    return { apothem: (params.apothem * (sx + sz)) / 2, height: params.height * sy };
+  }
+  if (type === 'ellipticCylinder') {
+    return { radiusX: params.radiusX * sx, radiusZ: params.radiusZ * sz, height: params.height * sy };
+  }
+  return { vertices: params.vertices.map(([x, y, z]) => [x * sx, y * sy, z * sz]) };
+}
+
+// Helper: Check the faces of an ARB: valid vertex numbers, at least four faces, and every corner on the
+// inner side of every face, i.e. a convex body. Returns a description of the problem, or null.
+export function checkArb(vertices, faces) {
+  const used = faces.map(getArbFaceVertices);
+  if (used.some((face) => face.some((number) => number > 8) || (face.length > 0 && face.length < 3))) {
+    return 'each face needs three or four vertex numbers from 1 to 8';
+  }
+  if (used.filter((face) => face.length > 0).length < 4) {
+    return 'at least four faces are needed';
+  }
+  const corners = [...new Set(used.flat())].map((number) => vertices[number - 1]);
+  const center = scale(corners.reduce(add, [0, 0, 0]), 1 / corners.length);
+  const planar = used.filter((face) => face.length > 0).every((face) => {
+    const [a, b, c] = face.map((number) => vertices[number - 1]);
+    const normal = cross(sub(b, a), sub(c, a));
+    return dot(normal, normal) > 0 && corners.every((corner) => {
+      const side = dot(normal, sub(corner, a));
+      const inward = dot(normal, sub(center, a));
+      return Math.abs(side) < 1e-6 * Math.sqrt(dot(normal, normal)) || Math.sign(side) === Math.sign(inward);
+    });
+  });
+  return planar ? null : 'the faces do not bound a convex body';
+}
+
+// Helper: Vertices of an ARB in world coordinates
+export function getArbWorldVertices(params) {
+  const rotation = params.rotation.map((v) => v * Math.PI);
+  return params.vertices.map((vertex) => add(params.position, rotateVector(vertex, rotation)));
+}
+
@@ -0,0 +1,40 @@
+import { DEFAULT_SHAPE_PARAMS, createBodyGeometry, getShapeSupport, getLocalBounds, checkArb } from './bodies';
+import { round } from './testUtils';
+
+const place = (type, rotation = [0, 0, 0], position = [0, 0, 0]) => ({
+  ...DEFAULT_SHAPE_PARAMS[type],
+  rotation,
+  position,
+});
+
+test('the support points follow the shape and rotation of the body', () => {
+  // Major axis turned from Y onto X
+  const ellipsoid = getShapeSupport('ellipsoid', place('ellipsoid', [0, 0, -0.5], [1, 0, 0]));
+  expect(round(ellipsoid([1, 0, 0]))).toEqual([2.5, 0, 0]);
+  expect(round(ellipsoid([0, 1, 0]))).toEqual([1, 1, 0]);
+  // Side faces of the hexagonal prism face X, the corners Z
+  const hexPrism = getShapeSupport('hexPrism', place('hexPrism'));
+  expect(round(hexPrism([1, 0, 0]))[0]).toBe(1);
+  expect(hexPrism([0, 0, 1])[2]).toBeCloseTo(2 / Math.sqrt(3), 12);
+  const ellipticCylinder = getShapeSupport('ellipticCylinder', place('ellipticCylinder'));
+  expect(round(ellipticCylinder([0, 1, 1]))).toEqual([0, 1, 1]);
+  // The wedge has no corner at +X+Y
+  expect(round(getShapeSupport('wedge', place('wedge'))([1, 1, 0]))).toEqual([1, -1, -1]);
+});
+
+test('bounding boxes and geometries of the polyhedral shapes', () => {
+  expect(getLocalBounds('arb', DEFAULT_SHAPE_PARAMS.arb)).toEqual([[-1, -1, -1], [1, 1, 1]]);
+  // Two triangles and three rectangles, and two hexagons and six rectangles, as triangles
+  expect(createBodyGeometry('wedge', DEFAULT_SHAPE_PARAMS.wedge).getAttribute('position').count).toBe(8 * 3);
+  expect(createBodyGeometry('hexPrism', DEFAULT_SHAPE_PARAMS.hexPrism).getAttribute('position').count).toBe(20 * 3);
+});
+
+test('arb faces must give a closed convex body', () => {
+  const { vertices, faces } = DEFAULT_SHAPE_PARAMS.arb;
+  expect(checkArb(vertices, faces)).toBeNull();
+  expect(checkArb(vertices, [1234, 5678, 1265, 0, 0, 0])).toMatch('four faces');
+  expect(checkArb(vertices, [1239, 5678, 1265, 2376, 3487, 4158])).toMatch('from 1 to 8');
+  // Vertex 5 pulled through the bottom face
+  const dented = vertices.map((vertex, i) => (i === 4 ? [0, -2, 0] : vertex));
+  expect(checkArb(dented, faces)).toMatch('convex');
+});
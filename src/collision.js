@@ -0,0 +1,522 @@
+// collision.js
+import { add, sub, scale, dot, cross, length, normalize, eulerToDirection, getBoxFrame } from './geometry';
+import { getShapeSupport } from './bodies';
+
+// Tolerance below which touching surfaces (e.g. flush walls) are not reported as colliding
+const CONTACT_EPSILON = 1e-6;
+
+// Offset of the first GJK search direction from the line between the centers of two bodies. For round
+// bodies on a common axis the first support points would otherwise lie on a line through the origin,
+// which GJK takes for touching.
+const SKEW = [1e-3, 2e-3, 3e-3];
+
+// Helper: Radius of a (possibly truncated-cone) cylinder at fraction t of its height, measured from the bottom
+function coneRadiusAt(cyl, t) {
+  return cyl.radiusBottom + (cyl.radiusTop - cyl.radiusBottom) * t;
+}
+
+// Helper: Distance from a 2D point to a 2D segment
+function distPointSegment2D([px, py], [ax, ay], [bx, by]) {
+  const abx = bx - ax;
+  const aby = by - ay;
+  const lenSq = abx * abx + aby * aby;
+  const t = lenSq > 0 ? Math.max(0, Math.min(1, ((px - ax) * abx + (py - ay) * aby) / lenSq)) : 0;
+  return Math.sqrt((px - (ax + t * abx)) ** 2 + (py - (ay + t * aby)) ** 2);
+}
+
+// Helper: Parameters (s, t) in [0, 1] of the closest points between segments p1-q1 and p2-q2
+function closestPointsOnSegments(p1, q1, p2, q2) {
+  const clamp = (v) => Math.max(0, Math.min(1, v));
+  const d1 = sub(q1, p1);
+  const d2 = sub(q2, p2);
+  const r = sub(p1, p2);
+  const a = dot(d1, d1);
+  const e = dot(d2, d2);
+  const f = dot(d2, r);
+  if (a <= 1e-12 && e <= 1e-12) {
+    return [0, 0];
+  }
+  if (a <= 1e-12) {
+    return [0, clamp(f / e)];
+  }
+  const c = dot(d1, r);
+  if (e <= 1e-12) {
+    return [clamp(-c / a), 0];
+  }
+  const b = dot(d1, d2);
+  const denom = a * e - b * b;
+  // Parallel segments: any point works, start from p1 and let the clamping below fix t
+  let s = denom > 1e-12 ? clamp((b * f - c * e) / denom) : 0;
+  let t = (b * s + f) / e;
+  if (t < 0) {
+    t = 0;
+    s = clamp(-c / a);
+  } else if (t > 1) {
+    t = 1;
+    s = clamp((b - c) / a);
+  }
+  return [s, t];
+}
+
+// Helper: Check if two finite cylinders (or truncated cones) are colliding
+function checkCylinderCollision(cyl1, cyl2) {
+  const dir1 = eulerToDirection(cyl1.rotation.map(v => v * Math.PI));
+  const dir2 = eulerToDirection(cyl2.rotation.map(v => v * Math.PI));
+
+  const start1 = sub(cyl1.position, scale(dir1, 0.5 * cyl1.height));
+  const end1 = add(cyl1.position, scale(dir1, 0.5 * cyl1.height));
+  const start2 = sub(cyl2.position, scale(dir2, 0.5 * cyl2.height));
+  const end2 = add(cyl2.position, scale(dir2, 0.5 * cyl2.height));
+
+  // Closest points between the two axis segments
+  const [s, t] = closestPointsOnSegments(start1, end1, start2, end2);
+  const closest1 = add(start1, scale(sub(end1, start1), s));
+  const closest2 = add(start2, scale(sub(end2, start2), t));
+  const distance = length(sub(closest2, closest1));
+
+  // Too far apart for even the widest parts to touch
+  const maxR1 = Math.max(cyl1.radiusTop, cyl1.radiusBottom);
+  const maxR2 = Math.max(cyl2.radiusTop, cyl2.radiusBottom);
+  if (distance >= maxR1 + maxR2 - CONTACT_EPSILON) {
+    return false;
+  }
+
+  // Closest points inside both axes: the gap between them is perpendicular to both axes,
+  // so the sides overlap exactly when the local radii bridge it
+  const interior = s > 0 && s < 1 && t > 0 && t < 1;
+  if (interior && distance < coneRadiusAt(cyl1, s) + coneRadiusAt(cyl2, t) - CONTACT_EPSILON) {
+    return true;
+  }
+
+  // Caps or cone flanks are involved: fall back to the exact convex test
+  return checkConvexCollision(cylinderSupport(cyl1), cylinderSupport(cyl2), sub(closest2, closest1));
+}
+
+// Helper: Check if two spheres are colliding
+function checkSphereCollision(sph1, sph2) {
+  const [x1, y1, z1] = sph1.position;
+  const [x2, y2, z2] = sph2.position;
+  const r1 = sph1.radius;
+  const r2 = sph2.radius;
+  const epsilon = 0.01; // Small margin to avoid false positives
+  const distance = Math.sqrt((x2 - x1) ** 2 + (y2 - y1) ** 2 + (z2 - z1) ** 2);
+  return distance < (r1 + r2 - epsilon);
+}
+
+// Helper: Check if a cylinder (or truncated cone) and sphere are colliding
+function checkCylinderSphereCollision(cyl, sph) {
+  const [cx, cy, cz] = cyl.position;
+  const [sx, sy, sz] = sph.position;
+  const sphRadius = sph.radius;
+  const cylHeight = cyl.height;
+
+  const dir = eulerToDirection(cyl.rotation.map(v => v * Math.PI));
+
+  // Express the sphere center in the cylinder's (axial, radial) half-plane, measured from the bottom cap
+  const vec = [sx - cx, sy - cy, sz - cz];
+  const alongAxis = vec[0] * dir[0] + vec[1] * dir[1] + vec[2] * dir[2];
+  const axial = alongAxis + 0.5 * cylHeight;
+  const radial = Math.sqrt(Math.max(0, vec[0] ** 2 + vec[1] ** 2 + vec[2] ** 2 - alongAxis ** 2));
+
+  // Sphere center inside the solid
+  if (axial >= 0 && axial <= cylHeight && radial <= coneRadiusAt(cyl, cylHeight > 0 ? axial / cylHeight : 0)) {
+    return true;
+  }
+
+  // Otherwise, check distance to the profile: bottom cap, side (slanted for a cone) and top cap
+  const point = [axial, radial];
+  const bottomRim = [0, cyl.radiusBottom];
+  const topRim = [cylHeight, cyl.radiusTop];
+  const distance = Math.min(
+    distPointSegment2D(point, [0, 0], bottomRim),
+    distPointSegment2D(point, bottomRim, topRim),
+    distPointSegment2D(point, topRim, [cylHeight, 0])
+  );
+  return distance < sphRadius;
+}
+
+// Helper: Check if a box and sphere are colliding (closest point on the box to the sphere center)
+function checkBoxSphereCollision(box, sph) {
+  const { center, axes, halfExtents } = getBoxFrame(box);
+  const rel = sub(sph.position, center);
+  let distSq = 0;
+  for (let i = 0; i < 3; i++) {
+    const d = dot(rel, axes[i]);
+    const excess = Math.abs(d) - halfExtents[i];
+    if (excess > 0) {
+      distSq += excess * excess;
+    }
+  }
+  return Math.sqrt(distSq) < sph.radius - CONTACT_EPSILON;
+}
+
+// Helper: Check if two boxes are colliding (separating axis test over the 15 candidate axes)
+function checkBoxCollision(box1, box2) {
+  const a = getBoxFrame(box1);
+  const b = getBoxFrame(box2);
+  const centerDelta = sub(b.center, a.center);
+
+  const candidateAxes = [...a.axes, ...b.axes];
+  for (const axisA of a.axes) {
+    for (const axisB of b.axes) {
+      const axis = cross(axisA, axisB);
+      // Skip edge pairs that are parallel; the face axes already cover them
+      if (length(axis) > 1e-9) {
+        candidateAxes.push(normalize(axis));
+      }
+    }
+  }
+
+  const projectedRadius = (frame, axis) =>
+    frame.axes.reduce((sum, boxAxis, i) => sum + frame.halfExtents[i] * Math.abs(dot(boxAxis, axis)), 0);
+
+  for (const axis of candidateAxes) {
+    const distance = Math.abs(dot(centerDelta, axis));
+    if (distance >= projectedRadius(a, axis) + projectedRadius(b, axis) - CONTACT_EPSILON) {
+      return false;
+    }
+  }
+  return true;
+}
+
+// Helper: Support point of a box, i.e. its furthest point in direction d
+function boxSupport(box) {
+  const { center, axes, halfExtents } = getBoxFrame(box);
+  return (d) => axes.reduce(
+    (point, axis, i) => add(point, scale(axis, dot(d, axis) >= 0 ? halfExtents[i] : -halfExtents[i])),
+    center
+  );
+}
+
+// Helper: Support point of a cylinder or truncated cone, i.e. its furthest point in direction d
+function cylinderSupport(cyl) {
+  const dir = eulerToDirection(cyl.rotation.map(v => v * Math.PI));
+  const bottom = sub(cyl.position, scale(dir, 0.5 * cyl.height));
+  const top = add(cyl.position, scale(dir, 0.5 * cyl.height));
+  return (d) => {
+    // The furthest point always lies on one of the two cap rims
+    const radialDir = normalize(sub(d, scale(dir, dot(d, dir))));
+    const bottomPoint = add(bottom, scale(radialDir, cyl.radiusBottom));
+    const topPoint = add(top, scale(radialDir, cyl.radiusTop));
+    return dot(d, topPoint) >= dot(d, bottomPoint) ? topPoint : bottomPoint;
+  };
+}
+
+// Helper: Reduce a GJK simplex (newest point first) towards the origin. Returns true when the
+// simplex encloses the origin, otherwise updates it and the next search direction in place.
+function updateSimplex(simplex, direction) {
+  const setDirection = (v) => {
+    direction[0] = v[0];
+    direction[1] = v[1];
+    direction[2] = v[2];
+  };
+  const line = (a, b) => {
+    const ab = sub(b, a);
+    const ao = scale(a, -1);
+    if (dot(ab, ao) > 0) {
+      simplex.splice(0, simplex.length, a, b);
+      const towardsOrigin = cross(cross(ab, ao), ab);
+      if (length(towardsOrigin) > 1e-12) {
+        setDirection(towardsOrigin);
+      } else {
+        // The origin lies on the segment: keep searching in any direction perpendicular to it
+        const perpendicular = cross(ab, [1, 0, 0]);
+        setDirection(length(perpendicular) > 1e-12 ? perpendicular : cross(ab, [0, 1, 0]));
+      }
+    } else {
+      simplex.splice(0, simplex.length, a);
+      setDirection(ao);
+    }
+    return false;
+  };
+  const triangle = (a, b, c) => {
+    const ab = sub(b, a);
+    const ac = sub(c, a);
+    const ao = scale(a, -1);
+    const abc = cross(ab, ac);
+    if (dot(cross(abc, ac), ao) > 0) {
+      if (dot(ac, ao) > 0) {
+        simplex.splice(0, simplex.length, a, c);
+        setDirection(cross(cross(ac, ao), ac));
+        return false;
+      }
+      return line(a, b);
+    }
+    if (dot(cross(ab, abc), ao) > 0) {
+      return line(a, b);
+    }
+    if (dot(abc, ao) > 0) {
+      simplex.splice(0, simplex.length, a, b, c);
+      setDirection(abc);
+    } else {
+      simplex.splice(0, simplex.length, a, c, b);
+      setDirection(scale(abc, -1));
+    }
+    return false;
+  };
+
+  const [a, b, c, d] = simplex;
+  if (simplex.length === 2) {
+    return line(a, b);
+  }
+  if (simplex.length === 3) {
+    return triangle(a, b, c);
+  }
+  const ao = scale(a, -1);
+  const ab = sub(b, a);
+  const ac = sub(c, a);
+  const ad = sub(d, a);
+  // An origin lying on a face counts as outside, so touching shapes are resolved by the next support point
+  const facesOrigin = (normal) => dot(normal, ao) >= -CONTACT_EPSILON * length(normal);
+  if (facesOrigin(cross(ab, ac))) {
+    return triangle(a, b, c);
+  }
+  if (facesOrigin(cross(ac, ad))) {
+    return triangle(a, c, d);
+  }
+  if (facesOrigin(cross(ad, ab))) {
+    return triangle(a, d, b);
+  }
+  return true;
+}
+
+// Helper: Tetrahedron of points of the Minkowski difference A - B that encloses the origin when two
+// convex shapes, given by their support functions, overlap (GJK); null when they do not
+function findEnclosingSimplex(support, initialDirection) {
+  const direction = length(initialDirection) > 0 ? [...initialDirection] : [1, 0, 0];
+  const simplex = [support(direction)];
+  direction.splice(0, 3, ...scale(simplex[0], -1));
+
+  for (let iteration = 0; iteration < 64; iteration++) {
+    // The origin lies on the current simplex: the shapes are just touching
+    if (length(direction) < 1e-12) {
+      return null;
+    }
+    const point = support(direction);
+    if (dot(point, normalize(direction)) <= CONTACT_EPSILON) {
+      return null;
+    }
+    simplex.unshift(point);
+    if (updateSimplex(simplex, direction)) {
+      return simplex;
+    }
+  }
+  return null;
+}
+
+// Helper: Check if two convex shapes, given by their support functions, overlap (GJK)
+function checkConvexCollision(supportA, supportB, initialDirection) {
+  return findEnclosingSimplex((d) => sub(supportA(d), supportB(scale(d, -1))), initialDirection) !== null;
+}
+
+// Helper: Distance from the origin to the plane of a polytope face and its unit normal pointing away
+// from the origin, or null for a degenerate face
+function facePlane(points, [a, b, c]) {
+  const normal = cross(sub(points[b], points[a]), sub(points[c], points[a]));
+  if (length(normal) < 1e-12) {
+    return null;
+  }
+  const unit = normalize(normal);
+  const distance = dot(unit, points[a]);
+  return distance < 0
+    ? { face: [a, c, b], normal: scale(unit, -1), distance: -distance }
+    : { face: [a, b, c], normal: unit, distance };
+}
+
+// Helper: Penetration of two overlapping convex shapes (EPA): the shortest distance one has to move for them
+// to only touch, and the unit direction to move B in, given the support function of A - B. The polytope around the origin from GJK is grown
+// towards its face closest to the origin until that face is on the boundary of A - B. Curved bodies have
+// no flat faces to reach, so their depth is found to within tolerance (relative to the depth).
+function getPenetration(support, simplex, tolerance = 1e-4) {
+  const points = [...simplex];
+  let faces = [[0, 1, 2], [0, 3, 1], [0, 2, 3], [1, 3, 2]].map((face) => facePlane(points, face)).filter(Boolean);
+  let closest = null;
+  for (let iteration = 0; iteration < 64 && faces.length > 0; iteration++) {
+    closest = faces.reduce((best, face) => (face.distance < best.distance ? face : best));
+    const point = support(closest.normal);
+    if (dot(point, closest.normal) - closest.distance <= tolerance * Math.max(closest.distance, 1e-3)) {
+      break;
+    }
+    // Replace the faces the new point sees by a fan from the point to the edges around them
+    const index = points.push(point) - 1;
+    const edges = [];
+    const kept = [];
+    for (const entry of faces) {
+      if (dot(entry.normal, sub(point, points[entry.face[0]])) > 0) {
+        const [a, b, c] = entry.face;
+        for (const [from, to] of [[a, b], [b, c], [c, a]]) {
+          // An edge shared by two removed faces is inside the hole; the others are around it
+          const reverse = edges.findIndex(([x, y]) => x === to && y === from);
+          if (reverse >= 0) {
+            edges.splice(reverse, 1);
+          } else {
+            edges.push([from, to]);
+          }
+        }
+      } else {
+        kept.push(entry);
+      }
+    }
+    faces = [...kept, ...edges.map(([from, to]) => facePlane(points, [from, to, index])).filter(Boolean)];
+  }
+  return closest && { depth: closest.distance, direction: closest.normal };
+}
+
+// Helper: Check if a box and a cylinder (or truncated cone) are colliding
+function checkBoxCylinderCollision(box, cyl) {
+  return checkConvexCollision(
+    boxSupport(box),
+    cylinderSupport(cyl),
+    sub(cyl.position, box.position)
+  );
+}
+
+// Helper: Support function of a body of any type
+function bodySupport(type, params) {
+  if (type === 'cylinder') {
+    return cylinderSupport(params);
+  }
+  if (type === 'sphere') {
+    return (d) => add(params.position, scale(normalize(d), params.radius));
+  }
+  if (type === 'box') {
+    return boxSupport(params);
+  }
+  return getShapeSupport(type, params);
+}
+
+// Helper: Check for collisions between all objects. shapeParamsByType holds the params of the other
+// body types (ellipsoids, wedges, ...) keyed by type; as all of them are convex, they are checked
+// against every body with GJK on their exact support functions.
+export function detectCollisions(cylinderParams, sphereParams, boxParams = {}, shapeParamsByType = {}) {
+  const collisions = [];
+  const cylinderIds = Object.keys(cylinderParams);
+  const sphereIds = Object.keys(sphereParams);
+  const boxIds = Object.keys(boxParams);
+  
+  // Check cylinder-cylinder collisions
+  for (let i = 0; i < cylinderIds.length; i++) {
+    for (let j = i + 1; j < cylinderIds.length; j++) {
+      const id1 = cylinderIds[i];
+      const id2 = cylinderIds[j];
+      const cyl1 = cylinderParams[id1];
+      const cyl2 = cylinderParams[id2];
+      
+      if (checkCylinderCollision(cyl1, cyl2)) {
+        collisions.push([id1, id2]);
+      }
+    }
+  }
+  
+  // Check sphere-sphere collisions
+  for (let i = 0; i < sphereIds.length; i++) {
+    for (let j = i + 1; j < sphereIds.length; j++) {
+      const id1 = sphereIds[i];
+      const id2 = sphereIds[j];
+      const sph1 = sphereParams[id1];
+      const sph2 = sphereParams[id2];
+      
+      if (checkSphereCollision(sph1, sph2)) {
+        collisions.push([id1, id2]);
+      }
+    }
+  }
+  
+  // Check cylinder-sphere collisions
+  for (let i = 0; i < cylinderIds.length; i++) {
+    for (let j = 0; j < sphereIds.length; j++) {
+      const cylId = cylinderIds[i];
+      const sphId = sphereIds[j];
+      const cyl = cylinderParams[cylId];
+      const sph = sphereParams[sphId];
+      
+      if (checkCylinderSphereCollision(cyl, sph)) {
+        collisions.push([cylId, sphId]);
+      }
+    }
+  }
+
+  // Check box-box collisions
+  for (let i = 0; i < boxIds.length; i++) {
+    for (let j = i + 1; j < boxIds.length; j++) {
+      const id1 = boxIds[i];
+      const id2 = boxIds[j];
+
+      if (checkBoxCollision(boxParams[id1], boxParams[id2])) {
+        collisions.push([id1, id2]);
+      }
+    }
+  }
+
+  // Check box-cylinder and box-sphere collisions
+  for (const boxId of boxIds) {
+    const box = boxParams[boxId];
+    for (const cylId of cylinderIds) {
+      if (checkBoxCylinderCollision(box, cylinderParams[cylId])) {
+        collisions.push([boxId, cylId]);
+      }
+    }
+    for (const sphId of sphereIds) {
+      if (checkBoxSphereCollision(box, sphereParams[sphId])) {
+        collisions.push([boxId, sphId]);
+      }
+    }
+  }
+
+  // Check the other shapes against everything listed before them
+  const checked = [
+    ...[['cylinder', cylinderParams], ['sphere', sphereParams], ['box', boxParams]].flatMap(([type, paramsById]) =>
+      Object.entries(paramsById).map(([id, params]) => ({ id, params, support: bodySupport(type, params) }))
+    ),
+  ];
+  for (const [type, paramsById] of Object.entries(shapeParamsByType)) {
+    for (const [id, params] of Object.entries(paramsById)) {
+      const support = bodySupport(type, params);
+      for (const other of checked) {
+        if (checkConvexCollision(support, other.support, add(sub(other.params.position, params.position), SKEW))) {
+          collisions.push([id, other.id]);
+        }
+      }
+      checked.push({ id, params, support });
+    }
+  }
+
+  return collisions;
+}
+
+// How deep two bodies ({ type, params } in world coordinates) overlap: { depth, direction } with the
+// distance to move the second body along the unit direction for them to only touch, or null when they do
+// not overlap
+export function getPenetrationDepth(bodyA, bodyB) {
+  const supportA = bodySupport(bodyA.type, bodyA.params);
+  const supportB = bodySupport(bodyB.type, bodyB.params);
+  const support = (d) => sub(supportA(d), supportB(scale(d, -1)));
+  const simplex = findEnclosingSimplex(support, add(sub(bodyB.params.position, bodyA.params.position), SKEW));
+  if (!simplex) {
+    return null;
+  }
+  // Moving B by the direction times the depth moves A - B back by as much, which puts its closest face on the origin
+  return getPenetration(support, simplex);
+}
+
+// Helper: Penetration depths of colliding pairs ([id1, id2]), with bodyOf(id) giving { type, params } of a
+// body. Returns a Map from "id1 id2" to { bodies, penetration }. Entries of previous (an earlier result) are
+// reused for pairs whose two bodies have not changed, so moving one body only works out its own pairs again.
+export function getPenetrations(pairs, bodyOf, previous = new Map()) {
+  return new Map(
+    pairs.map((pair) => {
+      const key = pair.join(' ');
+      const bodies = JSON.stringify(pair.map(bodyOf));
+      const cached = previous.get(key);
+      if (cached && cached.bodies === bodies) {
+        return [key, cached];
+      }
+      return [key, { bodies, penetration: getPenetrationDepth(bodyOf(pair[0]), bodyOf(pair[1])) }];
+    })
+  );
+}
+
+// Helper: Whether a pair of body ids is in a list of pairs, in either order
+export function hasPair(pairs, [id1, id2]) {
+  return pairs.some(([a, b]) => (a === id1 && b === id2) || (a === id2 && b === id1));
+}
@@ -0,0 +1,169 @@
+import { detectCollisions, getPenetrationDepth, getPenetrations } from './collision';
+
+const cylinder = (position, rotation = [0, 0, 0], { radiusTop = 1, radiusBottom = 1, height = 2 } = {}) => ({
+  position,
+  rotation,
+  radiusTop,
+  radiusBottom,
+  height,
+});
+const sphere = (position, radius = 1) => ({ position, radius });
+const box = (position, rotation = [0, 0, 0], { width = 2, height = 2, depth = 2 } = {}) => ({
+  position,
+  rotation,
+  width,
+  height,
+  depth,
+});
+
+const collide = ({ cylinders = {}, spheres = {}, boxes = {} }) =>
+  detectCollisions(cylinders, spheres, boxes).length > 0;
+
+describe('cylinder-cylinder', () => {
+  test('short cylinders whose axis lines cross far from both bodies do not collide', () => {
+    const cylinders = { a: cylinder([0, 0, 0]), b: cylinder([10, 10, 0], [0, 0, 0.5]) };
+    expect(collide({ cylinders })).toBe(false);
+  });
+
+  test('coaxial cylinders with a gap between their caps do not collide', () => {
+    const wide = { radiusTop: 2, radiusBottom: 2, height: 2 };
+    const cylinders = { a: cylinder([0, 0, 0], [0, 0, 0], wide), b: cylinder([0, 3, 0], [0, 0, 0], wide) };
+    expect(collide({ cylinders })).toBe(false);
+  });
+
+  test('stacked cylinders touching cap to cap do not collide', () => {
+    expect(collide({ cylinders: { a: cylinder([0, 0, 0]), b: cylinder([0, 2, 0]) } })).toBe(false);
+  });
+
+  test('parallel side-by-side cylinders overlapping sideways collide', () => {
+    expect(collide({ cylinders: { a: cylinder([0, 0, 0]), b: cylinder([1.5, 0.5, 0]) } })).toBe(true);
+  });
+
+  test('crossing cylinders collide', () => {
+    expect(collide({ cylinders: { a: cylinder([0, 0, 0]), b: cylinder([0, 0, 0], [0, 0, 0.5]) } })).toBe(true);
+  });
+
+  test('a cylinder lying on top of a cap collides only when it dips into it', () => {
+    const upright = cylinder([0, 0, 0]);
+    expect(collide({ cylinders: { a: upright, b: cylinder([0, 1.9, 0], [0, 0, 0.5]) } })).toBe(true);
+    expect(collide({ cylinders: { a: upright, b: cylinder([0, 2.1, 0], [0, 0, 0.5]) } })).toBe(false);
+  });
+
+  test('cones use the radius of their slanted side', () => {
+    const cone = cylinder([0, 0, 0], [0, 0, 0], { radiusTop: 0, radiusBottom: 1, height: 2 });
+    const rod = { radiusTop: 0.1, radiusBottom: 0.1, height: 2 };
+    expect(collide({ cylinders: { a: cone, b: cylinder([0, 0.8, 0.5], [0, 0, 0.5], rod) } })).toBe(false);
+    expect(collide({ cylinders: { a: cone, b: cylinder([0, -0.8, 0.5], [0, 0, 0.5], rod) } })).toBe(true);
+  });
+});
+
+describe('cylinder-sphere', () => {
+  test('spheres next to the narrow end of a cone do not collide', () => {
+    const cone = cylinder([0, 0, 0], [0, 0, 0], { radiusTop: 0.1, radiusBottom: 2, height: 2 });
+    expect(collide({ cylinders: { a: cone }, spheres: { s: sphere([1.5, 1.2, 0], 0.3) } })).toBe(false);
+    expect(collide({ cylinders: { a: cone }, spheres: { s: sphere([1.5, -0.8, 0], 0.3) } })).toBe(true);
+  });
+
+  test('a sphere inside a cone collides with it', () => {
+    const cone = cylinder([0, 0, 0], [0, 0, 0], { radiusTop: 0.5, radiusBottom: 2, height: 4 });
+    expect(collide({ cylinders: { a: cone }, spheres: { s: sphere([0, -1, 0], 0.2) } })).toBe(true);
+  });
+});
+
+describe('boxes', () => {
+  test('flush boxes do not collide, overlapping ones do', () => {
+    expect(collide({ boxes: { a: box([0, 0, 0]), b: box([2, 0, 0]) } })).toBe(false);
+    expect(collide({ boxes: { a: box([0, 0, 0]), b: box([1.9, 0, 0]) } })).toBe(true);
+  });
+
+  test('rotated boxes use their rotated extent', () => {
+    expect(collide({ boxes: { a: box([0, 0, 0]), b: box([2.3, 0, 0], [0, 0, 0.25]) } })).toBe(true);
+    expect(collide({ boxes: { a: box([0, 0, 0]), b: box([2.5, 0, 0], [0, 0, 0.25]) } })).toBe(false);
+  });
+
+  test('box-sphere uses the closest point on the box', () => {
+    expect(collide({ boxes: { a: box([0, 0, 0]) }, spheres: { s: sphere([1.5, 1.5, 0]) } })).toBe(true);
+    expect(collide({ boxes: { a: box([0, 0, 0]) }, spheres: { s: sphere([1.8, 1.8, 0]) } })).toBe(false);
+  });
+
+  test('box-cylinder handles concentric, overlapping and flush bodies', () => {
+    const slab = box([0, 0, 0]);
+    expect(collide({ boxes: { a: slab }, cylinders: { c: cylinder([0, 0, 0]) } })).toBe(true);
+    expect(collide({ boxes: { a: slab }, cylinders: { c: cylinder([1.9, 0, 0]) } })).toBe(true);
+    expect(collide({ boxes: { a: slab }, cylinders: { c: cylinder([2, 0, 0]) } })).toBe(false);
+    expect(collide({ boxes: { a: box([0, 0, 0], [0, 0.25, 0]) }, cylinders: { c: cylinder([2.5, 0, 0]) } })).toBe(false);
+  });
+});
+
+describe('other body types', () => {
+  const ellipsoid = (position, rotation = [0, 0, 0]) => ({ majorRadius: 3, minorRadius: 1, rotation, position });
+  const wedge = (position) => ({ width: 2, height: 2, depth: 2, rotation: [0, 0, 0], position });
+
+  test('an ellipsoid collides along its major axis only', () => {
+    expect(detectCollisions({}, { s: sphere([0, 3.5, 0]) }, {}, { ellipsoid: { e: ellipsoid([0, 0, 0]) } })).toEqual([
+      ['e', 's'],
+    ]);
+    expect(detectCollisions({}, { s: sphere([2.5, 0, 0]) }, {}, { ellipsoid: { e: ellipsoid([0, 0, 0]) } })).toEqual([]);
+  });
+
+  test('a box next to the sloped face of a wedge does not collide with it', () => {
+    // The box corner at (0.4, 0.4) is beyond the slope x + y = 0 of the wedge
+    const boxes = { b: box([1.4, 1.4, 0]) };
+    expect(detectCollisions({}, {}, boxes, { wedge: { w: wedge([0, 0, 0]) } })).toEqual([]);
+    expect(detectCollisions({}, {}, boxes, { wedge: { w: wedge([0.5, 0.5, 0]) } })).toEqual([['w', 'b']]);
+  });
+
+  test('shapes are checked against each other', () => {
+    const shapes = { ellipsoid: { e: ellipsoid([0, 0, 0], [0, 0, 0.5]) }, wedge: { w: wedge([3.5, 0, 0]) } };
+    expect(detectCollisions({}, {}, {}, shapes)).toEqual([['w', 'e']]);
+  });
+});
+
+describe('penetration depth', () => {
+  test('overlapping boxes are pushed apart along the axis of least overlap', () => {
+    const { depth, direction } = getPenetrationDepth(
+      { type: 'box', params: box([0, 0, 0]) },
+      { type: 'box', params: box([1.5, 0.2, 0]) }
+    );
+    expect(depth).toBeCloseTo(0.5, 9);
+    expect(direction.map((v) => Math.round(v * 1e9) / 1e9 + 0)).toEqual([1, 0, 0]);
+  });
+
+  test('round bodies are estimated within the tolerance', () => {
+    const spheres = getPenetrationDepth(
+      { type: 'sphere', params: sphere([0, 0, 0]) },
+      { type: 'sphere', params: sphere([1.5, 0, 0]) }
+    );
+    expect(spheres.depth).toBeCloseTo(0.5, 3);
+    const cylinderBox = getPenetrationDepth(
+      { type: 'cylinder', params: cylinder([0, 0, 0]) },
+      { type: 'box', params: box([0, 1.8, 0], [0, 0, 0], { width: 4, height: 2, depth: 4 }) }
+    );
+    expect(cylinderBox.depth).toBeCloseTo(0.2, 6);
+  });
+
+  test('separate bodies have no penetration', () => {
+    const boxes = [box([0, 0, 0]), box([2, 0, 0])].map((params) => ({ type: 'box', params }));
+    expect(getPenetrationDepth(...boxes)).toBeNull();
+  });
+
+  test('depths are only worked out again for the pairs whose bodies changed', () => {
+    const bodies = {
+      a: { type: 'box', params: box([0, 0, 0]) },
+      b: { type: 'box', params: box([1.5, 0, 0]) },
+      c: { type: 'sphere', params: sphere([-1.5, 0, 0]) },
+    };
+    const bodyOf = (id) => bodies[id];
+    const first = getPenetrations([['a', 'b'], ['c', 'a']], bodyOf);
+    expect(first.get('a b').penetration.depth).toBeCloseTo(0.5, 9);
+
+    // Moving b keeps the depth of c and a, even though the params are new objects
+    bodies.b = { type: 'box', params: box([1.8, 0, 0]) };
+    bodies.c = { type: 'sphere', params: sphere([-1.5, 0, 0]) };
+    const second = getPenetrations([['a', 'b'], ['c', 'a']], bodyOf, first);
+    expect(second.get('c a')).toBe(first.get('c a'));
+    expect(second.get('a b').penetration.depth).toBeCloseTo(0.2, 9);
+    // Pairs that no longer collide are dropped
+    expect([...getPenetrations([['a', 'b']], bodyOf, second).keys()]).toEqual(['a b']);
+  });
+});
@@ -0,0 +1,12 @@
+// csv.js
+
+// Helper: A CSV field, quoted when it holds a comma, a quote or a line break. Empty for null.
+const csvField = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Helper: CSV text of rows of fields
+export function toCsv(rows) {
+  return rows.map((row) => row.map(csvField).join(',')).join('\n') + '\n';
+}
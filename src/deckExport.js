@@ -0,0 +1,341 @@
+// deckExport.js
+import { eulerToDirection, getBoxFrame, rotateVector, add, sub, scale, cross, normalize, length } from './geometry';
+import { getArbWorldVertices } from './bodies';
+import { findMaterial, VOID_MATERIAL, BLACK_HOLE_MATERIAL } from './materials';
+import { formatZoneExpression, complementTerms } from './zones';
+import { lengthFactor } from './units';
+
+// The transport codes share the same primitive bodies, so the scene is first turned into a deck of
+// body cards and zones that each format then writes out:
+//   bodies: [{ id, name, number, macro, values, faces }] with macro one of
+//           rcc (base, axis vector, radius), trc (base, axis vector, base radius, top radius),
+//           sph (center, radius), rpp (x, y and z ranges), box (corner and three edge vectors),
+//           ell (two foci, major axis length), wed (right-angle corner, two leg vectors, extrusion vector),
+//           rhp (base, axis vector, vectors to three adjacent side faces),
+//           rec (base, axis vector, two semi-axis vectors) or arb (eight vertices);
+//           faces holds the six face numbers of an arb, which are not lengths
+//   zones:  [{ name, terms, material, outside }] with terms as in zones.js and the library material of the
+//           zone, or the void or black hole material for the zones the world adds; outside holds the
+//           indices in zones of the zones this one leaves out (the void of the world leaves out all others)
+//   bodyNumbers: body number of each body id
+//   unit, precision: length unit of the body values and the number of decimals to write
+
+// Helper: Body card of a body in world coordinates
+function getBodyCard(type, id, params) {
+  const rotation = params.rotation?.map((v) => v * Math.PI);
+  // Axis along local Y through the position, as base point and vector of the given length
+  const axisCard = (height) => {
+    const axis = scale(eulerToDirection(rotation), height);
+    return [add(params.position, scale(axis, -0.5)), axis];
+  };
+  if (type === 'ellipsoid') {
+    const { majorRadius, minorRadius } = params;
+    // The ell card has the foci on the major axis, which an oblate ellipsoid does not have
+    if (minorRadius > majorRadius) {
+      throw new Error(`The ellipsoid ${id} is wider than it is long. Make its minor radius at most its major radius.`);
+    }
+    const offset = scale(eulerToDirection(rotation), Math.sqrt(majorRadius ** 2 - minorRadius ** 2));
+    return { macro: 'ell', values: [...sub(params.position, offset), ...add(params.position, offset), 2 * majorRadius] };
+  }
+  if (type === 'wedge') {
+    const { center, axes, halfExtents } = getBoxFrame(params);
+    const edges = axes.map((axis, i) => scale(axis, 2 * halfExtents[i]));
+    const corner = edges.reduce((point, edge) => add(point, scale(edge, -0.5)), center);
+    return { macro: 'wed', values: [corner, ...edges].flat() };
+  }
+  if (type === 'hexPrism') {
+    // Side faces facing local X, and 60° and 120° from it towards local Z
+    const faceVector = (angle) => rotateVector([Math.cos(angle), 0, Math.sin(angle)].map((v) => v * params.apothem), rotation);
+    return {
+      macro: 'rhp',
+      values: [...axisCard(params.height), faceVector(0), faceVector(Math.PI / 3), faceVector((2 * Math.PI) / 3)].flat(),
+    };
+  }
+  if (type === 'ellipticCylinder') {
+    return {
+      macro: 'rec',
+      values: [
+        ...axisCard(params.height),
+        rotateVector([params.radiusX, 0, 0], rotation),
+        rotateVector([0, 0, params.radiusZ], rotation),
+      ].flat(),
+    };
+  }
+  if (type === 'arb') {
+    return { macro: 'arb', values: getArbWorldVertices(params).flat(), faces: params.faces };
+  }
+  if (type === 'cylinder') {
+    const { radiusTop, radiusBottom, height } = params;
+    const axis = scale(eulerToDirection(params.rotation.map((v) => v * Math.PI)), height);
+    const base = add(params.position, scale(axis, -0.5));
+    // Truncated cone: base radius at the bottom point, then the radius at the top
+    return radiusTop === radiusBottom
+      ? { macro: 'rcc', values: [...base, ...axis, radiusTop] }
+      : { macro: 'trc', values: [...base, ...axis, radiusBottom, radiusTop] };
+  }
+  if (type === 'sphere') {
+    return { macro: 'sph', values: [...params.position, params.radius] };
+  }
+  // Axis-aligned boxes are rpp, rotated ones box
+  if (params.rotation.every((v) => v === 0)) {
+    const half = [params.width, params.height, params.depth].map((v) => v / 2);
+    return { macro: 'rpp', values: params.position.flatMap((v, i) => [v - half[i], v + half[i]]) };
+  }
+  const { center, axes, halfExtents } = getBoxFrame(params);
+  const edges = axes.map((axis, i) => scale(axis, 2 * halfExtents[i]));
+  const corner = edges.reduce((point, edge) => add(point, scale(edge, -0.5)), center);
+  return { macro: 'box', values: [corner, ...edges].flat() };
+}
+
+// Helper: Deck of bodies ([{ type, id, params }] in world coordinates and export order) and export zones.
+// Scene lengths are centimeters; the deck has them in unit.
+export function buildDeck(bodies, exportZones, materials, { unit = 'cm', precision = 6 } = {}) {
+  const bodyNumbers = Object.fromEntries(bodies.map(({ id }, i) => [id, i + 1]));
+  const factor = lengthFactor('cm', unit);
+  return {
+    bodies: bodies.map(({ type, id, params }, i) => {
+      const { macro, values, faces = [] } = getBodyCard(type, id, params);
+      return { id, name: params.name || null, number: i + 1, macro, values: values.map((v) => v * factor), faces };
+    }),
+    zones: exportZones.map((zone) => ({
+      name: zone.name,
+      terms: zone.terms,
+      material: findMaterial(materials, zone.materialType),
+      outside: (zone.outsideZones || []).map((id) => exportZones.findIndex((other) => other.id === id)),
+    })),
+    bodyNumbers,
+    unit,
+    precision,
+  };
+}
+
+const formatValues = (values, precision) => values.map((v) => v.toFixed(precision)).join(' ');
+
+// Helper: Values of a body card as written, followed by the face numbers of an arb
+const formatBody = (values, faces, precision) => [formatValues(values, precision), ...faces].join(' ');
+
+// Helper: Terms of a deck zone with the zones it leaves out multiplied out, for QADS, which has no
+// complement operator
+function expandOutside(zone, zones) {
+  if (zone.outside.length === 0) {
+    return zone.terms;
+  }
+  let outside;
+  try {
+    outside = complementTerms(zone.outside.flatMap((i) => zones[i].terms));
+  } catch (error) {
+    throw new Error(
+      `${error.message}, too many for the ${zone.name} zone of a QADS deck. Give the parts that zones leave ` +
+        'out of their bodies (such as holes) zones of their own, or export to MCNP or FLUKA.'
+    );
+  }
+  return zone.terms.flatMap((group) => outside.map((other) => [...group, ...other]));
+}
+
+// QADS: bodies, zones and one material number per zone. The unit and body names go in comments.
+function writeQads({ bodies, zones, bodyNumbers, unit, precision }) {
+  let text = `# units: ${unit}\n`;
+  for (const body of bodies) {
+    if (body.name) {
+      text += `# name: ${body.name}\n`;
+    }
+    text += `${body.macro} ${body.number} ${formatBody(body.values, body.faces, precision)}\n`;
+  }
+  text += 'end body\n';
+  for (const zone of zones) {
+    text += `${zone.name} 1 ${formatZoneExpression(expandOutside(zone, zones), bodyNumbers)}\n`;
+  }
+  text += 'end zone\n';
+  text += zones.map((zone) => `${zone.material.index} `).join('');
+  text += '\nend geom\n';
+  return text;
+}
+
+// Helper: Stops the deck of a code that needs every point of space in a zone, with an outside zone where the
+// particles are killed, when there is none (the world is disabled)
+function requireExterior(zones, code) {
+  if (!zones.some(({ material }) => material.id === BLACK_HOLE_MATERIAL.id)) {
+    throw new Error(`${code} needs a black hole zone outside the geometry. Enable the world boundary to add one.`);
+  }
+}
+
+// Helper: MCNP card split into lines of at most 80 columns; continuation lines start with five blanks
+function mcnpCard(tokens, comment = '') {
+  const lines = [];
+  let line = '';
+  for (const token of tokens) {
+    if (line && line.length + 1 + token.length > 80) {
+      lines.push(line);
+      line = '     ' + token;
+    } else {
+      line = line ? `${line} ${token}` : token;
+    }
+  }
+  if (comment && line.length + comment.length + 3 <= 80) {
+    line += ` $ ${comment}`;
+  }
+  return [...lines, line].join('\n') + '\n';
+}
+
+// MCNP: one cell per zone and one macrobody surface per body. Inside a macrobody is its negative
+// sense. Material cards need compositions the library does not have, so they are left as comments.
+// Void cells (material 0) have no density. The cells a zone leaves out are complemented with #n. MCNP needs
+// a neutron importance on every cell: 1 for the zones, 0 for the black hole outside the world.
+function writeMcnp({ bodies, zones, bodyNumbers, precision }) {
+  requireExterior(zones, 'MCNP');
+  let text = 'Geometry exported from the CG editor\nc --- Cells\n';
+  zones.forEach((zone, i) => {
+    const { index, density } = zone.material;
+    const complements = zone.outside.map((other) => `#${other + 1}`);
+    const geometry = zone.terms
+      .map((group) => group.map(({ bodyId, sign }) => `${sign === '-' ? '' : '-'}${bodyNumbers[bodyId]}`))
+      .map((group) => [...group, ...complements].join(' '))
+      .map((group, _, groups) => (groups.length > 1 ? `(${group})` : group))
+      .join(':');
+    const materialTokens = index === 0 ? ['0'] : [`${index}`, `${-(density ?? 1)}`];
+    const importance = zone.material.id === BLACK_HOLE_MATERIAL.id ? 'imp:n=0' : 'imp:n=1';
+    text += mcnpCard([`${i + 1}`, ...materialTokens, ...geometry.split(' '), importance], zone.name);
+  });
+  text += '\nc --- Surfaces (macrobodies)\n';
+  for (const body of bodies) {
+    // MCNP gives an ellipsoid by its foci and the major radius, half the axis length
+    const values = body.macro === 'ell' ? [...body.values.slice(0, 6), body.values[6] / 2] : body.values;
+    text += mcnpCard(
+      [`${body.number}`, body.macro.toUpperCase(), ...formatBody(values, body.faces, precision).split(' ')],
+      body.name || ''
+    );
+  }
+  text += '\nc --- Materials: add the composition of each\n';
+  const used = [...new Map(zones.map(({ material }) => [material.index, material])).values()].filter(
+    ({ index }) => index !== 0
+  );
+  for (const { index, name, density } of used) {
+    text += `c m${index}  ${name}${density === null ? ' (density not set, -1 g/cm3 used)' : ''}\n`;
+  }
+  return text;
+}
+
+// Helper: FLUKA name of at most 8 letters and digits starting with a letter, not yet in used
+function flukaName(text, fallback, used) {
+  let name = text.replace(/[^A-Za-z0-9]/g, '').toUpperCase().slice(0, 8);
+  if (!/^[A-Z]/.test(name)) {
+    name = fallback;
+  }
+  for (let i = 2; used.has(name); i++) {
+    name = name.slice(0, 8 - String(i).length) + i;
+  }
+  used.add(name);
+  return name;
+}
+
+// Helper: FLUKA card in fixed format: the keyword, six 10-column fields and SDUM
+function flukaCard(keyword, whats = [], sdum = '') {
+  const fields = Array.from({ length: 6 }, (_, i) => String(whats[i] ?? '').padStart(10));
+  return (keyword.padEnd(10) + fields.join('') + sdum).trimEnd() + '\n';
+}
+
+// Helper: FLUKA free-format geometry line split into lines of at most 132 columns; continuation lines start
+// with the given indent of blanks, so they cannot be taken for a new body or region name
+function flukaLine(tokens, indent) {
+  const lines = [];
+  let line = '';
+  for (const token of tokens) {
+    if (line && line.length + 1 + token.length > 132) {
+      lines.push(line);
+      line = ' '.repeat(indent) + token;
+    } else {
+      line = line ? `${line} ${token}` : token;
+    }
+  }
+  return [...lines, line].join('\n') + '\n';
+}
+
+// Helper: The three rotated boxes whose intersection is a hexagonal prism, as box card values. Each box
+// is bounded by two opposite side faces of the prism and reaches past its corners in the other directions.
+function hexPrismBoxes(values) {
+  const base = values.slice(0, 3);
+  const axis = values.slice(3, 6);
+  const faceVectors = [values.slice(6, 9), values.slice(9, 12), values.slice(12, 15)];
+  return faceVectors.map((faceVector) => {
+    const across = scale(normalize(cross(axis, faceVector)), length(faceVector) / Math.cos(Math.PI / 6));
+    const corner = sub(sub(base, faceVector), across);
+    return [...corner, ...scale(faceVector, 2), ...scale(across, 2), ...axis];
+  });
+}
+
+// FLUKA's own materials for the void and the black hole, which need no MATERIAL card
+const FLUKA_PREDEFINED = { [VOID_MATERIAL.id]: 'VACUUM', [BLACK_HOLE_MATERIAL.id]: 'BLCKHOLE' };
+
+// FLUKA: a name-based GEOBEGIN...GEOEND block with bodies and REGION definitions, followed by a
+// MATERIAL card (density only; compositions still have to be added) and an ASSIGNMA card per region.
+// FLUKA has no hexagonal prism, so each is written as three BOX bodies and used in parentheses. The zones
+// a zone leaves out are subtracted a group at a time, each in parentheses.
+function writeFluka({ bodies, zones, bodyNumbers, precision }) {
+  requireExterior(zones, 'FLUKA');
+  const bodyName = (number) => `B${number}`;
+  const hexNumbers = new Set(bodies.filter(({ macro }) => macro === 'rhp').map(({ number }) => number));
+  const bodyTerm = (sign, number) => {
+    if (!hexNumbers.has(number)) {
+      return `${sign}${bodyName(number)}`;
+    }
+    const parts = ['A', 'B', 'C'].map((suffix) => `+${bodyName(number)}${suffix}`).join(' ');
+    return sign === '+' ? parts : `-( ${parts} )`;
+  };
+  const regionNames = new Set();
+  const materialNames = new Set(Object.values(FLUKA_PREDEFINED));
+  const materials = new Map();
+
+  let text = flukaCard('GEOBEGIN', [], 'COMBNAME');
+  text += '    0    0          Geometry exported from the CG editor\n';
+  for (const body of bodies) {
+    if (body.name) {
+      text += `* ${body.name}\n`;
+    }
+    if (body.macro === 'rhp') {
+      text += hexPrismBoxes(body.values)
+        .map((values, i) => [`${bodyName(body.number)}${'ABC'[i]}`, ...formatValues(values, precision).split(' ')])
+        .map((tokens) => flukaLine(['BOX', ...tokens], 4))
+        .join('');
+    } else {
+      const values = formatBody(body.values, body.faces, precision).split(' ');
+      text += flukaLine([body.macro.toUpperCase(), bodyName(body.number), ...values], 4);
+    }
+  }
+  text += 'END\n';
+  const regions = zones.map((zone, i) => {
+    const name = flukaName(zone.name, `R${i + 1}`, regionNames);
+    const groupTerms = (group) => group.map(({ bodyId, sign }) => bodyTerm(sign, bodyNumbers[bodyId]));
+    const exclusions = zone.outside
+      .flatMap((other) => zones[other].terms)
+      .map((group) => `-( ${groupTerms(group).join(' ')} )`);
+    const expression = zone.terms.map((group) => [...groupTerms(group), ...exclusions].join(' ')).join(' | ');
+    text += flukaLine([name.padEnd(8), '5', ...expression.split(' ')], 11);
+    if (FLUKA_PREDEFINED[zone.material.id]) {
+      return { name, material: { flukaName: FLUKA_PREDEFINED[zone.material.id] } };
+    }
+    if (!materials.has(zone.material.index)) {
+      materials.set(zone.material.index, {
+        ...zone.material,
+        flukaName: flukaName(zone.material.name, `MAT${zone.material.index}`, materialNames),
+      });
+    }
+    return { name, material: materials.get(zone.material.index) };
+  });
+  text += 'END\nGEOEND\n';
+  for (const material of materials.values()) {
+    text += flukaCard('MATERIAL', ['', '', (material.density ?? 1).toFixed(4)], material.flukaName);
+  }
+  for (const region of regions) {
+    text += flukaCard('ASSIGNMA', [region.material.flukaName, region.name]);
+  }
+  return text;
+}
+
+// Formats offered by the Export button. Another code is supported by adding an entry with a
+// writer that turns a deck into the file text. Codes that only read one length unit name it as unit;
+// the others are written in the project's export unit.
+export const DECK_FORMATS = [
+  { format: 'qads', label: 'QADS', extension: 'qads', unit: null, write: writeQads },
+  { format: 'mcnp', label: 'MCNP', extension: 'mcnp', unit: 'cm', write: writeMcnp },
+  { format: 'fluka', label: 'FLUKA', extension: 'inp', unit: 'cm', write: writeFluka },
+];
@@ -0,0 +1,187 @@
+import { DECK_FORMATS, buildDeck } from './deckExport';
+import { parseQads } from './qadsParser';
+import { DEFAULT_MATERIALS } from './materials';
+import { getWorldBody, getWorldZones } from './world';
+
+const bodies = [
+  {
+    type: 'cylinder',
+    id: 'cylinder1',
+    params: { name: 'Pipe', radiusTop: 0.5, radiusBottom: 0.5, height: 2, rotation: [0, 0, 0], position: [0, 0, 0] },
+  },
+  { type: 'sphere', id: 'sphere1', params: { radius: 1, position: [5, 0, 0] } },
+  { type: 'box', id: 'box1', params: { width: 2, height: 4, depth: 1, rotation: [0, 0, 0], position: [0, 0, 0] } },
+];
+const zones = [
+  { id: 'zone1', name: 'wall', materialType: 'concrete', terms: [[{ bodyId: 'box1', sign: '+' }, { bodyId: 'cylinder1', sign: '-' }]] },
+  { id: 'zone2', name: 'target', materialType: 'standard', terms: [[{ bodyId: 'cylinder1', sign: '+' }], [{ bodyId: 'sphere1', sign: '+' }]] },
+];
+const world = { shape: 'box', margin: 10, fill: 'void' };
+// MCNP and FLUKA need the black hole outside the world, QADS does not
+const withWorld = (deckBodies, deckZones) =>
+  buildDeck([...deckBodies, getWorldBody(world, deckBodies)], [...deckZones, ...getWorldZones(world, deckZones)], DEFAULT_MATERIALS);
+const deck = buildDeck(bodies, zones, DEFAULT_MATERIALS);
+const closedDeck = withWorld(bodies, zones);
+const writeDeck = (format, formatDeck) => DECK_FORMATS.find((entry) => entry.format === format).write(formatDeck);
+const write = (format) => writeDeck(format, format === 'qads' ? deck : closedDeck);
+
+test('QADS decks read back with the same bodies, zones and materials', () => {
+  const parsed = parseQads(write('qads'));
+  expect(parsed.errors).toEqual([]);
+  expect(parsed.bodies.map(({ type, number, name }) => [type, number, name])).toEqual([
+    ['cylinder', 1, 'Pipe'],
+    ['sphere', 2, null],
+    ['box', 3, null],
+  ]);
+  expect(parsed.zones.map(({ name, expression, material }) => [name, expression.join(' '), material])).toEqual([
+    ['wall', '3 -1', 1],
+    ['target', '1 or 2', 4],
+  ]);
+});
+
+test('MCNP cells use the negative sense for the inside of a macrobody', () => {
+  const text = write('mcnp');
+  expect(text).toContain('1 1 -2.3 -3 1 imp:n=1 $ wall\n');
+  expect(text).toContain('2 4 -1 (-1):(-2) imp:n=1 $ target\n');
+  expect(text).toContain('1 RCC 0.000000 -1.000000 0.000000 0.000000 2.000000 0.000000 0.500000 $ Pipe\n');
+  expect(text).toContain('3 RPP -1.000000 1.000000 -2.000000 2.000000 -0.500000 0.500000\n');
+  expect(text).toContain('c m4  Metal (density not set, -1 g/cm3 used)\n');
+});
+
+test('an oblate ellipsoid is not exported as a wrong ell card', () => {
+  const ellipsoid = { majorRadius: 1, minorRadius: 2, rotation: [0, 0, 0], position: [0, 0, 0] };
+  expect(() => buildDeck([{ type: 'ellipsoid', id: 'ellipsoid1', params: ellipsoid }], [], DEFAULT_MATERIALS)).toThrow(
+    'The ellipsoid ellipsoid1 is wider than it is long'
+  );
+  // Equal radii make a sphere, with both foci at the center
+  const sphere = buildDeck([{ type: 'ellipsoid', id: 'ellipsoid1', params: { ...ellipsoid, majorRadius: 2 } }], [], DEFAULT_MATERIALS);
+  expect(sphere.bodies[0].values).toEqual([0, 0, 0, 0, 0, 0, 4]);
+});
+
+test('every MCNP cell has a neutron importance', () => {
+  const text = write('mcnp');
+  const cells = text.split('c --- Cells\n')[1].split('\n\n')[0].split('\n').filter(Boolean);
+  expect(cells).toHaveLength(zones.length + 2);
+  for (const cell of cells.slice(0, -1)) {
+    expect(cell).toMatch(/ imp:n=1( \$ .*)?$/);
+  }
+  expect(cells[cells.length - 1]).toMatch(/ imp:n=0 \$ exterior$/);
+});
+
+test('MCNP and FLUKA decks need the world, whose exterior ends the particle histories', () => {
+  expect(() => writeDeck('mcnp', deck)).toThrow('MCNP needs a black hole zone outside the geometry');
+  expect(() => writeDeck('fluka', deck)).toThrow('FLUKA needs a black hole zone outside the geometry');
+  expect(() => writeDeck('qads', deck)).not.toThrow();
+});
+
+test('FLUKA decks have a geometry block, regions and material assignments', () => {
+  const lines = write('fluka').split('\n');
+  expect(lines[0]).toBe('GEOBEGIN' + ' '.repeat(62) + 'COMBNAME');
+  expect(lines).toContain('SPH B2 5.000000 0.000000 0.000000 1.000000');
+  expect(lines).toContain('WALL     5 +B3 -B1');
+  expect(lines).toContain('TARGET   5 +B1 | +B2');
+  expect(lines).toContain('ASSIGNMA    CONCRETE      WALL');
+  expect(lines).toContain('ASSIGNMA       METAL    TARGET');
+  expect(lines.indexOf('GEOEND')).toBeLessThan(lines.findIndex((line) => line.startsWith('ASSIGNMA')));
+});
+
+test('QADS decks are written in the export unit with the chosen decimals', () => {
+  const inMillimeters = buildDeck(bodies, zones, DEFAULT_MATERIALS, { unit: 'mm', precision: 2 });
+  const text = DECK_FORMATS[0].write(inMillimeters);
+  expect(text).toMatch(/^# units: mm\n/);
+  expect(text).toContain('sph 2 50.00 0.00 0.00 10.00\n');
+  expect(parseQads(text).units).toBe('mm');
+});
+
+test('every body type rotated about all three axes reads back from QADS as the same card', () => {
+  const rotation = [0.3, -0.2, 0.15];
+  const rotated = [
+    { type: 'cylinder', id: 'cylinder1', params: { radiusTop: 1, radiusBottom: 1, height: 3, rotation, position: [1, 2, 3] } },
+    { type: 'cylinder', id: 'cylinder2', params: { radiusTop: 0.5, radiusBottom: 1, height: 2, rotation, position: [-1, 0, 2] } },
+    { type: 'sphere', id: 'sphere1', params: { radius: 1, position: [5, 0, 0] } },
+    { type: 'box', id: 'box1', params: { width: 1, height: 2, depth: 3, rotation, position: [0, -2, 1] } },
+    { type: 'ellipsoid', id: 'ellipsoid1', params: { majorRadius: 2, minorRadius: 1, rotation, position: [0, 3, 0] } },
+    { type: 'wedge', id: 'wedge1', params: { width: 2, height: 1, depth: 3, rotation, position: [4, 4, 0] } },
+    { type: 'hexPrism', id: 'hexPrism1', params: { apothem: 1, height: 2, rotation, position: [0, 0, -4] } },
+    { type: 'ellipticCylinder', id: 'ellipticCylinder1', params: { radiusX: 2, radiusZ: 1, height: 3, rotation, position: [-4, 0, 0] } },
+    {
+      type: 'arb',
+      id: 'arb1',
+      params: {
+        vertices: [[-1, 0, -1], [1, 0, -1], [1, 0, 1], [-1, 0, 1], [0, 2, 0], [0, 2, 0], [0, 2, 0], [0, 2, 0]],
+        faces: [1234, 1250, 2350, 3450, 4150, 0],
+        rotation,
+        position: [3, -3, 3],
+      },
+    },
+  ];
+  const exported = buildDeck(rotated, [], DEFAULT_MATERIALS);
+  const parsed = parseQads(writeDeck('qads', exported));
+  expect(parsed.errors).toEqual([]);
+  const readBack = buildDeck(
+    parsed.bodies.map(({ type, params }, i) => ({ type, id: rotated[i].id, params })),
+    [],
+    DEFAULT_MATERIALS
+  );
+  readBack.bodies.forEach((body, i) => {
+    expect(body.macro).toBe(exported.bodies[i].macro);
+    body.values.forEach((v, j) => expect(v).toBeCloseTo(exported.bodies[i].values[j], 5));
+  });
+});
+
+describe('other body types', () => {
+  const shapes = [
+    { type: 'ellipsoid', id: 'ellipsoid1', params: { majorRadius: 2.5, minorRadius: 1.5, rotation: [0, 0, -0.5], position: [1, 2, 3] } },
+    { type: 'wedge', id: 'wedge1', params: { width: 2, height: 3, depth: 4, rotation: [0, 0.25, 0], position: [0, 1, 0] } },
+    { type: 'hexPrism', id: 'hexPrism1', params: { apothem: 1, height: 2, rotation: [0.5, 0, 0], position: [0, 0, 5] } },
+    { type: 'ellipticCylinder', id: 'ellipticCylinder1', params: { radiusX: 2, radiusZ: 1, height: 3, rotation: [0, 0, 0], position: [4, 0, 0] } },
+    {
+      type: 'arb',
+      id: 'arb1',
+      params: {
+        vertices: [[-1, 0, -1], [1, 0, -1], [1, 0, 1], [-1, 0, 1], [0, 2, 0], [0, 2, 0], [0, 2, 0], [0, 2, 0]],
+        faces: [1234, 1250, 2350, 3450, 4150, 0],
+        rotation: [0, 0, 0],
+        position: [0, -1, 0],
+      },
+    },
+  ];
+  const shapeZones = [{ id: 'zone1', name: 'hex', materialType: 'concrete', terms: [[{ bodyId: 'box1', sign: '+' }, { bodyId: 'hexPrism1', sign: '-' }]] }];
+  const shapeDeck = buildDeck([...bodies, ...shapes], shapeZones, DEFAULT_MATERIALS);
+  const writeShapes = (format) => writeDeck(format, format === 'qads' ? shapeDeck : withWorld([...bodies, ...shapes], shapeZones));
+  const roundParams = (params) =>
+    JSON.parse(JSON.stringify(params, (key, value) => (typeof value === 'number' ? Math.round(value * 1e5) / 1e5 + 0 : value)));
+
+  test('QADS cards read back as the same bodies', () => {
+    const parsed = parseQads(writeShapes('qads'));
+    expect(parsed.errors).toEqual([]);
+    const read = parsed.bodies.slice(3);
+    expect(read.map(({ type }) => type)).toEqual(shapes.map(({ type }) => type));
+    read.slice(0, 4).forEach((body, i) => {
+      expect(roundParams(body.params)).toEqual(roundParams(shapes[i].params));
+    });
+    // The arb comes back placed at the center of its five corners
+    expect(roundParams(read[4].params.position)).toEqual([0, -0.6, 0]);
+    expect(read[4].params.faces).toEqual(shapes[4].params.faces);
+  });
+
+  test('MCNP and FLUKA get their own forms of the cards', () => {
+    const mcnp = writeShapes('mcnp');
+    expect(mcnp).toMatch(/^4 ELL (-1.000000 2.000000 3.000000 3.000000 2.000000 3.000000|3.000000 2.000000 3.000000 -1.000000 2.000000 3.000000) 2.500000$/m);
+    expect(mcnp).toContain(' 1234 1250 2350 3450 4150 0');
+    const fluka = writeShapes('fluka').split('\n');
+    // No hexagonal prism in FLUKA: three boxes, subtracted together
+    expect(fluka.filter((line) => /^BOX B6[ABC] /.test(line))).toHaveLength(3);
+    expect(fluka).toContain('HEX      5 +B3 -( +B6A +B6B +B6C )');
+  });
+
+  test('FLUKA body lines longer than 132 columns go on indented continuation lines', () => {
+    const lines = writeShapes('fluka').split('\n');
+    expect(lines.every((line) => line.length <= 132)).toBe(true);
+    // The arb has 24 vertex values and its face numbers
+    const arb = lines.findIndex((line) => line.startsWith('ARB B8 '));
+    expect(lines[arb + 1]).toMatch(/^ {4}\S/);
+    const end = lines.findIndex((line, i) => i > arb && !line.startsWith(' '));
+    expect(lines.slice(arb, end).join(' ').split(/\s+/).slice(-6)).toEqual(['1234', '1250', '2350', '3450', '4150', '0']);
+  });
+});
@@ -0,0 +1,84 @@
+// geometry.js
+import { Euler, Matrix4, Vector3 } from 'three';
+
+// Euler order used by export and import. It is the default order of three.js, so exported
+// bodies point the same way as the meshes rendered from the same rotation. Scenes store rotations as
+// rendered, so the order only affects the vectors written to and read from decks, not saved projects.
+const ROTATION_ORDER = 'XYZ';
+
+// Small vector helpers on [x, y, z] arrays
+export const add = (a, b) => [a[0] + b[0], a[1] + b[1], a[2] + b[2]];
+export const sub = (a, b) => [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+export const scale = (a, s) => [a[0] * s, a[1] * s, a[2] * s];
+export const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+export const cross = (a, b) => [
+  a[1] * b[2] - a[2] * b[1],
+  a[2] * b[0] - a[0] * b[2],
+  a[0] * b[1] - a[1] * b[0],
+];
+export const length = (a) => Math.sqrt(dot(a, a));
+export const normalize = (a) => {
+  const len = length(a);
+  return len > 0 ? scale(a, 1 / len) : [0, 0, 0];
+};
+
+// Helper: Convert Euler angles (in radians) to a direction vector (unit vector along cylinder axis)
+export function eulerToDirection(rotation) {
+  // Start with vector pointing up the Y axis, rotated the same way the mesh is rendered
+  return normalize(rotateVector([0, 1, 0], rotation));
+}
+
+// Helper: Euler angles (in radians) whose eulerToDirection is the given direction.
+// Uses no Y rotation: the X axis is reached through Z, the rest of the tilt through X.
+// The roll around the cylinder axis is not part of a direction, so it is always zero.
+export function directionToEuler(direction) {
+  const [dx, dy, dz] = normalize(direction);
+  const rotZ = Math.asin(Math.max(-1, Math.min(1, -dx)));
+  const rotX = Math.atan2(dz, dy);
+  return [rotX, 0, rotZ];
+}
+
+// Helper: Rotate a vector by Euler angles (in radians), the way three.js rotates a mesh
+export function rotateVector(v, [rotX, rotY, rotZ]) {
+  const rotated = new Vector3(...v).applyEuler(new Euler(rotX, rotY, rotZ, ROTATION_ORDER));
+  return [rotated.x, rotated.y, rotated.z];
+}
+
+// Helper: Euler angles (in radians) of the rotation that maps the X, Y and Z axes onto the given
+// orthogonal axes. The inverse of rotateVector for a right-handed frame.
+export function eulerFromAxes(xAxis, yAxis, zAxis) {
+  const basis = new Matrix4().makeBasis(
+    new Vector3(...normalize(xAxis)),
+    new Vector3(...normalize(yAxis)),
+    new Vector3(...normalize(zAxis))
+  );
+  const euler = new Euler().setFromRotationMatrix(basis, ROTATION_ORDER);
+  return [euler.x, euler.y, euler.z];
+}
+
+// Helper: Center, unit local axes and half extents of a box (rotation stored in multiples of π)
+export function getBoxFrame(box) {
+  const rotation = box.rotation.map(v => v * Math.PI);
+  return {
+    center: box.position,
+    axes: [
+      rotateVector([1, 0, 0], rotation),
+      rotateVector([0, 1, 0], rotation),
+      rotateVector([0, 0, 1], rotation),
+    ],
+    halfExtents: [box.width / 2, box.height / 2, box.depth / 2],
+  };
+}
+
+// Helper: Params of a body after rotating it about the origin and then moving it by translation.
+// Rotations are in multiples of π, as stored in the params; a body without rotation (a sphere) only moves.
+export function transformBodyParams(params, rotation, translation) {
+  const radians = rotation.map((v) => v * Math.PI);
+  const result = { ...params, position: add(rotateVector(params.position, radians), translation) };
+  if (params.rotation && radians.some((v) => v !== 0)) {
+    const own = params.rotation.map((v) => v * Math.PI);
+    const axes = [[1, 0, 0], [0, 1, 0], [0, 0, 1]].map((axis) => rotateVector(rotateVector(axis, own), radians));
+    result.rotation = eulerFromAxes(...axes).map((v) => v / Math.PI);
+  }
+  return result;
+}
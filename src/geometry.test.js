@@ -0,0 +1,64 @@
+import { Object3D, Vector3 } from 'three';
+import { eulerToDirection, directionToEuler, eulerFromAxes, getBoxFrame, rotateVector, transformBodyParams } from './geometry';
+import { expectVectorClose } from './testUtils';
+
+const rotations = [
+  [0, 0, 0],
+  [0.5, 0, 0],
+  [0, 0, 0.5],
+  [0.25, 0.25, 0],
+  [-0.3, 0.7, 0.1],
+  [1, -0.5, 0.33],
+  [0.12, -0.9, -0.6],
+].map((rotation) => rotation.map((v) => v * Math.PI));
+
+test('eulerToDirection points the same way as the rendered mesh', () => {
+  for (const rotation of rotations) {
+    const mesh = new Object3D();
+    mesh.rotation.set(...rotation);
+    const axis = new Vector3(0, 1, 0).applyQuaternion(mesh.quaternion);
+    expectVectorClose(eulerToDirection(rotation), [axis.x, axis.y, axis.z]);
+  }
+});
+
+test('directionToEuler inverts eulerToDirection', () => {
+  const directions = [
+    [0, 1, 0],
+    [0, -1, 0],
+    [1, 0, 0],
+    [-1, 0, 0],
+    [0, 0, 1],
+    [0.3, -0.4, 2.5],
+    [-7, 3, -1],
+    ...rotations.map(eulerToDirection),
+  ];
+  for (const direction of directions) {
+    const length = Math.hypot(...direction);
+    expectVectorClose(
+      eulerToDirection(directionToEuler(direction)),
+      direction.map((v) => v / length)
+    );
+  }
+});
+
+test('eulerFromAxes inverts the box frame', () => {
+  for (const rotation of rotations) {
+    const box = { width: 1, height: 2, depth: 3, position: [0, 0, 0], rotation: rotation.map((v) => v / Math.PI) };
+    const { axes } = getBoxFrame(box);
+    const roundTrip = getBoxFrame({ ...box, rotation: eulerFromAxes(...axes).map((v) => v / Math.PI) });
+    roundTrip.axes.forEach((axis, i) => expectVectorClose(axis, axes[i]));
+  }
+});
+
+test('transformBodyParams rotates a body about the origin, then moves it', () => {
+  const groupRotation = [0.5, -0.25, 0.1];
+  const translation = [1, 2, 3];
+  const radians = groupRotation.map((v) => v * Math.PI);
+  for (const rotation of rotations) {
+    const box = { width: 1, height: 2, depth: 3, position: [4, -1, 2], rotation: rotation.map((v) => v / Math.PI) };
+    const moved = getBoxFrame(transformBodyParams(box, groupRotation, translation));
+    const { center, axes } = getBoxFrame(box);
+    expectVectorClose(moved.center, rotateVector(center, radians).map((v, i) => v + translation[i]));
+    moved.axes.forEach((axis, i) => expectVectorClose(axis, rotateVector(axes[i], radians)));
+  }
+});
@@ -0,0 +1,72 @@
+// groups.js
+import { Euler, Matrix4, Quaternion, Vector3 } from 'three';
+
+// A group is { name, position, rotation, parent } with the rotation in multiples of π, like a body's.
+// Bodies and groups name the group they are in with parent (missing at the top level); their position
+// and rotation are relative to that group, the same way three.js nests objects.
+
+// Helper: Matrix of a position and rotation relative to the parent
+function localMatrix({ position, rotation = [0, 0, 0] }) {
+  const quaternion = new Quaternion().setFromEuler(new Euler(...rotation.map((v) => v * Math.PI)));
+  return new Matrix4().compose(new Vector3(...position), quaternion, new Vector3(1, 1, 1));
+}
+
+// Helper: Params with the position and rotation of a matrix. Params without a rotation (spheres) only take the position.
+function paramsFromMatrix(params, matrix) {
+  const position = new Vector3();
+  const quaternion = new Quaternion();
+  matrix.decompose(position, quaternion, new Vector3());
+  const result = { ...params, position: position.toArray() };
+  if (params.rotation) {
+    const euler = new Euler().setFromQuaternion(quaternion);
+    result.rotation = [euler.x, euler.y, euler.z].map((v) => v / Math.PI);
+  }
+  return result;
+}
+
+// Helper: World matrix of a group, from its own transform and those of the groups it is in
+export function getGroupMatrix(groupId, groups) {
+  const matrix = new Matrix4();
+  for (let id = groupId; id; id = groups[id].parent) {
+    matrix.premultiply(localMatrix(groups[id]));
+  }
+  return matrix;
+}
+
+// Helper: Params of a body in world coordinates, without the parent
+export function getWorldParams(params, groups) {
+  const { parent, ...rest } = params;
+  if (!parent) {
+    return rest;
+  }
+  return paramsFromMatrix(rest, getGroupMatrix(parent, groups).multiply(localMatrix(rest)));
+}
+
+// Helper: World params of all bodies of one type, e.g. for export and collision checks
+export function flattenBodies(paramsById, groups) {
+  return Object.fromEntries(
+    Object.entries(paramsById).map(([id, params]) => [id, getWorldParams(params, groups)])
+  );
+}
+
+// Helper: Params of a body or group moved into another group (null for the top level), keeping its place in the world
+export function reparentParams(params, parent, groups) {
+  const { parent: oldParent, ...rest } = params;
+  if ((oldParent || null) === (parent || null)) {
+    return params;
+  }
+  const world = oldParent ? getGroupMatrix(oldParent, groups).multiply(localMatrix(rest)) : localMatrix(rest);
+  const local = parent ? getGroupMatrix(parent, groups).invert().multiply(world) : world;
+  const result = paramsFromMatrix(rest, local);
+  return parent ? { ...result, parent } : result;
+}
+
+// Helper: Whether a group is the given group or lies inside it, at any depth
+export function isInGroup(groupId, ancestorId, groups) {
+  for (let id = groupId; id; id = groups[id].parent) {
+    if (id === ancestorId) {
+      return true;
+    }
+  }
+  return false;
+}
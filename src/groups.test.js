@@ -0,0 +1,43 @@
+import { getWorldParams, reparentParams, isInGroup } from './groups';
+import { getBoxFrame } from './geometry';
+import { expectVectorClose } from './testUtils';
+
+const groups = {
+  outer: { position: [10, 0, 0], rotation: [0, 0, 0.5] },
+  inner: { position: [0, 2, 0], rotation: [0, 0, 0], parent: 'outer' },
+};
+
+test('world params apply the transforms of all enclosing groups', () => {
+  const sphere = getWorldParams({ radius: 1, position: [1, 0, 0], parent: 'inner' }, groups);
+  // Inner places the sphere at (1, 2, 0); outer turns that by 90° about Z and moves it by 10 along X
+  expectVectorClose(sphere.position, [8, 1, 0]);
+  expect(sphere).not.toHaveProperty('parent');
+  expect(sphere).not.toHaveProperty('rotation');
+
+  const box = { width: 1, height: 2, depth: 3, position: [0, 0, 0], rotation: [0, 0, 0], parent: 'outer' };
+  const { axes } = getBoxFrame(getWorldParams(box, groups));
+  expectVectorClose(axes[0], [0, 1, 0]);
+});
+
+test('bodies outside any group keep their params exactly', () => {
+  const box = { width: 1, height: 1, depth: 1, position: [1, 2, 3], rotation: [0, 0, 0] };
+  expect(getWorldParams(box, groups)).toEqual(box);
+});
+
+test('moving a body into another group keeps its place in the world', () => {
+  const cylinder = { radiusTop: 1, radiusBottom: 1, height: 2, position: [3, -1, 2], rotation: [0.2, 0.1, -0.3] };
+  const before = getBoxFrame({ ...getWorldParams(cylinder, groups), width: 1, height: 1, depth: 1 });
+  const moved = reparentParams(cylinder, 'inner', groups);
+  expect(moved.parent).toBe('inner');
+  const after = getBoxFrame({ ...getWorldParams(moved, groups), width: 1, height: 1, depth: 1 });
+  expectVectorClose(after.center, before.center);
+  after.axes.forEach((axis, i) => expectVectorClose(axis, before.axes[i]));
+  expectVectorClose(reparentParams(moved, null, groups).position, cylinder.position);
+});
+
+test('isInGroup follows the parents up the tree', () => {
+  expect(isInGroup('inner', 'outer', groups)).toBe(true);
+  expect(isInGroup('outer', 'outer', groups)).toBe(true);
+  expect(isInGroup('outer', 'inner', groups)).toBe(false);
+  expect(isInGroup(undefined, 'outer', groups)).toBe(false);
+});
@@ -0,0 +1,74 @@
+// materials.js
+import { createContext } from 'react';
+
+// A material has an id (referenced by objects and zones as materialType), a display name,
+// the material index written to the transport deck, a display color and opacity, and an
+// optional density in g/cm³.
+export const DEFAULT_MATERIALS = [
+  { id: 'concrete', name: 'Concrete', index: 1, color: '#8B8B8B', opacity: 1, density: 2.3 },
+  { id: 'steel', name: 'Steel', index: 2, color: '#708090', opacity: 1, density: 7.87 },
+  { id: 'wood', name: 'Wood', index: 3, color: '#8B4513', opacity: 1, density: 0.6 },
+  { id: 'standard', name: 'Metal', index: 4, color: '#696969', opacity: 1, density: null },
+  { id: 'air', name: 'Air', index: 5, color: '#ADD8E6', opacity: 0.3, density: 0.001205 },
+];
+
+// Materials of the zones the world adds, which are not in the library: the void and the black hole
+// outside the world. Decks write both as material 0.
+export const VOID_MATERIAL = { id: 'void', name: 'Void', index: 0, color: '#FFFFFF', opacity: 0, density: null };
+export const BLACK_HOLE_MATERIAL = { id: 'blackhole', name: 'Black hole', index: 0, color: '#000000', opacity: 1, density: null };
+
+// Shown for a materialType that is not in the library
+const FALLBACK_MATERIAL = { id: '', name: 'Unknown', index: 1, color: '#696969', opacity: 1, density: null };
+
+// Material library of the scene, available to the 3D shapes without passing it through every component
+export const MaterialsContext = createContext(DEFAULT_MATERIALS);
+
+// Helper: Material with the given id (the library's, or the void or black hole), or a neutral fallback
+export function findMaterial(materials, id) {
+  return (
+    materials.find((material) => material.id === id) ||
+    [VOID_MATERIAL, BLACK_HOLE_MATERIAL].find((material) => material.id === id) ||
+    FALLBACK_MATERIAL
+  );
+}
+
+// Helper: Next free material id
+export function nextMaterialId(materials) {
+  const numbers = materials.map((material) => parseInt(material.id.replace('material', ''), 10) || 0);
+  return 'material' + (Math.max(0, ...numbers) + 1);
+}
+
+// Helper: New library entry for a material index, e.g. one found in an imported file
+export function createMaterial(materials, index) {
+  return { ...FALLBACK_MATERIAL, id: nextMaterialId(materials), name: `Material ${index}`, index };
+}
+
+// Helper: Material library as a JSON file
+export function serializeMaterials(materials) {
+  return JSON.stringify({ materials }, null, 2);
+}
+
+// Helper: Parse a material library JSON file. Throws an Error describing the first problem found.
+export function parseMaterials(text) {
+  const data = JSON.parse(text);
+  const list = Array.isArray(data) ? data : data.materials;
+  if (!Array.isArray(list)) {
+    throw new Error('Expected a "materials" list');
+  }
+  const materials = [];
+  list.forEach((entry, i) => {
+    const index = Number(entry.index);
+    if (!entry.name || !Number.isInteger(index)) {
+      throw new Error(`Material ${i + 1} needs a name and an integer index`);
+    }
+    materials.push({
+      id: entry.id || nextMaterialId(materials),
+      name: String(entry.name),
+      index,
+      color: entry.color || FALLBACK_MATERIAL.color,
+      opacity: entry.opacity === undefined ? 1 : Math.max(0, Math.min(1, Number(entry.opacity))),
+      density: entry.density === undefined || entry.density === null ? null : Number(entry.density),
+    });
+  });
+  return materials;
+}
@@ -0,0 +1,21 @@
+import { DEFAULT_MATERIALS, parseMaterials, serializeMaterials, createMaterial } from './materials';
+
+test('a saved material library loads back unchanged', () => {
+  expect(parseMaterials(serializeMaterials(DEFAULT_MATERIALS))).toEqual(DEFAULT_MATERIALS);
+});
+
+test('missing ids and display settings get defaults', () => {
+  const [lead, water] = parseMaterials('[{"name": "Lead", "index": 12, "density": 11.35}, {"name": "Water", "index": 7}]');
+  expect(lead).toMatchObject({ id: 'material1', index: 12, opacity: 1, density: 11.35 });
+  expect(water).toMatchObject({ id: 'material2', index: 7, density: null });
+});
+
+test('entries without a name or an integer index are rejected', () => {
+  expect(() => parseMaterials('{"materials": [{"name": "Lead", "index": "x"}]}')).toThrow('Material 1');
+  expect(() => parseMaterials('{"materials": [{"index": 3}]}')).toThrow('Material 1');
+  expect(() => parseMaterials('{"zones": []}')).toThrow('"materials"');
+});
+
+test('new materials get an unused id', () => {
+  expect(createMaterial(DEFAULT_MATERIALS, 5)).toMatchObject({ id: 'material1', index: 5, name: 'Material 5' });
+});
@@ -0,0 +1,100 @@
+// meshExport.js
+import { Color, Euler, Group, Mesh, MeshStandardMaterial, SRGBColorSpace } from 'three';
+import { STLExporter } from 'three/examples/jsm/exporters/STLExporter.js';
+import { OBJExporter } from 'three/examples/jsm/exporters/OBJExporter.js';
+import { GLTFExporter } from 'three/examples/jsm/exporters/GLTFExporter.js';
+import { createBodyGeometry } from './bodies';
+import { findMaterial } from './materials';
+import { lengthFactor } from './units';
+
+// Mesh formats offered for export
+export const MESH_FORMATS = [
+  { format: 'stl', label: 'STL' },
+  { format: 'obj', label: 'OBJ + MTL' },
+  { format: 'glb', label: 'glTF (binary .glb)' },
+];
+
+// Settings of a mesh export. segments is the number of segments around round bodies
+// (the viewport draws 32); mergeStl writes one STL file for the whole scene instead of one per object.
+export const DEFAULT_MESH_EXPORT = { format: 'stl', segments: 32, mergeStl: true };
+
+export const MIN_SEGMENTS = 3;
+export const MAX_SEGMENTS = 256;
+
+// Helper: Material name usable in OBJ/MTL files, which end a name at whitespace
+const materialName = (material) => material.name.trim().replace(/\s+/g, '_') || material.id;
+
+// Helper: three.js scene of the bodies for export, one mesh per body named like the object, with one
+// material per library material. bodies holds { type, id, params } with params in world coordinates;
+// the scene is scaled from centimeters to unit.
+export function buildExportScene(bodies, materials, segments, unit = 'cm') {
+  const meshMaterials = {};
+  const meshMaterialOf = (materialType) => {
+    if (!meshMaterials[materialType]) {
+      const material = findMaterial(materials, materialType);
+      meshMaterials[materialType] = new MeshStandardMaterial({
+        name: materialName(material),
+        color: material.color,
+        opacity: material.opacity,
+        transparent: material.opacity < 1,
+      });
+    }
+    return meshMaterials[materialType];
+  };
+
+  const scene = new Group();
+  for (const { type, id, params } of bodies) {
+    const mesh = new Mesh(createBodyGeometry(type, params, segments), meshMaterialOf(params.materialType));
+    mesh.name = params.name || id;
+    mesh.position.set(...params.position);
+    if (params.rotation) {
+      mesh.rotation.copy(new Euler(...params.rotation.map((v) => v * Math.PI)));
+    }
+    scene.add(mesh);
+  }
+  scene.scale.setScalar(lengthFactor('cm', unit));
+  scene.updateMatrixWorld(true);
+  return scene;
+}
+
+// Helper: MTL file with the materials used by an export scene
+export function getMtl(scene) {
+  const used = new Map();
+  scene.traverse((object) => {
+    if (object.isMesh) {
+      used.set(object.material.name, object.material);
+    }
+  });
+  const rgb = new Color();
+  return [...used.values()]
+    .map((material) => {
+      const { r, g, b } = material.color.getRGB(rgb, SRGBColorSpace);
+      const kd = [r, g, b].map((v) => v.toFixed(4)).join(' ');
+      return `newmtl ${material.name}\nKd ${kd}\nd ${material.opacity.toFixed(4)}\n`;
+    })
+    .join('\n');
+}
+
+// Export a scene built by buildExportScene. Returns a promise of the files to download, as
+// [{ fileName, data }] with data a string or an ArrayBuffer. baseName names the files.
+export async function exportMeshes(scene, { format, mergeStl }, baseName) {
+  if (format === 'stl') {
+    const exporter = new STLExporter();
+    if (mergeStl) {
+      return [{ fileName: `${baseName}.stl`, data: exporter.parse(scene, { binary: true }).buffer }];
+    }
+    return scene.children.map((mesh, i) => ({
+      fileName: `${baseName}-${i + 1}-${mesh.name.replace(/[^\w-]+/g, '_')}.stl`,
+      data: exporter.parse(mesh, { binary: true }).buffer,
+    }));
+  }
+  if (format === 'obj') {
+    const obj = `mtllib ${baseName}.mtl\n` + new OBJExporter().parse(scene);
+    return [
+      { fileName: `${baseName}.obj`, data: obj },
+      { fileName: `${baseName}.mtl`, data: getMtl(scene) },
+    ];
+  }
+  const glb = await new GLTFExporter().parseAsync(scene, { binary: true });
+  return [{ fileName: `${baseName}.glb`, data: glb }];
+}
@@ -0,0 +1,41 @@
+import { buildExportScene, exportMeshes, getMtl } from './meshExport';
+import { DEFAULT_MATERIALS } from './materials';
+
+const bodies = [
+  {
+    type: 'cylinder',
+    id: 'cylinder1',
+    params: { name: 'Beam pipe', radiusTop: 1, radiusBottom: 1, height: 2, rotation: [0.5, 0, 0], position: [0, 0, 3], materialType: 'steel' },
+  },
+  { type: 'box', id: 'box1', params: { width: 1, height: 1, depth: 1, rotation: [0, 0, 0], position: [5, 0, 0], materialType: 'wood' } },
+];
+
+test('bodies become named meshes placed in world coordinates', () => {
+  const scene = buildExportScene(bodies, DEFAULT_MATERIALS, 8);
+  expect(scene.children.map(({ name }) => name)).toEqual(['Beam pipe', 'box1']);
+  expect(scene.children[0].material.name).toBe('Steel');
+  // 8 segments: 8 side quads and 8 triangles per cap
+  expect(scene.children[0].geometry.index.count / 3).toBe(32);
+  // The cylinder axis (local Y) is turned onto Z
+  const top = scene.children[0].localToWorld(scene.children[0].position.clone().set(0, 1, 0));
+  expect(top.toArray().map((v) => Math.round(v * 1e6) / 1e6)).toEqual([0, 0, 4]);
+});
+
+test('STL exports are one file or one per object', async () => {
+  const scene = buildExportScene(bodies, DEFAULT_MATERIALS, 8);
+  const [merged] = await exportMeshes(scene, { format: 'stl', mergeStl: true }, 'model');
+  // Binary STL: an 84-byte header and 50 bytes per triangle (32 for the cylinder, 12 for the box)
+  expect(merged.data.byteLength).toBe(84 + 50 * 44);
+  const separate = await exportMeshes(scene, { format: 'stl', mergeStl: false }, 'model');
+  expect(separate.map(({ fileName }) => fileName)).toEqual(['model-1-Beam_pipe.stl', 'model-2-box1.stl']);
+});
+
+test('OBJ exports group faces by material and come with an MTL file', async () => {
+  const scene = buildExportScene(bodies, DEFAULT_MATERIALS, 8);
+  const [obj, mtl] = await exportMeshes(scene, { format: 'obj' }, 'model');
+  expect(obj.data).toMatch(/^mtllib model\.mtl\n/);
+  expect(obj.data).toContain('o Beam pipe\nusemtl Steel\n');
+  expect(obj.data).toContain('o box1\nusemtl Wood\n');
+  expect(mtl.data).toBe(getMtl(scene));
+  expect(mtl.data).toContain('newmtl Steel\nKd 0.4392 0.5020 0.5647\nd 1.0000\n');
+});
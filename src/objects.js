@@ -0,0 +1,90 @@
+// objects.js
+import { BODY_TYPES, scaleShapeParams, getLocalBounds } from './bodies';
+import { reparentParams } from './groups';
+import { removeBodyFromZones } from './zones';
+
+// Helper: Geometry params of an object after scaling its mesh by [sx, sy, sz] with the gizmo
+export function scaleObjectParams(type, params, [sx, sy, sz]) {
+  if (type === 'cylinder') {
+    // The cylinder axis is the local Y axis; X and Z both scale the radius
+    const radial = (sx + sz) / 2;
+    return {
+      radiusTop: params.radiusTop * radial,
+      radiusBottom: params.radiusBottom * radial,
+      height: params.height * sy,
+    };
+  }
+  if (type === 'box') {
+    return { width: params.width * sx, height: params.height * sy, depth: params.depth * sz };
+  }
+  if (type === 'sphere') {
+    return { radius: params.radius * (sx + sy + sz) / 3 };
+  }
+  return scaleShapeParams(type, params, [sx, sy, sz]);
+}
+
+// Scene key of the params of each object type
+export const SCENE_KEYS_BY_TYPE = {
+  ...Object.fromEntries(BODY_TYPES.map(({ type, sceneKey }) => [type, sceneKey])),
+  group: 'groups',
+};
+
+// Helper: Unique object id such as 'cylinder3', numbered after the highest existing id of that type
+export function createObjectId(type, existingIds) {
+  const numbers = existingIds.map((id) => parseInt(id.slice(type.length), 10) || 0);
+  return type + (Math.max(0, ...numbers) + 1);
+}
+
+// Helper: Largest extent of an object, used to place a duplicate next to the original
+export function getObjectSize(type, params) {
+  if (type === 'cylinder') {
+    return Math.hypot(params.height, 2 * Math.max(params.radiusTop, params.radiusBottom));
+  }
+  if (type === 'box') {
+    return Math.hypot(params.width, params.height, params.depth);
+  }
+  if (type === 'sphere') {
+    return 2 * params.radius;
+  }
+  const [min, max] = getLocalBounds(type, params);
+  return Math.hypot(...max.map((v, i) => v - min[i]));
+}
+
+// Helper: Params of a copy of an object, offset along X by its own size so the copy does not overlap
+export function duplicateParams(type, params) {
+  const [x, y, z] = params.position;
+  const copy = { ...params, position: [x + getObjectSize(type, params), y, z] };
+  if (params.name) {
+    copy.name = `${params.name} copy`;
+  }
+  return copy;
+}
+
+// Helper: Scene without one object. A deleted body is also removed from the zones; the contents of
+// a deleted group move up into the group's parent, staying where they are.
+export function removeObject(scene, id, type) {
+  if (type === 'group') {
+    const parent = scene.groups[id].parent || null;
+    const release = (items) =>
+      Object.fromEntries(
+        Object.entries(items).map(([itemId, params]) => [
+          itemId,
+          params.parent === id ? reparentParams(params, parent, scene.groups) : params,
+        ])
+      );
+    const { [id]: removed, ...groups } = release(scene.groups);
+    return {
+      ...scene,
+      ...Object.fromEntries(BODY_TYPES.map(({ sceneKey }) => [sceneKey, release(scene[sceneKey])])),
+      groups,
+    };
+  }
+  const sceneKey = SCENE_KEYS_BY_TYPE[type];
+  const { [id]: removed, ...rest } = scene[sceneKey];
+  return {
+    ...scene,
+    [sceneKey]: rest,
+    zones: removeBodyFromZones(scene.zones, id),
+    allowedOverlaps: scene.allowedOverlaps.filter((pair) => !pair.includes(id)),
+  };
+}
@@ -0,0 +1,73 @@
+import { BODY_TYPES } from './bodies';
+import { scaleObjectParams, createObjectId, duplicateParams, removeObject } from './objects';
+
+test('scaling a cylinder with the gizmo scales its height along the axis and its radii across it', () => {
+  const cone = { radiusTop: 1, radiusBottom: 2, height: 4 };
+  expect(scaleObjectParams('cylinder', cone, [2, 0.5, 3])).toEqual({ radiusTop: 2.5, radiusBottom: 5, height: 2 });
+});
+
+test('scaling a box with the gizmo scales each side on its own axis', () => {
+  const box = { width: 1, height: 2, depth: 3 };
+  expect(scaleObjectParams('box', box, [2, 3, 4])).toEqual({ width: 2, height: 6, depth: 12 });
+});
+
+test('scaling a sphere with the gizmo scales its radius by the mean factor', () => {
+  expect(scaleObjectParams('sphere', { radius: 2 }, [1, 2, 3])).toEqual({ radius: 4 });
+});
+
+test('scaling the other bodies with the gizmo goes through their own params', () => {
+  const hexPrism = { apothem: 1, height: 2 };
+  expect(scaleObjectParams('hexPrism', hexPrism, [2, 3, 4])).toEqual({ apothem: 3, height: 6 });
+});
+
+test('scaling an ellipsoid with the gizmo keeps its minor radius at most its major radius', () => {
+  const ellipsoid = { majorRadius: 2, minorRadius: 1 };
+  expect(scaleObjectParams('ellipsoid', ellipsoid, [2, 1, 2])).toEqual({ majorRadius: 2, minorRadius: 2 });
+  expect(scaleObjectParams('ellipsoid', ellipsoid, [3, 1, 3])).toEqual({ majorRadius: 2, minorRadius: 2 });
+  expect(scaleObjectParams('ellipsoid', ellipsoid, [3, 0.5, 3])).toEqual({ majorRadius: 1, minorRadius: 1 });
+});
+
+test('new object ids are numbered after the highest id of their type', () => {
+  expect(createObjectId('box', [])).toBe('box1');
+  expect(createObjectId('box', ['box1', 'box7', 'box3'])).toBe('box8');
+  // Ids of other types that share the prefix do not count as numbers
+  expect(createObjectId('box', ['box2', 'boxed'])).toBe('box3');
+});
+
+test('a duplicate is placed next to the original along X and named after it', () => {
+  const box = { width: 3, height: 4, depth: 12, position: [1, 2, 3], rotation: [0, 0, 0], name: 'Wall' };
+  expect(duplicateParams('box', box)).toEqual({ ...box, position: [14, 2, 3], name: 'Wall copy' });
+  const sphere = { radius: 1, position: [0, 0, 0], materialType: 'lead' };
+  expect(duplicateParams('sphere', sphere)).toEqual({ radius: 1, position: [2, 0, 0], materialType: 'lead' });
+});
+
+const sceneWithGroup = () => ({
+  ...Object.fromEntries(BODY_TYPES.map(({ sceneKey }) => [sceneKey, {}])),
+  cylinderParams: { cylinder1: { radiusTop: 1, radiusBottom: 1, height: 2, position: [1, 0, 0], rotation: [0, 0, 0] } },
+  sphereParams: { sphere1: { radius: 1, position: [0, 0, 0], parent: 'group2' } },
+  groups: {
+    group1: { position: [10, 0, 0], rotation: [0, 0, 0] },
+    group2: { position: [0, 5, 0], rotation: [0, 0, 0], parent: 'group1' },
+  },
+  zones: [
+    { id: 'z1', name: 'z1', terms: [[{ bodyId: 'sphere1', sign: '+' }, { bodyId: 'cylinder1', sign: '-' }]] },
+  ],
+  allowedOverlaps: [['cylinder1', 'sphere1']],
+});
+
+test('deleting a body removes it from the zones and from the allowed overlaps', () => {
+  const scene = removeObject(sceneWithGroup(), 'cylinder1', 'cylinder');
+  expect(scene.cylinderParams).toEqual({});
+  expect(scene.zones[0].terms).toEqual([[{ bodyId: 'sphere1', sign: '+' }]]);
+  expect(scene.allowedOverlaps).toEqual([]);
+  expect(scene.sphereParams).toEqual(sceneWithGroup().sphereParams);
+});
+
+test('deleting a group moves its contents into its parent without moving them in the world', () => {
+  const scene = removeObject(sceneWithGroup(), 'group2', 'group');
+  expect(Object.keys(scene.groups)).toEqual(['group1']);
+  const { position, parent } = scene.sphereParams.sphere1;
+  expect(parent).toBe('group1');
+  [0, 5, 0].forEach((v, i) => expect(position[i]).toBeCloseTo(v));
+  expect(scene.zones).toEqual(sceneWithGroup().zones);
+});
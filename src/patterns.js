@@ -0,0 +1,96 @@
+// patterns.js
+import { add, sub, scale, rotateVector } from './geometry';
+
+// Pattern types offered by the pattern tool
+export const PATTERN_TYPES = [
+  { type: 'linear', label: 'Linear' },
+  { type: 'rectangular', label: 'Rectangular (2D/3D)' },
+  { type: 'hexagonal', label: 'Hexagonal' },
+  { type: 'polar', label: 'Circular (polar)' },
+];
+
+// Settings of a new pattern. Angles are in degrees.
+//   linear:      count copies (original included) along axis, pitch apart
+//   rectangular: counts and pitches along X, Y and Z
+//   hexagonal:   rings of bodies around the original in plane, pitch apart (a lattice of 1 + 3·rings·(rings+1))
+//   polar:       count bodies over angle about axis through center; rotateCopies turns them with the pattern
+export const DEFAULT_PATTERN = {
+  type: 'linear',
+  count: 3,
+  pitch: 2,
+  axis: 0,
+  counts: [3, 3, 1],
+  pitches: [2, 2, 2],
+  rings: 1,
+  plane: 'XZ',
+  center: [0, 0, 0],
+  angle: 360,
+  rotateCopies: true,
+};
+
+// More copies than this are refused, to keep the scene responsive
+export const MAX_PATTERN_COPIES = 1000;
+
+const AXES = [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+const PLANE_AXES = { XY: [0, 1], XZ: [0, 2], YZ: [1, 2] };
+
+// Helper: Transforms of the copies made by a pattern of a body at position, each { rotation, translation }
+// to pass to transformBodyParams (rotation in multiples of π). The original body is not included.
+export function getPatternTransforms(pattern, position) {
+  const move = (offset) => ({ rotation: [0, 0, 0], translation: offset });
+
+  if (pattern.type === 'linear') {
+    return Array.from({ length: Math.max(0, pattern.count - 1) }, (_, i) =>
+      move(scale(AXES[pattern.axis], pattern.pitch * (i + 1)))
+    );
+  }
+
+  if (pattern.type === 'rectangular') {
+    const [nx, ny, nz] = pattern.counts;
+    const [px, py, pz] = pattern.pitches;
+    const transforms = [];
+    for (let k = 0; k < nz; k++) {
+      for (let j = 0; j < ny; j++) {
+        for (let i = 0; i < nx; i++) {
+          if (i + j + k > 0) {
+            transforms.push(move([i * px, j * py, k * pz]));
+          }
+        }
+      }
+    }
+    return transforms;
+  }
+
+  if (pattern.type === 'hexagonal') {
+    // Axial coordinates (q, r): q runs along the first plane axis, r at 60° to it
+    const [u, v] = PLANE_AXES[pattern.plane].map((axis) => AXES[axis]);
+    const qStep = scale(u, pattern.pitch);
+    const rStep = add(scale(u, pattern.pitch / 2), scale(v, (pattern.pitch * Math.sqrt(3)) / 2));
+    const transforms = [];
+    for (let r = -pattern.rings; r <= pattern.rings; r++) {
+      for (let q = -pattern.rings; q <= pattern.rings; q++) {
+        if ((q !== 0 || r !== 0) && Math.abs(q + r) <= pattern.rings) {
+          transforms.push(move(add(scale(qStep, q), scale(rStep, r))));
+        }
+      }
+    }
+    return transforms;
+  }
+
+  // polar: a full circle spreads the bodies evenly, a partial arc puts the last one at its end
+  const fullCircle = pattern.angle % 360 === 0;
+  const step = (pattern.angle / (fullCircle ? pattern.count : pattern.count - 1)) * (Math.PI / 180);
+  return Array.from({ length: Math.max(0, pattern.count - 1) }, (_, i) => {
+    const radians = [0, 0, 0];
+    radians[pattern.axis] = step * (i + 1);
+    const rotated = add(rotateVector(sub(position, pattern.center), radians), pattern.center);
+    if (!pattern.rotateCopies) {
+      return move(sub(rotated, position));
+    }
+    // Turning about the center: rotate about the origin, then move the center back into place
+    return {
+      rotation: radians.map((v) => v / Math.PI),
+      translation: sub(pattern.center, rotateVector(pattern.center, radians)),
+    };
+  });
+}
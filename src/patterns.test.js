@@ -0,0 +1,39 @@
+import { DEFAULT_PATTERN, getPatternTransforms } from './patterns';
+import { transformBodyParams, eulerToDirection, length, sub } from './geometry';
+import { expectVectorClose } from './testUtils';
+
+test('linear and rectangular patterns step by the pitch', () => {
+  const linear = getPatternTransforms({ ...DEFAULT_PATTERN, count: 4, pitch: 1.5, axis: 1 }, [0, 0, 0]);
+  expect(linear.map(({ translation }) => translation)).toEqual([[0, 1.5, 0], [0, 3, 0], [0, 4.5, 0]]);
+
+  const grid = getPatternTransforms({ ...DEFAULT_PATTERN, type: 'rectangular', counts: [3, 2, 2], pitches: [1, 2, 3] }, [0, 0, 0]);
+  expect(grid).toHaveLength(11);
+  expect(grid[grid.length - 1].translation).toEqual([2, 2, 3]);
+});
+
+test('hexagonal lattices keep every neighbour one pitch away', () => {
+  const pattern = { ...DEFAULT_PATTERN, type: 'hexagonal', rings: 2, pitch: 1.26, plane: 'XZ' };
+  const offsets = [[0, 0, 0], ...getPatternTransforms(pattern, [0, 0, 0]).map(({ translation }) => translation)];
+  expect(offsets).toHaveLength(19);
+  offsets.forEach(([, y]) => expect(y).toBeCloseTo(0, 12));
+  const firstRing = offsets.filter((offset) => Math.abs(length(offset) - 1.26) < 1e-9);
+  expect(firstRing).toHaveLength(6);
+  const closest = Math.min(...offsets.flatMap((a, i) => offsets.slice(i + 1).map((b) => length(sub(a, b)))));
+  expect(closest).toBeCloseTo(1.26, 9);
+});
+
+test('polar patterns turn copies about the center', () => {
+  const pattern = { ...DEFAULT_PATTERN, type: 'polar', count: 4, axis: 1, center: [1, 0, 0], angle: 360 };
+  const rod = { radiusTop: 0.1, radiusBottom: 0.1, height: 1, position: [3, 0, 0], rotation: [0, 0, 0.5] };
+  const copies = getPatternTransforms(pattern, rod.position).map(({ rotation, translation }) =>
+    transformBodyParams(rod, rotation, translation)
+  );
+  expectVectorClose(copies[0].position, [1, 0, -2]);
+  expectVectorClose(copies[1].position, [-1, 0, 0]);
+  // The rod keeps pointing at the center
+  expectVectorClose(eulerToDirection(copies[1].rotation.map((v) => v * Math.PI)), [1, 0, 0]);
+
+  const arc = getPatternTransforms({ ...pattern, angle: 90, count: 3, rotateCopies: false }, rod.position);
+  expect(arc[0].rotation).toEqual([0, 0, 0]);
+  expectVectorClose(arc[1].translation, [-2, 0, -2]);
+});
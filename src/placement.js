@@ -0,0 +1,95 @@
+// placement.js
+import { eulerToDirection, getBoxFrame, add, sub, scale, dot } from './geometry';
+import { getShapeSupport } from './bodies';
+
+// Placement helpers work on bodies as { type, params } with params in world coordinates.
+// They return where the moving body should go; the caller writes that back into its params.
+
+const AXES = [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+
+// Work-plane grid and snapping settings. spacing is in centimeters like the params, angle in degrees.
+// With snap on, the gizmo moves in steps of spacing and turns in steps of angle.
+export const DEFAULT_GRID = { visible: true, plane: 'XZ', spacing: 1, snap: false, angle: 15 };
+
+// Directions offered for "place against": the side of the target the moving body goes to
+export const PLACE_DIRECTIONS = [
+  { label: '+X', direction: [1, 0, 0] },
+  { label: '−X', direction: [-1, 0, 0] },
+  { label: '+Y', direction: [0, 1, 0] },
+  { label: '−Y', direction: [0, -1, 0] },
+  { label: '+Z', direction: [0, 0, 1] },
+  { label: '−Z', direction: [0, 0, -1] },
+];
+
+// Helper: Axis of a cylinder (or of another body, its local Y axis) as { point, direction }; spheres have none
+export function getBodyAxis(type, params) {
+  if (type === 'sphere') {
+    return null;
+  }
+  return { point: params.position, direction: eulerToDirection(params.rotation.map((v) => v * Math.PI)) };
+}
+
+// Helper: How far a body reaches along a unit direction, i.e. the largest dot(point, direction) of its points.
+// Exact for every body shape, whatever its rotation.
+export function getSupport(type, params, direction) {
+  if (type === 'sphere') {
+    return dot(params.position, direction) + params.radius;
+  }
+  if (type === 'box') {
+    const { center, axes, halfExtents } = getBoxFrame(params);
+    return dot(center, direction) + axes.reduce((sum, axis, i) => sum + halfExtents[i] * Math.abs(dot(axis, direction)), 0);
+  }
+  if (type !== 'cylinder') {
+    return dot(getShapeSupport(type, params)(direction), direction);
+  }
+  // Cylinder or cone: the farthest point lies on the rim of one of the end caps
+  const { direction: axis } = getBodyAxis(type, params);
+  const half = scale(axis, params.height / 2);
+  const rim = Math.sqrt(Math.max(0, 1 - dot(axis, direction) ** 2));
+  return Math.max(
+    dot(add(params.position, half), direction) + params.radiusTop * rim,
+    dot(sub(params.position, half), direction) + params.radiusBottom * rim
+  );
+}
+
+// Helper: [min, max] of a body along one of the world axes (0, 1, 2 for X, Y, Z)
+export function getExtent(type, params, axis) {
+  const direction = AXES[axis];
+  return [-getSupport(type, params, scale(direction, -1)), getSupport(type, params, direction)];
+}
+
+// Helper: Translation that puts the moving body flush against the target on the side given by a unit
+// direction, e.g. [1, 0, 0] to touch the target's +X side. Only the coordinate along the direction changes.
+export function placeAgainst(moving, target, direction) {
+  const targetFace = getSupport(target.type, target.params, direction);
+  const movingFace = -getSupport(moving.type, moving.params, scale(direction, -1));
+  return scale(direction, targetFace - movingFace);
+}
+
+// Helper: Translation along one world axis that lines up the moving body's min, center or max with the target's
+export function alignTo(moving, target, axis, mode) {
+  const [movingMin, movingMax] = getExtent(moving.type, moving.params, axis);
+  const [targetMin, targetMax] = getExtent(target.type, target.params, axis);
+  const offset = {
+    min: targetMin - movingMin,
+    center: (targetMin + targetMax) / 2 - (movingMin + movingMax) / 2,
+    max: targetMax - movingMax,
+  }[mode];
+  return AXES[axis].map((v) => v * offset);
+}
+
+// Helper: Position that puts the moving body's center on the target's axis, at the point of the axis
+// closest to where it is now. Returns null when the target has no axis.
+export function centerOnAxis(moving, target) {
+  const axis = getBodyAxis(target.type, target.params);
+  if (!axis) {
+    return null;
+  }
+  const along = dot(sub(moving.params.position, axis.point), axis.direction);
+  return add(axis.point, scale(axis.direction, along));
+}
+
+// Helper: Position rounded to the nearest grid point, without float noise (3 × 0.1 gives 0.3)
+export function snapToGrid(position, spacing) {
+  return position.map((v) => parseFloat((Math.round(v / spacing) * spacing).toPrecision(12)));
+}
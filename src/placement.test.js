@@ -0,0 +1,39 @@
+import { getSupport, getExtent, placeAgainst, alignTo, centerOnAxis, snapToGrid } from './placement';
+import { round } from './testUtils';
+
+const box = { type: 'box', params: { width: 2, height: 4, depth: 6, rotation: [0, 0, 0], position: [0, 0, 0] } };
+const sphere = { type: 'sphere', params: { radius: 1, position: [10, 3, 0] } };
+// A cylinder of radius 1 and height 4 lying along X
+const cylinder = {
+  type: 'cylinder',
+  params: { radiusTop: 1, radiusBottom: 1, height: 4, rotation: [0, 0, -0.5], position: [0, 5, 0] },
+};
+
+test('the reach of a body along a direction follows its rotation', () => {
+  expect(getSupport(box.type, box.params, [0, 0, 1])).toBe(3);
+  expect(round(getExtent(cylinder.type, cylinder.params, 0))).toEqual([-2, 2]);
+  expect(round(getExtent(cylinder.type, cylinder.params, 1))).toEqual([4, 6]);
+  // A box turned 45° about Z reaches half its diagonal along X
+  const turned = { ...box.params, width: 2, height: 2, rotation: [0, 0, 0.25] };
+  expect(getSupport('box', turned, [1, 0, 0])).toBeCloseTo(Math.SQRT2, 12);
+});
+
+test('place against puts the bodies flush on the chosen side', () => {
+  // The sphere goes onto the +X face of the box, keeping its Y and Z
+  expect(round(placeAgainst(sphere, box, [1, 0, 0]))).toEqual([-8, 0, 0]);
+  // The cylinder goes under the box
+  expect(round(placeAgainst(cylinder, box, [0, -1, 0]))).toEqual([0, -8, 0]);
+});
+
+test('align lines up the min, center or max of the extents', () => {
+  expect(round(alignTo(sphere, box, 1, 'min'))).toEqual([0, -4, 0]);
+  expect(round(alignTo(sphere, box, 1, 'center'))).toEqual([0, -3, 0]);
+  expect(round(alignTo(sphere, box, 0, 'max'))).toEqual([-10, 0, 0]);
+});
+
+test('bodies are centered on the axis of a cylinder and snapped to the grid', () => {
+  expect(round(centerOnAxis(sphere, cylinder))).toEqual([10, 5, 0]);
+  expect(centerOnAxis(box, sphere)).toBeNull();
+  expect(snapToGrid([0.4, 1.6, -2.5], 0.5)).toEqual([0.5, 1.5, -2.5]);
+  expect(snapToGrid([0.29, 0, 0], 0.1)).toEqual([0.3, 0, 0]);
+});
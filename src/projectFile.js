@@ -0,0 +1,195 @@
+// projectFile.js
+import { BODY_TYPES, SHAPE_TYPES } from './bodies';
+import { DEFAULT_MATERIALS } from './materials';
+import { DEFAULT_UNITS, LENGTH_UNITS } from './units';
+import { DEFAULT_WORLD, WORLD_SHAPES } from './world';
+
+// Project files hold the whole scene as the editor keeps it (ids, names, rotations, groups, zones and
+// the material library), so saving and opening a project gives back exactly the same scene:
+//   { format, version, metadata: { name, savedAt }, scene }
+export const PROJECT_FORMAT = 'cg-editor-project';
+export const PROJECT_VERSION = 5;
+
+// Migrations from each older version to the next one, keyed by the version they upgrade from.
+// Data without a version is a bare scene (or { scene }) as browser storage kept it before files were
+// versioned; scenes from before groups and the material library lack those parts. Version 1 scenes have no
+// unit settings; their lengths were written to decks unchanged, i.e. they are centimeters. Version 2
+// scenes only have cylinders, spheres and boxes, version 3 scenes have no world settings, and version 4
+// scenes have no acknowledged overlaps.
+const MIGRATIONS = {
+  0: (data) => ({
+    format: PROJECT_FORMAT,
+    version: 1,
+    metadata: {},
+    scene: {
+      cylinderParams: {},
+      sphereParams: {},
+      boxParams: {},
+      groups: {},
+      zones: [],
+      materials: DEFAULT_MATERIALS,
+      ...(data.scene || data),
+    },
+  }),
+  1: (data) => ({ ...data, version: 2, scene: { ...data.scene, units: DEFAULT_UNITS } }),
+  2: (data) => ({
+    ...data,
+    version: 3,
+    scene: { ...Object.fromEntries(SHAPE_TYPES.map(({ sceneKey }) => [sceneKey, {}])), ...data.scene },
+  }),
+  3: (data) => ({ ...data, version: 4, scene: { ...data.scene, world: DEFAULT_WORLD } }),
+  4: (data) => ({ ...data, version: 5, scene: { ...data.scene, allowedOverlaps: [] } }),
+};
+
+const BODY_KEYS = BODY_TYPES.map(({ sceneKey }) => sceneKey);
+
+// Size params of each body type, lengths of zero or more. The vertices and faces of an arb are checked apart.
+const SIZE_KEYS = {
+  cylinder: ['radiusTop', 'radiusBottom', 'height'],
+  sphere: ['radius'],
+  box: ['width', 'height', 'depth'],
+  ellipsoid: ['majorRadius', 'minorRadius'],
+  wedge: ['width', 'height', 'depth'],
+  hexPrism: ['apothem', 'height'],
+  ellipticCylinder: ['radiusX', 'radiusZ', 'height'],
+  arb: [],
+};
+
+// Helper: Whether a value is a list of three finite numbers
+const isVector = (value) => Array.isArray(value) && value.length === 3 && value.every(Number.isFinite);
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isLength = (value) => Number.isFinite(value) && value >= 0;
+
+// Helper: Check the params of a body of the given type, or of a group when type is null
+function validateParams(id, params, type, groups) {
+  if (!isObject(params) || !isVector(params.position)) {
+    throw new Error(`${id} needs a position of three numbers`);
+  }
+  if (params.rotation !== undefined && !isVector(params.rotation)) {
+    throw new Error(`${id} has a rotation that is not three numbers`);
+  }
+  if (params.parent !== undefined && !groups[params.parent]) {
+    throw new Error(`${id} is in group "${params.parent}", which does not exist`);
+  }
+  if (type === null) {
+    return;
+  }
+  const badSize = SIZE_KEYS[type].find((key) => !isLength(params[key]));
+  if (badSize) {
+    throw new Error(`${id} needs a ${badSize} that is a number of zero or more`);
+  }
+  if (type === 'arb') {
+    if (!Array.isArray(params.vertices) || params.vertices.length !== 8 || !params.vertices.every(isVector)) {
+      throw new Error(`${id} needs eight vertices of three numbers`);
+    }
+    if (!Array.isArray(params.faces) || params.faces.length !== 6 || !params.faces.every(Number.isInteger)) {
+      throw new Error(`${id} needs six face numbers`);
+    }
+  }
+}
+
+// Helper: Check the structure of a scene. Throws an Error describing the first problem found.
+function validateScene(scene) {
+  if (!isObject(scene)) {
+    throw new Error('The file has no scene');
+  }
+  for (const key of [...BODY_KEYS, 'groups']) {
+    if (!isObject(scene[key])) {
+      throw new Error(`Expected "${key}" to be an object`);
+    }
+  }
+  for (const { type, sceneKey } of [...BODY_TYPES, { type: null, sceneKey: 'groups' }]) {
+    for (const [id, params] of Object.entries(scene[sceneKey])) {
+      validateParams(id, params, type, scene.groups);
+    }
+  }
+  if (!Array.isArray(scene.zones)) {
+    throw new Error('Expected "zones" to be a list');
+  }
+  const bodyExists = (bodyId) => BODY_KEYS.some((key) => Boolean(scene[key][bodyId]));
+  for (const zone of scene.zones) {
+    if (!isObject(zone) || !Array.isArray(zone.terms) || !zone.terms.every(Array.isArray)) {
+      throw new Error('Each zone needs its terms as a list of groups');
+    }
+    const terms = zone.terms.flat();
+    const isTerm = (term) => isObject(term) && typeof term.bodyId === 'string' && ['+', '-'].includes(term.sign);
+    const badTerm = terms.findIndex((term) => !isTerm(term));
+    if (badTerm !== -1) {
+      throw new Error(`Zone "${zone.name}" has a term that is not a body with a sign: ${JSON.stringify(terms[badTerm])}`);
+    }
+    const unknown = terms.find((term) => !bodyExists(term.bodyId));
+    if (unknown) {
+      throw new Error(`Zone "${zone.name}" refers to body "${unknown.bodyId}", which does not exist`);
+    }
+  }
+  if (!Array.isArray(scene.materials) || scene.materials.length === 0) {
+    throw new Error('Expected "materials" to be a non-empty list');
+  }
+  scene.materials.forEach((material, i) => {
+    if (!material.id || !material.name || !Number.isInteger(material.index)) {
+      throw new Error(`Material ${i + 1} needs an id, a name and an integer index`);
+    }
+  });
+  const isUnit = (unit) => LENGTH_UNITS.some((entry) => entry.unit === unit);
+  if (!isObject(scene.units) || !isUnit(scene.units.displayUnit) || !isUnit(scene.units.exportUnit)) {
+    throw new Error('Expected "units" with a display and an export unit');
+  }
+  if (!isObject(scene.world) || !WORLD_SHAPES.some(({ shape }) => shape === scene.world.shape)) {
+    throw new Error('Expected "world" with a box or sphere shape');
+  }
+  if (!isLength(scene.world.margin) || typeof scene.world.fill !== 'string' || !scene.world.fill) {
+    throw new Error('Expected "world" to have a margin of zero or more and a fill material');
+  }
+  const isPair = (pair) => Array.isArray(pair) && pair.length === 2 && pair.every((id) => typeof id === 'string');
+  if (!Array.isArray(scene.allowedOverlaps) || !scene.allowedOverlaps.every(isPair)) {
+    throw new Error('Expected "allowedOverlaps" to be a list of pairs of body ids');
+  }
+}
+
+// Helper: Project data of a scene, ready to be stored as JSON
+export function createProjectFile(scene, metadata = {}) {
+  return { format: PROJECT_FORMAT, version: PROJECT_VERSION, metadata, scene };
+}
+
+// Helper: Project file text of a scene
+export function serializeProject(scene, metadata = {}) {
+  return JSON.stringify(createProjectFile(scene, metadata), null, 2);
+}
+
+// Helper: Bring project data of any version up to the current one and check its scene.
+// Returns { metadata, scene }; throws an Error for data that cannot be opened.
+export function migrateProject(data) {
+  if (!isObject(data)) {
+    throw new Error('Not a project file');
+  }
+  if (data.format !== undefined && data.format !== PROJECT_FORMAT) {
+    throw new Error(`Unknown file format "${data.format}"`);
+  }
+  let project = data;
+  let version = data.version ?? 0;
+  if (!Number.isInteger(version) || version < 0) {
+    throw new Error(`Unknown project version "${version}"`);
+  }
+  if (version > PROJECT_VERSION) {
+    throw new Error(`The file was saved by a newer version of the editor (project version ${version})`);
+  }
+  while (version < PROJECT_VERSION) {
+    project = MIGRATIONS[version](project);
+    version = project.version;
+  }
+  validateScene(project.scene);
+  return { metadata: project.metadata || {}, scene: project.scene };
+}
+
+// Helper: Parse a project file. Throws an Error describing the first problem found.
+export function parseProject(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error('The file is not valid JSON');
+  }
+  return migrateProject(data);
+}
@@ -0,0 +1,107 @@
+import { PROJECT_VERSION, serializeProject, parseProject } from './projectFile';
+import { DEFAULT_MATERIALS } from './materials';
+import { DEFAULT_UNITS } from './units';
+import { SHAPE_TYPES } from './bodies';
+import { DEFAULT_WORLD } from './world';
+
+const noShapes = Object.fromEntries(SHAPE_TYPES.map(({ sceneKey }) => [sceneKey, {}]));
+
+const scene = {
+  cylinderParams: {
+    cylinder1: {
+      name: 'Beam pipe',
+      radiusTop: 0.5,
+      radiusBottom: 0.75,
+      height: 3,
+      rotation: [0.5, 0.1234567891234, 0],
+      position: [0, 1e-9, 2],
+      materialType: 'steel',
+      parent: 'group1',
+    },
+  },
+  sphereParams: {},
+  boxParams: { box1: { width: 1, height: 2, depth: 3, rotation: [0, 0, 0], position: [5, 0, 0], materialType: 'wood' } },
+  ...noShapes,
+  ellipsoidParams: { ellipsoid1: { majorRadius: 2, minorRadius: 1, rotation: [0, 0, 0], position: [0, 0, 0], parent: 'group1' } },
+  groups: { group1: { name: 'Target', position: [1, 2, 3], rotation: [0, 0.25, 0] } },
+  zones: [{ id: 'zone1', name: 'shell', materialType: 'concrete', terms: [[{ bodyId: 'box1', sign: '+' }]] }],
+  materials: [...DEFAULT_MATERIALS, { id: 'material1', name: 'Lead', index: 12, color: '#555555', opacity: 0.5, density: 11.35 }],
+  units: { displayUnit: 'mm', exportUnit: 'cm', precision: 4 },
+  world: { enabled: true, shape: 'sphere', margin: 25, fill: 'wood' },
+  allowedOverlaps: [['box1', 'ellipsoid1']],
+};
+
+test('a saved project opens back exactly', () => {
+  const { scene: opened, metadata } = parseProject(serializeProject(scene, { name: 'Target station' }));
+  expect(opened).toEqual(scene);
+  expect(metadata).toEqual({ name: 'Target station' });
+});
+
+test('files without a version are migrated to the current one', () => {
+  const legacy = { cylinderParams: {}, sphereParams: { sphere1: { radius: 1, position: [0, 0, 0] } }, zones: [] };
+  const { scene: opened } = parseProject(JSON.stringify(legacy));
+  expect(opened).toEqual({
+    ...legacy,
+    boxParams: {},
+    ...noShapes,
+    groups: {},
+    materials: DEFAULT_MATERIALS,
+    units: DEFAULT_UNITS,
+    world: DEFAULT_WORLD,
+    allowedOverlaps: [],
+  });
+});
+
+test('version 1 files get centimeters as their units', () => {
+  const { units, ellipsoidParams, world, allowedOverlaps, ...withoutUnits } = scene;
+  const { scene: opened } = parseProject(JSON.stringify({ format: 'cg-editor-project', version: 1, scene: withoutUnits }));
+  expect(opened).toEqual({ ...withoutUnits, ...noShapes, units: DEFAULT_UNITS, world: DEFAULT_WORLD, allowedOverlaps: [] });
+});
+
+test('version 3 files get the world turned off', () => {
+  const { world, allowedOverlaps, ...withoutWorld } = scene;
+  const { scene: opened } = parseProject(JSON.stringify({ format: 'cg-editor-project', version: 3, scene: withoutWorld }));
+  expect(opened).toEqual({ ...withoutWorld, world: DEFAULT_WORLD, allowedOverlaps: [] });
+});
+
+test('version 4 files have no acknowledged overlaps', () => {
+  const { allowedOverlaps, ...withoutOverlaps } = scene;
+  const { scene: opened } = parseProject(JSON.stringify({ format: 'cg-editor-project', version: 4, scene: withoutOverlaps }));
+  expect(opened).toEqual({ ...withoutOverlaps, allowedOverlaps: [] });
+});
+
+test('files that cannot be opened are rejected with the reason', () => {
+  expect(() => parseProject('{')).toThrow('not valid JSON');
+  expect(() => parseProject(JSON.stringify({ version: PROJECT_VERSION + 1, scene }))).toThrow('newer version');
+  const orphan = { ...scene, groups: {} };
+  expect(() => parseProject(serializeProject(orphan))).toThrow('"group1", which does not exist');
+  const terms = [[{ bodyId: 'box1', sign: '+' }, { bodyId: 'sphere9', sign: '-' }]];
+  const badZone = { ...scene, zones: [{ ...scene.zones[0], terms }] };
+  expect(() => parseProject(serializeProject(badZone))).toThrow('Zone "shell" refers to body "sphere9", which does not exist');
+});
+
+test('zones with terms that are not signed bodies are rejected, even falsy ones', () => {
+  for (const term of [null, 0]) {
+    const badZone = { ...scene, zones: [{ ...scene.zones[0], terms: [[{ bodyId: 'box1', sign: '+' }, term]] }] };
+    expect(() => parseProject(serializeProject(badZone))).toThrow(`Zone "shell" has a term that is not a body with a sign: ${term}`);
+  }
+  const unsigned = { ...scene, zones: [{ ...scene.zones[0], terms: [[{ bodyId: 'box1' }]] }] };
+  expect(() => parseProject(serializeProject(unsigned))).toThrow('has a term that is not a body with a sign');
+});
+
+test('bodies and worlds with sizes that are not numbers are rejected', () => {
+  const cylinder = scene.cylinderParams.cylinder1;
+  // NaN is saved as null
+  const nanRadius = { ...scene, cylinderParams: { cylinder1: { ...cylinder, radiusTop: NaN } } };
+  expect(() => parseProject(serializeProject(nanRadius))).toThrow('cylinder1 needs a radiusTop that is a number of zero or more');
+  const textWidth = { ...scene, boxParams: { box1: { ...scene.boxParams.box1, width: '1' } } };
+  expect(() => parseProject(serializeProject(textWidth))).toThrow('box1 needs a width');
+  const shortPosition = { ...scene, boxParams: { box1: { ...scene.boxParams.box1, position: [5, 0] } } };
+  expect(() => parseProject(serializeProject(shortPosition))).toThrow('box1 needs a position of three numbers');
+  const arb = { vertices: [[0, 0, 0]], faces: [1234, 0, 0, 0, 0, 0], rotation: [0, 0, 0], position: [0, 0, 0] };
+  expect(() => parseProject(serializeProject({ ...scene, arbParams: { arb1: arb } }))).toThrow('arb1 needs eight vertices');
+  const badMargin = { ...scene, world: { ...scene.world, margin: 'wide' } };
+  expect(() => parseProject(serializeProject(badMargin))).toThrow('a margin of zero or more and a fill material');
+  const noFill = { ...scene, world: { ...scene.world, fill: null } };
+  expect(() => parseProject(serializeProject(noFill))).toThrow('a margin of zero or more and a fill material');
+});
@@ -0,0 +1,96 @@
+// projectStorage.js
+import { createProjectFile, migrateProject } from './projectFile';
+
+// Everything is kept in localStorage under these keys: the working scene, the list of named projects,
+// and one entry per project. Scenes are stored as project files, so older entries are migrated on load.
+const AUTOSAVE_KEY = 'cg-editor:autosave';
+const PROJECTS_KEY = 'cg-editor:projects';
+const projectKey = (id) => `cg-editor:project:${id}`;
+
+// Helper: Parsed JSON stored under a key, or null when it is missing or unreadable
+function readJson(storage, key) {
+  try {
+    const text = storage.getItem(key);
+    return text ? JSON.parse(text) : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Helper: Store a value as JSON. Returns false when the storage is full or unavailable.
+function writeJson(storage, key, value) {
+  try {
+    storage.setItem(key, JSON.stringify(value));
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Helper: Scene of stored project data, migrated to the current version, or null when it cannot be read
+function readScene(data) {
+  try {
+    return migrateProject(data).scene;
+  } catch (error) {
+    return null;
+  }
+}
+
+// The working scene with the id of the project it belongs to (null for an unsaved scene), or null when
+// there is none. An autosave that is not a valid project is returned as { error } with the reason.
+export function loadAutosave(storage = window.localStorage) {
+  const data = readJson(storage, AUTOSAVE_KEY);
+  if (!data) {
+    return null;
+  }
+  try {
+    return { scene: migrateProject(data).scene, projectId: data.projectId ?? null, savedAt: data.savedAt };
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+export function saveAutosave(scene, projectId, storage = window.localStorage) {
+  return writeJson(storage, AUTOSAVE_KEY, {
+    ...createProjectFile(scene),
+    projectId,
+    savedAt: new Date().toISOString(),
+  });
+}
+
+// Saved projects as [{ id, name, savedAt }], most recently saved first
+export function listProjects(storage = window.localStorage) {
+  const projects = readJson(storage, PROJECTS_KEY) || [];
+  return [...projects].sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+}
+
+// Save a scene as a project. Without an id a new project is created. Returns the project's id, or null
+// when the storage is full.
+export function saveProject(name, scene, id = null, storage = window.localStorage) {
+  const projects = readJson(storage, PROJECTS_KEY) || [];
+  const numbers = projects.map((project) => parseInt(project.id.replace('project', ''), 10) || 0);
+  const projectId = id || 'project' + (Math.max(0, ...numbers) + 1);
+  const entry = { id: projectId, name, savedAt: new Date().toISOString() };
+  if (!writeJson(storage, projectKey(projectId), createProjectFile(scene, { name }))) {
+    return null;
+  }
+  writeJson(storage, PROJECTS_KEY, [...projects.filter((project) => project.id !== projectId), entry]);
+  return projectId;
+}
+
+// The scene of a saved project, or null
+export function loadProject(id, storage = window.localStorage) {
+  const project = readJson(storage, projectKey(id));
+  return project && readScene(project);
+}
+
+export function renameProject(id, name, storage = window.localStorage) {
+  const projects = readJson(storage, PROJECTS_KEY) || [];
+  writeJson(storage, PROJECTS_KEY, projects.map((project) => (project.id === id ? { ...project, name } : project)));
+}
+
+export function deleteProject(id, storage = window.localStorage) {
+  const projects = readJson(storage, PROJECTS_KEY) || [];
+  writeJson(storage, PROJECTS_KEY, projects.filter((project) => project.id !== id));
+  storage.removeItem(projectKey(id));
+}
@@ -0,0 +1,76 @@
+import {
+  loadAutosave,
+  saveAutosave,
+  listProjects,
+  saveProject,
+  loadProject,
+  renameProject,
+  deleteProject,
+} from './projectStorage';
+import { DEFAULT_MATERIALS } from './materials';
+import { DEFAULT_UNITS } from './units';
+import { SHAPE_TYPES } from './bodies';
+import { DEFAULT_WORLD } from './world';
+
+const scene = {
+  cylinderParams: {},
+  sphereParams: { sphere1: { name: 'Core', radius: 1, position: [0, 0, 0], materialType: 'steel' } },
+  boxParams: {},
+  ...Object.fromEntries(SHAPE_TYPES.map(({ sceneKey }) => [sceneKey, {}])),
+  groups: {},
+  zones: [],
+  materials: DEFAULT_MATERIALS,
+  units: DEFAULT_UNITS,
+  world: DEFAULT_WORLD,
+  allowedOverlaps: [],
+};
+
+beforeEach(() => window.localStorage.clear());
+
+test('the autosaved scene is restored with its project', () => {
+  expect(loadAutosave()).toBeNull();
+  saveAutosave(scene, 'project1');
+  expect(loadAutosave()).toMatchObject({ scene, projectId: 'project1' });
+});
+
+test('an autosave that is no longer a valid scene is reported instead of dropped', () => {
+  // A NaN param, e.g. from a cleared field, is stored as null
+  const sphere = { ...scene.sphereParams.sphere1, radius: NaN };
+  saveAutosave({ ...scene, sphereParams: { sphere1: sphere } }, null);
+  expect(loadAutosave()).toEqual({ error: expect.stringContaining('sphere1') });
+});
+
+test('projects are saved, renamed and deleted', () => {
+  const first = saveProject('Reactor', scene);
+  const second = saveProject('Shield', { ...scene, zones: [{ id: 'zone1' }] });
+  expect([first, second]).toEqual(['project1', 'project2']);
+  expect(loadProject(first)).toEqual(scene);
+
+  // Saving under an existing id overwrites that project
+  expect(saveProject('Reactor', { ...scene, zones: [] }, first)).toBe(first);
+  renameProject(second, 'Shielding');
+  expect(listProjects().map(({ id, name }) => [id, name]).sort()).toEqual([
+    ['project1', 'Reactor'],
+    ['project2', 'Shielding'],
+  ]);
+
+  deleteProject(first);
+  expect(listProjects().map(({ id }) => id)).toEqual(['project2']);
+  expect(loadProject(first)).toBeNull();
+});
+
+test('scenes stored before project versions are migrated', () => {
+  window.localStorage.setItem('cg-editor:project:project1', JSON.stringify({ scene: { sphereParams: scene.sphereParams } }));
+  expect(loadProject('project1')).toEqual(scene);
+});
+
+test('a full storage is reported instead of throwing', () => {
+  const fullStorage = {
+    getItem: () => null,
+    setItem: () => {
+      throw new Error('QuotaExceededError');
+    },
+  };
+  expect(saveAutosave(scene, null, fullStorage)).toBe(false);
+  expect(saveProject('Reactor', scene, null, fullStorage)).toBeNull();
+});
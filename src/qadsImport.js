@@ -0,0 +1,121 @@
+// qadsImport.js
+// Turns the bodies and zones of a parsed QADS file (see qadsParser.js) into a scene, either replacing the
+// current scene or merged into it.
+import { transformBodyParams } from './geometry';
+import { BODY_TYPES, SHAPE_TYPES } from './bodies';
+import { detectCollisions } from './collision';
+import { flattenBodies } from './groups';
+import { createMaterial } from './materials';
+import { createObjectId } from './objects';
+import { convertParams } from './units';
+import { nextZoneId, parseZoneExpression } from './zones';
+
+// Helper: The scene after importing a parsed QADS file. mode is 'replace' or 'merge'; unit is the length
+// unit of the file. Merged bodies get ids after the existing ones and are rotated about the origin, then
+// translated. Returns { scene, bodyIdsByNumber, bodyTypesById,
+// newParamsByType }, where the last three describe the imported bodies.
+export function importQads(scene, { bodies, zones: parsedZones }, { mode, unit, translation, rotation }) {
+  const merge = mode === 'merge';
+  // Lengths in the file are converted from its unit to centimeters first
+  const toScene = (params) => convertParams(params, unit, 'cm');
+  const defaultMaterialType = scene.materials[0].id;
+  const newParamsByType = Object.fromEntries(BODY_TYPES.map(({ type }) => [type, {}]));
+  const bodyIdsByNumber = {};
+  const bodyTypesById = {};
+  for (const body of bodies) {
+    const sceneKey = BODY_TYPES.find(({ type }) => type === body.type).sceneKey;
+    const existingIds = merge ? Object.keys(scene[sceneKey]) : [];
+    const id = createObjectId(body.type, [...existingIds, ...Object.keys(newParamsByType[body.type])]);
+    newParamsByType[body.type][id] = {
+      ...(merge ? transformBodyParams(toScene(body.params), rotation, translation) : toScene(body.params)),
+      ...(body.name && { name: body.name }),
+      materialType: defaultMaterialType, // will be updated after mapping materials
+    };
+    bodyIdsByNumber[body.number] = id;
+    bodyTypesById[id] = body.type;
+  }
+  const paramsOf = (id) => newParamsByType[bodyTypesById[id]][id];
+
+  // Map material numbers to library materials. Numbers not in the library are added to it.
+  const newMaterials = [...scene.materials];
+  const materialTypeOf = (number) => {
+    let material = newMaterials.find(({ index }) => index === number);
+    if (!material) {
+      material = createMaterial(newMaterials, number);
+      newMaterials.push(material);
+    }
+    return material.id;
+  };
+  // Older files list one material per body
+  bodies.forEach((body) => {
+    if (body.material !== null) {
+      paramsOf(bodyIdsByNumber[body.number]).materialType = materialTypeOf(body.material);
+    }
+  });
+
+  // Merged zones get unused ids and names
+  const existingZones = merge ? scene.zones : [];
+  const usedZoneNames = new Set(existingZones.map(({ name }) => name));
+  let newZones = [];
+  for (const zone of parsedZones) {
+    const terms = parseZoneExpression(zone.expression, bodyIdsByNumber);
+    // A zone without a material number takes the material of its first body
+    const materialType =
+      zone.material !== null ? materialTypeOf(zone.material) : paramsOf(terms[0][0].bodyId).materialType;
+    let name = zone.name;
+    while (usedZoneNames.has(name)) {
+      name += '_';
+    }
+    usedZoneNames.add(name);
+    newZones.push({ id: nextZoneId([...existingZones, ...newZones]), name, materialType, terms });
+  }
+  // Show each body in the material of the first zone it is inside of
+  const coloredBodies = new Set();
+  for (const zone of newZones) {
+    for (const { bodyId, sign } of zone.terms.flat()) {
+      if (sign === '+' && !coloredBodies.has(bodyId)) {
+        coloredBodies.add(bodyId);
+        paramsOf(bodyId).materialType = zone.materialType;
+      }
+    }
+  }
+  // Zones made of a single body that no other zone uses are implied by the body itself
+  const isTrivial = (zone) => {
+    if (zone.terms.length !== 1 || zone.terms[0].length !== 1 || zone.terms[0][0].sign !== '+') {
+      return false;
+    }
+    const { bodyId } = zone.terms[0][0];
+    return !newZones.some((other) => other !== zone && other.terms.flat().some((term) => term.bodyId === bodyId));
+  };
+  newZones = newZones.filter((zone) => !isTrivial(zone));
+
+  return {
+    scene: {
+      ...Object.fromEntries(
+        BODY_TYPES.map(({ type, sceneKey }) => [sceneKey, { ...(merge && scene[sceneKey]), ...newParamsByType[type] }])
+      ),
+      groups: merge ? scene.groups : {},
+      zones: [...existingZones, ...newZones],
+      materials: newMaterials,
+      units: scene.units,
+      world: scene.world,
+      allowedOverlaps: merge ? scene.allowedOverlaps : [],
+    },
+    bodyIdsByNumber,
+    bodyTypesById,
+    newParamsByType,
+  };
+}
+
+// Helper: Collisions, as [id1, id2] pairs, between the bodies of a scene (in world space) and imported
+// bodies, which lie at the top level. Collisions among either set are left out.
+export function getImportCollisions(scene, newParamsByType) {
+  const paramsOf = (type, sceneKey) => ({ ...flattenBodies(scene[sceneKey], scene.groups), ...newParamsByType[type] });
+  const isImported = (id) => BODY_TYPES.some(({ type }) => newParamsByType[type][id]);
+  return detectCollisions(
+    paramsOf('cylinder', 'cylinderParams'),
+    paramsOf('sphere', 'sphereParams'),
+    paramsOf('box', 'boxParams'),
+    Object.fromEntries(SHAPE_TYPES.map(({ type, sceneKey }) => [type, paramsOf(type, sceneKey)]))
+  ).filter(([id1, id2]) => isImported(id1) !== isImported(id2));
+}
@@ -0,0 +1,112 @@
+import { BODY_TYPES } from './bodies';
+import { DEFAULT_MATERIALS } from './materials';
+import { DEFAULT_UNITS } from './units';
+import { DEFAULT_WORLD } from './world';
+import { parseQads } from './qadsParser';
+import { importQads, getImportCollisions } from './qadsImport';
+
+const file = (...lines) => lines.join('\n');
+
+// A wall with a hole, and a sphere in a zone of its own
+const parsed = parseQads(
+  file(
+    'rpp 1 -1 1 -2 2 -0.5 0.5',
+    'rcc 2 0 -1 0 0 2 0 0.5',
+    'sph 3 5 0 0 1',
+    'end body',
+    'wall 1 1 -2',
+    'hole 1 2',
+    'ball 1 3',
+    'end zone',
+    '2 4 9',
+    'end geom'
+  )
+);
+
+// A scene that already has a box1, a cylinder1 and a zone named "wall"
+const scene = {
+  ...Object.fromEntries(BODY_TYPES.map(({ sceneKey }) => [sceneKey, {}])),
+  boxParams: {
+    box1: { width: 1, height: 1, depth: 1, position: [20, 0, 0], rotation: [0, 0, 0], materialType: 'concrete' },
+  },
+  cylinderParams: {
+    cylinder1: {
+      radiusTop: 1,
+      radiusBottom: 1,
+      height: 2,
+      position: [0, 0, 0],
+      rotation: [0, 0, 0],
+      materialType: 'concrete',
+    },
+  },
+  groups: {},
+  zones: [{ id: 'zone1', name: 'wall', materialType: 'concrete', terms: [[{ bodyId: 'box1', sign: '+' }]] }],
+  materials: DEFAULT_MATERIALS,
+  units: DEFAULT_UNITS,
+  world: DEFAULT_WORLD,
+  allowedOverlaps: [['box1', 'cylinder1']],
+};
+
+const noTransform = { unit: 'cm', translation: [0, 0, 0], rotation: [0, 0, 0] };
+
+test('a replacing import numbers the bodies from 1 and drops the old scene', () => {
+  const result = importQads(scene, parsed, { ...noTransform, mode: 'replace' });
+  expect(result.bodyIdsByNumber).toEqual({ 1: 'box1', 2: 'cylinder1', 3: 'sphere1' });
+  expect(Object.keys(result.scene.boxParams)).toEqual(['box1']);
+  expect(result.scene.boxParams.box1.position).toEqual([0, 0, 0]);
+  expect(result.scene.zones.map(({ id, name }) => [id, name])).toEqual([
+    ['zone1', 'wall'],
+    ['zone2', 'hole'],
+  ]);
+  expect(result.scene.allowedOverlaps).toEqual([]);
+});
+
+test('a merging import gives bodies with colliding ids the next free ids', () => {
+  const result = importQads(scene, parsed, { ...noTransform, mode: 'merge' });
+  expect(result.bodyIdsByNumber).toEqual({ 1: 'box2', 2: 'cylinder2', 3: 'sphere1' });
+  expect(result.bodyTypesById).toEqual({ box2: 'box', cylinder2: 'cylinder', sphere1: 'sphere' });
+  // The existing bodies are kept as they were
+  expect(result.scene.boxParams.box1).toBe(scene.boxParams.box1);
+  expect(result.scene.cylinderParams.cylinder1).toBe(scene.cylinderParams.cylinder1);
+  expect(Object.keys(result.scene.boxParams)).toEqual(['box1', 'box2']);
+  expect(Object.keys(result.scene.cylinderParams)).toEqual(['cylinder1', 'cylinder2']);
+  expect(result.scene.allowedOverlaps).toEqual(scene.allowedOverlaps);
+});
+
+test('merged zones refer to the renumbered bodies and get unused ids and names', () => {
+  const { scene: merged } = importQads(scene, parsed, { ...noTransform, mode: 'merge' });
+  expect(merged.zones[0]).toBe(scene.zones[0]);
+  expect(merged.zones.slice(1)).toEqual([
+    {
+      id: 'zone2',
+      name: 'wall_',
+      materialType: 'steel',
+      terms: [[{ bodyId: 'box2', sign: '+' }, { bodyId: 'cylinder2', sign: '-' }]],
+    },
+    { id: 'zone3', name: 'hole', materialType: 'standard', terms: [[{ bodyId: 'cylinder2', sign: '+' }]] },
+  ]);
+  // The ball zone is implied by its body, which takes the zone's material. Material 9 is not in the library.
+  expect(merged.materials.map(({ index }) => index)).toEqual([1, 2, 3, 4, 5, 9]);
+  expect(merged.sphereParams.sphere1.materialType).toBe(merged.materials[5].id);
+  expect(merged.boxParams.box2.materialType).toBe('steel');
+});
+
+test('merged bodies are converted from the file unit, rotated about the origin and then translated', () => {
+  const { scene: merged } = importQads(scene, parsed, {
+    mode: 'merge',
+    unit: 'mm',
+    translation: [0, 10, 0],
+    rotation: [0, 0, 0.5],
+  });
+  const { position, radius } = merged.sphereParams.sphere1;
+  expect(radius).toBeCloseTo(0.1);
+  // (0.5, 0, 0) turned a quarter turn about Z is (0, 0.5, 0)
+  [0, 10.5, 0].forEach((v, i) => expect(position[i]).toBeCloseTo(v));
+});
+
+test('only collisions between imported and existing bodies are reported', () => {
+  const { newParamsByType } = importQads(scene, parsed, { ...noTransform, mode: 'merge' });
+  // The imported wall also overlaps the imported hole, which does not count
+  const collisions = getImportCollisions(scene, newParamsByType).map((pair) => [...pair].sort());
+  expect(collisions).toEqual([['box2', 'cylinder1']]);
+});
@@ -0,0 +1,368 @@
+// qadsParser.js
+import { directionToEuler, eulerFromAxes, add, sub, scale, length, dot, cross } from './geometry';
+import { checkArb, getArbFaceVertices } from './bodies';
+
+// Number of values after the body number, per body type. hex is another name for rhp.
+const BODY_VALUE_COUNTS = { rcc: 7, trc: 8, sph: 4, rpp: 6, box: 12, ell: 7, wed: 12, rhp: 15, hex: 15, rec: 12, arb: 30 };
+
+// Relative tolerance for box edges to count as perpendicular (files are written with 6 decimals)
+const PERPENDICULAR_TOLERANCE = 1e-4;
+
+// Helper: Whether each pair of the given vectors is perpendicular, within the tolerance
+const arePerpendicular = (vectors) =>
+  vectors.every((a, i) =>
+    vectors.slice(i + 1).every((b) => Math.abs(dot(a, b)) <= PERPENDICULAR_TOLERANCE * length(a) * length(b))
+  );
+
+// Helper: Rotation (in multiples of π) of a body whose local X and Y axes point along the given vectors
+const rotationFromAxes = (xAxis, yAxis) => eulerFromAxes(xAxis, yAxis, cross(xAxis, yAxis)).map((v) => v / Math.PI);
+
+// Helper: Scene params of a body from the values after its body number. Returns { type, params } or { error }.
+function bodyFromValues(keyword, values) {
+  if (keyword === 'ell') {
+    // Two foci and the length of the major axis
+    const focus1 = values.slice(0, 3);
+    const focus2 = values.slice(3, 6);
+    const majorRadius = values[6] / 2;
+    const focalDistance = length(sub(focus2, focus1)) / 2;
+    if (majorRadius <= focalDistance) {
+      return { error: 'major axis must be longer than the distance between the foci' };
+    }
+    return {
+      type: 'ellipsoid',
+      params: {
+        majorRadius,
+        minorRadius: Math.sqrt(majorRadius ** 2 - focalDistance ** 2),
+        rotation: focalDistance > 0 ? directionToEuler(sub(focus2, focus1)).map((v) => v / Math.PI) : [0, 0, 0],
+        position: scale(add(focus1, focus2), 0.5),
+      },
+    };
+  }
+  if (keyword === 'rhp' || keyword === 'hex') {
+    // Base, axis, and vectors from the axis to three adjacent side faces, 60° apart
+    const base = values.slice(0, 3);
+    const axis = values.slice(3, 6);
+    const [face1, face2, face3] = [values.slice(6, 9), values.slice(9, 12), values.slice(12, 15)];
+    const apothem = length(face1);
+    if (length(axis) === 0 || apothem === 0) {
+      return { error: 'axis and side face vectors must not be zero' };
+    }
+    const tolerance = PERPENDICULAR_TOLERANCE * apothem;
+    const isRegular =
+      arePerpendicular([axis, face1]) &&
+      arePerpendicular([axis, face2]) &&
+      Math.abs(length(face2) - apothem) <= tolerance &&
+      length(sub(face3, sub(face2, face1))) <= tolerance;
+    if (!isRegular) {
+      return { error: 'only regular hexagonal prisms are supported' };
+    }
+    return {
+      type: 'hexPrism',
+      params: {
+        apothem,
+        height: length(axis),
+        rotation: rotationFromAxes(face1, axis),
+        position: add(base, scale(axis, 0.5)),
+      },
+    };
+  }
+  if (keyword === 'rec') {
+    // Base, axis, and the two semi-axis vectors of the elliptic cross section
+    const base = values.slice(0, 3);
+    const axis = values.slice(3, 6);
+    const semiAxis1 = values.slice(6, 9);
+    const semiAxis2 = values.slice(9, 12);
+    if ([axis, semiAxis1, semiAxis2].some((vector) => length(vector) === 0)) {
+      return { error: 'axis and semi-axis vectors must not be zero' };
+    }
+    if (!arePerpendicular([axis, semiAxis1, semiAxis2])) {
+      return { error: 'axis and semi-axis vectors must be perpendicular' };
+    }
+    return {
+      type: 'ellipticCylinder',
+      params: {
+        radiusX: length(semiAxis1),
+        radiusZ: length(semiAxis2),
+        height: length(axis),
+        rotation: rotationFromAxes(semiAxis1, axis),
+        position: add(base, scale(axis, 0.5)),
+      },
+    };
+  }
+  if (keyword === 'arb') {
+    // Eight vertices and six face numbers; the body is placed at the center of the vertices it uses
+    const vertices = Array.from({ length: 8 }, (_, i) => values.slice(3 * i, 3 * i + 3));
+    const faces = values.slice(24, 30);
+    if (faces.some((face) => !Number.isInteger(face) || face < 0)) {
+      return { error: 'face numbers must be whole numbers' };
+    }
+    const problem = checkArb(vertices, faces);
+    if (problem) {
+      return { error: problem };
+    }
+    const used = [...new Set(faces.flatMap(getArbFaceVertices))];
+    const center = scale(used.reduce((sum, number) => add(sum, vertices[number - 1]), [0, 0, 0]), 1 / used.length);
+    return {
+      type: 'arb',
+      params: { vertices: vertices.map((vertex) => sub(vertex, center)), faces, rotation: [0, 0, 0], position: center },
+    };
+  }
+  if (keyword === 'rcc' || keyword === 'trc') {
+    const base = values.slice(0, 3);
+    const axis = values.slice(3, 6);
+    const radiusBottom = values[6];
+    const radiusTop = keyword === 'trc' ? values[7] : radiusBottom;
+    const height = length(axis);
+    if (height === 0) {
+      return { error: 'axis vector has zero length' };
+    }
+    if (radiusBottom < 0 || radiusTop < 0 || radiusBottom + radiusTop === 0) {
+      return { error: 'radius must be positive' };
+    }
+    return {
+      type: 'cylinder',
+      params: {
+        radiusTop,
+        radiusBottom,
+        height,
+        // Rotation whose eulerToDirection is exactly the axis in the file
+        rotation: directionToEuler(axis).map((v) => v / Math.PI),
+        position: add(base, scale(axis, 0.5)),
+      },
+    };
+  }
+  if (keyword === 'sph') {
+    if (values[3] <= 0) {
+      return { error: 'radius must be positive' };
+    }
+    return { type: 'sphere', params: { radius: values[3], position: values.slice(0, 3) } };
+  }
+  if (keyword === 'rpp') {
+    const [xMin, xMax, yMin, yMax, zMin, zMax] = values;
+    if (xMax <= xMin || yMax <= yMin || zMax <= zMin) {
+      return { error: 'each maximum must be greater than its minimum' };
+    }
+    return {
+      type: 'box',
+      params: {
+        width: xMax - xMin,
+        height: yMax - yMin,
+        depth: zMax - zMin,
+        rotation: [0, 0, 0],
+        position: [(xMin + xMax) / 2, (yMin + yMax) / 2, (zMin + zMax) / 2],
+      },
+    };
+  }
+  // box: a corner and three edge vectors; wed: the right-angle corner, its two legs and the extrusion
+  let corner = values.slice(0, 3);
+  const edgeX = values.slice(3, 6);
+  const edgeY = values.slice(6, 9);
+  let edgeZ = values.slice(9, 12);
+  const edges = [edgeX, edgeY, edgeZ];
+  if (edges.some((edge) => length(edge) === 0)) {
+    return { error: 'edge vectors must not be zero' };
+  }
+  if (!arePerpendicular(edges)) {
+    return { error: 'edge vectors must be perpendicular' };
+  }
+  // A left-handed set of edges describes the same body extruded from the opposite end
+  if (dot(cross(edgeX, edgeY), edgeZ) < 0) {
+    corner = add(corner, edgeZ);
+    edgeZ = scale(edgeZ, -1);
+  }
+  return {
+    type: keyword === 'wed' ? 'wedge' : 'box',
+    params: {
+      width: length(edgeX),
+      height: length(edgeY),
+      depth: length(edgeZ),
+      rotation: eulerFromAxes(edgeX, edgeY, edgeZ).map((v) => v / Math.PI),
+      position: add(corner, scale(add(add(edgeX, edgeY), edgeZ), 0.5)),
+    },
+  };
+}
+
+// Helper: Whether a token is a whole number, optionally signed
+const isInteger = (token) => /^[+-]?\d+$/.test(token);
+
+// Parse a QADS geometry file and validate its structure. Returns
+//   bodies:   [{ type, number, name, params, material, line }] with scene params (no materialType)
+//   zones:    [{ name, expression, material, line }] where expression holds the body tokens ("1 -2 or 3")
+//   errors:   [{ line, message }] for content that cannot be imported; the offending line is skipped
+//   warnings: [{ line, message }] for content that is imported with assumptions
+//   units:    the length unit named in a "# units:" comment, or null
+// material is the material number from the material list, or null. Older files list one material
+// per body instead of per zone; those numbers are put on the bodies. line is 1-based, or null for the whole file.
+export function parseQads(text) {
+  const bodies = [];
+  const zones = [];
+  const materials = [];
+  const errors = [];
+  const warnings = [];
+  const error = (line, message) => errors.push({ line, message });
+  const warn = (line, message) => warnings.push({ line, message });
+
+  let section = 'body';
+  let pendingName = null;
+  let materialLine = null;
+  let units = null;
+  const seen = { body: false, zone: false, geom: false };
+
+  text.split(/\r?\n/).forEach((rawLine, i) => {
+    const lineNumber = i + 1;
+    const line = rawLine.trim();
+    if (!line) {
+      return;
+    }
+    if (line.startsWith('#')) {
+      // Comment; "# name: ..." names the body on the next line, "# units: ..." gives the length unit
+      const nameMatch = line.match(/^#\s*name:\s*(.+)$/);
+      const unitsMatch = line.match(/^#\s*units:\s*(\S+)\s*$/);
+      if (nameMatch) {
+        pendingName = nameMatch[1].trim();
+      } else if (unitsMatch) {
+        units = unitsMatch[1];
+      }
+      return;
+    }
+    const name = pendingName;
+    pendingName = null;
+    const tokens = line.split(/\s+/);
+    const keyword = tokens[0].toLowerCase();
+
+    if (keyword === 'end') {
+      const which = (tokens[1] || '').toLowerCase();
+      const expected = { body: 'body', zone: 'zone', material: 'geom' }[section];
+      if (!['body', 'zone', 'geom'].includes(which)) {
+        error(lineNumber, `Unknown section end "${line}"`);
+      } else if (section === 'done') {
+        warn(lineNumber, `"${line}" after "end geom" is ignored`);
+      } else if (which !== expected) {
+        error(lineNumber, `Expected "end ${expected}" before "${line}"`);
+      } else {
+        seen[which] = true;
+        section = { body: 'zone', zone: 'material', geom: 'done' }[which];
+      }
+      return;
+    }
+
+    if (section === 'done') {
+      warn(lineNumber, 'Content after "end geom" is ignored');
+    } else if (section === 'body') {
+      if (!BODY_VALUE_COUNTS[keyword]) {
+        error(lineNumber, `Unknown body type "${tokens[0]}"`);
+        return;
+      }
+      const count = BODY_VALUE_COUNTS[keyword];
+      if (!isInteger(tokens[1] || '') || parseInt(tokens[1], 10) <= 0) {
+        error(lineNumber, `${keyword}: body number "${tokens[1] || ''}" must be a positive whole number`);
+        return;
+      }
+      const number = parseInt(tokens[1], 10);
+      const valueTokens = tokens.slice(2);
+      if (valueTokens.length < count) {
+        error(lineNumber, `${keyword}: expected ${count} values after the body number, found ${valueTokens.length}`);
+        return;
+      }
+      const badToken = valueTokens.slice(0, count).find((token) => !Number.isFinite(Number(token)));
+      if (badToken !== undefined) {
+        error(lineNumber, `${keyword}: "${badToken}" is not a number`);
+        return;
+      }
+      if (valueTokens.length > count) {
+        warn(lineNumber, `${keyword}: ${valueTokens.length - count} extra value(s) ignored`);
+      }
+      const body = bodyFromValues(keyword, valueTokens.slice(0, count).map(Number));
+      if (body.error) {
+        error(lineNumber, `${keyword}: ${body.error}`);
+        return;
+      }
+      if (bodies.some((other) => other.number === number)) {
+        error(lineNumber, `Body number ${number} is used more than once`);
+        return;
+      }
+      bodies.push({ type: body.type, number, name, params: body.params, material: null, line: lineNumber });
+    } else if (section === 'zone') {
+      const [zoneName, naz, ...expression] = tokens;
+      if (expression.length === 0) {
+        error(lineNumber, `Zone "${zoneName}" has no bodies`);
+        return;
+      }
+      if (!isInteger(naz)) {
+        warn(lineNumber, `Zone "${zoneName}": neighbour count "${naz}" is not a whole number`);
+      }
+      const badToken = expression.find((token) => token.toLowerCase() !== 'or' && (!isInteger(token) || parseInt(token, 10) === 0));
+      if (badToken !== undefined) {
+        error(lineNumber, `Zone "${zoneName}": "${badToken}" is not a body number`);
+        return;
+      }
+      const undefinedBody = expression.find(
+        (token) => isInteger(token) && !bodies.some(({ number }) => number === Math.abs(parseInt(token, 10)))
+      );
+      if (undefinedBody !== undefined) {
+        error(lineNumber, `Zone "${zoneName}" refers to undefined body ${Math.abs(parseInt(undefinedBody, 10))}`);
+        return;
+      }
+      const groups = [[]];
+      for (const token of expression) {
+        if (token.toLowerCase() === 'or') {
+          groups.push([]);
+        } else {
+          groups[groups.length - 1].push(parseInt(token, 10));
+        }
+      }
+      if (groups.some((group) => group.length === 0)) {
+        error(lineNumber, `Zone "${zoneName}": each side of "or" needs at least one body`);
+        return;
+      }
+      if (groups.some((group) => !group.some((number) => number > 0))) {
+        error(lineNumber, `Zone "${zoneName}": each group needs at least one body it is inside of`);
+        return;
+      }
+      if (zones.some((zone) => zone.name === zoneName)) {
+        warn(lineNumber, `Zone name "${zoneName}" is used more than once`);
+      }
+      zones.push({ name: zoneName, expression, material: null, line: lineNumber });
+    } else {
+      const badToken = tokens.find((token) => !/^\d+$/.test(token));
+      if (badToken !== undefined) {
+        error(lineNumber, `Material list: "${badToken}" is not a material number`);
+        return;
+      }
+      materialLine = materialLine ?? lineNumber;
+      materials.push(...tokens.map(Number));
+    }
+  });
+
+  if (bodies.length === 0 && errors.length === 0) {
+    error(null, 'No bodies found');
+  }
+  if (!seen.body) {
+    error(null, 'Missing "end body"');
+  } else if (!seen.zone) {
+    error(null, 'Missing "end zone"');
+  } else if (!seen.geom) {
+    warn(null, 'Missing "end geom"');
+  }
+
+  if (materials.length === zones.length && zones.length > 0) {
+    zones.forEach((zone, i) => {
+      zone.material = materials[i];
+    });
+  } else if (materials.length === bodies.length && materials.length > 0) {
+    warn(materialLine, 'Material list has one entry per body (older format); bodies get these materials');
+    bodies.forEach((body, i) => {
+      body.material = materials[i];
+    });
+  } else if (materials.length > 0 || zones.length > 0) {
+    warn(
+      materialLine,
+      `Material list has ${materials.length} entries for ${zones.length} zones; zones without an entry get the default material`
+    );
+    zones.forEach((zone, i) => {
+      zone.material = materials[i] ?? null;
+    });
+  }
+
+  return { bodies, zones, errors, warnings, units };
+}
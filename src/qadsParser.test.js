@@ -0,0 +1,111 @@
+import { parseQads } from './qadsParser';
+
+const file = (...lines) => lines.join('\n');
+
+test('an exported file parses without problems', () => {
+  const { bodies, zones, errors, warnings } = parseQads(
+    file(
+      '# name: Wall',
+      'rpp 1 -1.000000 1.000000 -2.000000 2.000000 -0.500000 0.500000',
+      'rcc 2 0.000000 -1.000000 0.000000 0.000000 2.000000 0.000000 0.500000',
+      'sph 3 5.000000 0.000000 0.000000 1.000000',
+      'end body',
+      'wall 1 1 -2',
+      'hole 1 2',
+      'zn3 1 3',
+      'end zone',
+      '1 4 2 ',
+      'end geom'
+    )
+  );
+  expect(errors).toEqual([]);
+  expect(warnings).toEqual([]);
+  expect(bodies.map(({ type, number, name }) => [type, number, name])).toEqual([
+    ['box', 1, 'Wall'],
+    ['cylinder', 2, null],
+    ['sphere', 3, null],
+  ]);
+  expect(bodies[0].params).toMatchObject({ width: 2, height: 4, depth: 1, position: [0, 0, 0] });
+  expect(bodies[1].params).toMatchObject({ height: 2, radiusTop: 0.5, position: [0, 0, 0] });
+  expect(zones.map(({ name, expression, material }) => [name, expression.join(' '), material])).toEqual([
+    ['wall', '1 -2', 1],
+    ['hole', '2', 4],
+    ['zn3', '3', 2],
+  ]);
+});
+
+test('bad lines are reported with their line number and skipped', () => {
+  const { bodies, zones, errors } = parseQads(
+    file(
+      'sph 1 0 0 0 1',
+      'sph 2 0 0 x 1',
+      'rcc 3 0 0 0 0 1 0',
+      'tor 4 0 0 0 1 1 1 2',
+      'sph 1 3 0 0 1',
+      'end body',
+      'a 1 1 -7',
+      'b 1 -1',
+      'end zone',
+      '1',
+      'end geom'
+    )
+  );
+  expect(bodies).toHaveLength(1);
+  expect(zones).toHaveLength(0);
+  expect(errors).toEqual([
+    { line: 2, message: 'sph: "x" is not a number' },
+    { line: 3, message: 'rcc: expected 7 values after the body number, found 6' },
+    { line: 4, message: 'Unknown body type "tor"' },
+    { line: 5, message: 'Body number 1 is used more than once' },
+    { line: 7, message: 'Zone "a" refers to undefined body 7' },
+    { line: 8, message: 'Zone "b": each group needs at least one body it is inside of' },
+  ]);
+});
+
+test('missing sections are errors, a missing end geom is a warning', () => {
+  expect(parseQads('sph 1 0 0 0 1').errors).toContainEqual({ line: null, message: 'Missing "end body"' });
+  expect(parseQads(file('sph 1 0 0 0 1', 'end body', 'z 1 1')).errors).toContainEqual({
+    line: null,
+    message: 'Missing "end zone"',
+  });
+  const { errors, warnings } = parseQads(file('sph 1 0 0 0 1', 'end body', 'z 1 1', 'end zone', '2'));
+  expect(errors).toEqual([]);
+  expect(warnings).toEqual([{ line: null, message: 'Missing "end geom"' }]);
+});
+
+test('material lists that do not match the zones are reported', () => {
+  const perBody = parseQads(
+    file('sph 1 0 0 0 1', 'sph 2 5 0 0 1', 'end body', 'z 1 1 or 2', 'end zone', '3 2', 'end geom')
+  );
+  expect(perBody.bodies.map(({ material }) => material)).toEqual([3, 2]);
+  expect(perBody.warnings[0].line).toBe(6);
+
+  const short = parseQads(file('sph 1 0 0 0 1', 'end body', 'a 1 1', 'b 1 -1 1', 'end zone', 'end geom'));
+  expect(short.zones.map(({ material }) => material)).toEqual([null, null]);
+  expect(short.warnings[0].message).toMatch('0 entries for 2 zones');
+});
+
+test('ellipsoids, wedges, hexagonal prisms, elliptic cylinders and arbs are read', () => {
+  const { bodies, errors } = parseQads(
+    file(
+      'ell 1 0 -1 0 0 1 0 4',
+      'wed 2 0 0 0 2 0 0 0 3 0 0 0 -4',
+      'hex 3 0 0 0 0 2 0 1 0 0 0.5 0 0.866025 -0.5 0 0.866025',
+      'rec 4 0 0 0 0 0 3 2 0 0 0 1 0',
+      'arb 5 0 0 0 1 0 0 0 1 0 0 0 1 0 0 0 0 0 0 0 0 0 0 0 0 1230 1240 1340 2340 0 0',
+      'rhp 6 0 0 0 0 2 0 1 0 0 0.5 0 0.5 -0.5 0 0.866025',
+      'end body',
+      'end zone',
+      'end geom'
+    )
+  );
+  expect(bodies.map(({ type }) => type)).toEqual(['ellipsoid', 'wedge', 'hexPrism', 'ellipticCylinder', 'arb']);
+  expect(bodies[0].params).toMatchObject({ majorRadius: 2, position: [0, 0, 0] });
+  expect(bodies[0].params.minorRadius).toBeCloseTo(Math.sqrt(3), 12);
+  // The left-handed wedge is extruded from its other end
+  expect(bodies[1].params).toMatchObject({ width: 2, height: 3, depth: 4, position: [1, 1.5, -2] });
+  expect(bodies[2].params).toMatchObject({ apothem: 1, height: 2, position: [0, 1, 0] });
+  expect(bodies[3].params).toMatchObject({ radiusX: 2, radiusZ: 1, height: 3, position: [0, 0, 1.5] });
+  expect(bodies[4].params.position).toEqual([0.25, 0.25, 0.25]);
+  expect(errors).toEqual([{ line: 6, message: 'rhp: only regular hexagonal prisms are supported' }]);
+});
@@ -0,0 +1,184 @@
+// rayTrace.js
+import { add, sub, scale, dot, length, normalize, rotateVector } from './geometry';
+import { getShapePlanes } from './bodies';
+import { findZone } from './zones';
+import { toCsv } from './csv';
+
+// Line-of-sight tracing: where a straight ray from a start to an end point enters and leaves each body,
+// computed from the body params (roots of the quadric surfaces and crossings of the face planes), not
+// from the rendered meshes. Distances are measured from the start point, in the units of the params.
+
+// Helper: Roots of a t² + b t + c = 0 (one root when a is zero)
+function solveQuadratic(a, b, c) {
+  if (Math.abs(a) < 1e-12) {
+    return Math.abs(b) < 1e-12 ? [] : [-c / b];
+  }
+  const discriminant = b * b - 4 * a * c;
+  if (discriminant < 0) {
+    return [];
+  }
+  const root = Math.sqrt(discriminant);
+  return [(-b - root) / (2 * a), (-b + root) / (2 * a)];
+}
+
+// Helper: Parameter where the line o + t d crosses the plane dot(normal, p) = offset, if it does
+function planeCrossing(normal, offset, o, d) {
+  const rate = dot(normal, d);
+  return Math.abs(rate) < 1e-12 ? [] : [(offset - dot(normal, o)) / rate];
+}
+
+// Helper: Inside test and boundary crossings of a body in its local frame: inside(p) tells whether a point
+// is in the body, crossings(o, d) lists every t where the line o + t d meets one of its surfaces
+function getLocalSolid(type, params) {
+  if (type === 'sphere' || type === 'ellipsoid') {
+    const semiAxes =
+      type === 'sphere'
+        ? [params.radius, params.radius, params.radius]
+        : [params.minorRadius, params.majorRadius, params.minorRadius];
+    const unit = (v) => v.map((x, i) => x / semiAxes[i]);
+    return {
+      inside: (p) => dot(unit(p), unit(p)) <= 1,
+      crossings: (o, d) => solveQuadratic(dot(unit(d), unit(d)), 2 * dot(unit(o), unit(d)), dot(unit(o), unit(o)) - 1),
+    };
+  }
+  if (type === 'cylinder' || type === 'ellipticCylinder') {
+    // Along local Y between the caps; the radius changes linearly from bottom to top for a truncated cone
+    const half = params.height / 2;
+    const [radiusX, radiusZ, slope, middle] =
+      type === 'cylinder'
+        ? [1, 1, (params.radiusTop - params.radiusBottom) / params.height, (params.radiusTop + params.radiusBottom) / 2]
+        : [params.radiusX, params.radiusZ, 0, 1];
+    const radiusAt = (y) => middle + slope * y;
+    return {
+      inside: ([x, y, z]) =>
+        Math.abs(y) <= half && radiusAt(y) >= 0 && (x / radiusX) ** 2 + (z / radiusZ) ** 2 <= radiusAt(y) ** 2,
+      crossings: ([ox, oy, oz], [dx, dy, dz]) => {
+        const [px, pz, qx, qz] = [ox / radiusX, oz / radiusZ, dx / radiusX, dz / radiusZ];
+        const [r0, r1] = [radiusAt(oy), slope * dy];
+        return [
+          ...solveQuadratic(qx * qx + qz * qz - r1 * r1, 2 * (px * qx + pz * qz - r0 * r1), px * px + pz * pz - r0 * r0),
+          ...planeCrossing([0, 1, 0], half, [ox, oy, oz], [dx, dy, dz]),
+          ...planeCrossing([0, 1, 0], -half, [ox, oy, oz], [dx, dy, dz]),
+        ];
+      },
+    };
+  }
+  const planes =
+    type === 'box'
+      ? [[1, 0, 0], [0, 1, 0], [0, 0, 1]].flatMap((axis, i) => {
+          const half = [params.width, params.height, params.depth][i] / 2;
+          return [{ normal: axis, offset: half }, { normal: scale(axis, -1), offset: half }];
+        })
+      : getShapePlanes(type, params);
+  return {
+    inside: (p) => planes.every(({ normal, offset }) => dot(normal, p) <= offset + 1e-9),
+    crossings: (o, d) => planes.flatMap(({ normal, offset }) => planeCrossing(normal, offset, o, d)),
+  };
+}
+
+// Helper: Function taking a world direction to the local frame of a body (rotation stored in multiples of π)
+function getToLocal(params) {
+  const rotation = (params.rotation || [0, 0, 0]).map((v) => v * Math.PI);
+  const axes = [[1, 0, 0], [0, 1, 0], [0, 0, 1]].map((axis) => rotateVector(axis, rotation));
+  return (v) => axes.map((axis) => dot(axis, v));
+}
+
+// Helper: Test of whether a world point is inside a body (params in world coordinates). Built once per
+// body, for callers that test many points.
+export function getContainsPoint(type, params) {
+  const toLocal = getToLocal(params);
+  const { inside } = getLocalSolid(type, params);
+  return (point) => inside(toLocal(sub(point, params.position)));
+}
+
+// Helper: [entry, exit] distances of the part of the segment from start to end inside a body (params in world
+// coordinates), or null when the segment misses it. All bodies are convex, so there is at most one part.
+export function intersectSegment(type, params, start, end) {
+  const total = length(sub(end, start));
+  if (total === 0) {
+    return null;
+  }
+  const toLocal = getToLocal(params);
+  const origin = toLocal(sub(start, params.position));
+  const direction = toLocal(normalize(sub(end, start)));
+  const { inside, crossings } = getLocalSolid(type, params);
+
+  // Between two neighbouring crossings the segment is either inside or outside the body throughout
+  const ts = [0, total, ...crossings(origin, direction).filter((t) => t > 0 && t < total)].sort((a, b) => a - b);
+  let entry = null;
+  let exit = null;
+  for (let i = 0; i + 1 < ts.length; i++) {
+    const middle = (ts[i] + ts[i + 1]) / 2;
+    if (ts[i + 1] - ts[i] > 1e-12 && inside(add(origin, scale(direction, middle)))) {
+      entry = entry ?? ts[i];
+      exit = ts[i + 1];
+    }
+  }
+  return entry === null ? null : [entry, exit];
+}
+
+// Trace the segment from start to end through the bodies ([{ type, id, params }] in world coordinates) and
+// the zones ([{ name, materialType, terms }] as exported). Returns
+//   length:    length of the segment
+//   crossings: [{ id, type, name, entry, exit, length }] for each body the segment passes through, by entry
+//   segments:  [{ from, to, zone }] pieces between body surfaces, with the first zone they are in (or null)
+//   materials: [{ materialType, length }] path length per material of the zones, in order of appearance;
+//              materialType is null for the parts that are in no zone
+export function traceRay(bodies, zones, start, end) {
+  const total = length(sub(end, start));
+  const crossings = bodies
+    .map(({ type, id, params }) => {
+      const interval = intersectSegment(type, params, start, end);
+      return interval && { id, type, name: params.name || null, entry: interval[0], exit: interval[1] };
+    })
+    .filter(Boolean)
+    .map((crossing) => ({ ...crossing, length: crossing.exit - crossing.entry }))
+    .sort((a, b) => a.entry - b.entry);
+
+  const intervals = Object.fromEntries(crossings.map(({ id, entry, exit }) => [id, [entry, exit]]));
+  const isInside = (bodyId, t) => Boolean(intervals[bodyId]) && intervals[bodyId][0] <= t && t <= intervals[bodyId][1];
+  const zoneAt = (t) => findZone(zones, (bodyId) => isInside(bodyId, t));
+
+  const ts = [...new Set([0, total, ...crossings.flatMap(({ entry, exit }) => [entry, exit])])].sort((a, b) => a - b);
+  const segments = [];
+  for (let i = 0; i + 1 < ts.length; i++) {
+    if (ts[i + 1] - ts[i] > 1e-12) {
+      segments.push({ from: ts[i], to: ts[i + 1], zone: zoneAt((ts[i] + ts[i + 1]) / 2) });
+    }
+  }
+
+  const materials = [];
+  for (const { from, to, zone } of segments) {
+    const materialType = zone ? zone.materialType : null;
+    const entry = materials.find((material) => material.materialType === materialType);
+    if (entry) {
+      entry.length += to - from;
+    } else {
+      materials.push({ materialType, length: to - from });
+    }
+  }
+  return { length: total, crossings, segments, materials };
+}
+
+// Helper: CSV file of a ray report. label(crossing) names the body of a crossing, materialName(materialType)
+// a material, and format(length) writes a distance in the unit named by unit.
+export function rayReportToCsv(report, start, end, { label, materialName, format, unit }) {
+  const rows = [
+    ['start', ...start.map(format)],
+    ['end', ...end.map(format)],
+    ['length', format(report.length)],
+    ['unit', unit],
+    [],
+    ['body', 'entry', 'exit', 'path length'],
+    ...report.crossings.map((crossing) => [
+      label(crossing),
+      format(crossing.entry),
+      format(crossing.exit),
+      format(crossing.length),
+    ]),
+    [],
+    ['material', 'path length'],
+    ...report.materials.map(({ materialType, length: pathLength }) => [materialName(materialType), format(pathLength)]),
+  ];
+  return toCsv(rows);
+}
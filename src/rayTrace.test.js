@@ -0,0 +1,68 @@
+import { intersectSegment, traceRay, rayReportToCsv } from './rayTrace';
+import { DEFAULT_SHAPE_PARAMS } from './bodies';
+
+const box = { width: 2, height: 4, depth: 2, rotation: [0, 0, 0], position: [0, 0, 0] };
+const sphere = { radius: 1, position: [5, 0, 0] };
+const cone = { radiusTop: 0, radiusBottom: 2, height: 4, rotation: [0, 0, 0.5], position: [0, 0, 0] };
+
+test('entry and exit follow from the body params', () => {
+  expect(intersectSegment('box', box, [-5, 0, 0], [10, 0, 0])).toEqual([4, 6]);
+  const [entry, exit] = intersectSegment('sphere', sphere, [-5, 0.6, 0], [10, 0.6, 0]);
+  expect(entry).toBeCloseTo(9.2, 12);
+  expect(exit).toBeCloseTo(10.8, 12);
+  expect(intersectSegment('sphere', sphere, [-5, 1.5, 0], [10, 1.5, 0])).toBeNull();
+  // A segment that starts inside a body enters it at 0, one that ends inside leaves it at its length
+  expect(intersectSegment('box', box, [0, 0, 0], [0, 10, 0])).toEqual([0, 2]);
+  expect(intersectSegment('box', box, [0, -10, 0], [0, 1, 0])).toEqual([8, 11]);
+});
+
+test('rotated cones and polyhedral shapes are traced in their local frame', () => {
+  // Rotated by π/2 about Z the cone's apex points along -X, its base circle at x = 2
+  const [entry, exit] = intersectSegment('cylinder', cone, [-5, 0.5, 0], [5, 0.5, 0]);
+  expect(entry).toBeCloseTo(4, 12);
+  expect(exit).toBeCloseTo(7, 12);
+  const wedge = { ...DEFAULT_SHAPE_PARAMS.wedge, rotation: [0, 0, 0], position: [0, 0, 0] };
+  // The hypotenuse face of the default wedge passes through its center
+  const [wedgeEntry, wedgeExit] = intersectSegment('wedge', wedge, [-5, 0, 0], [5, 0, 0]);
+  expect(wedgeEntry).toBeCloseTo(4, 12);
+  expect(wedgeExit).toBeCloseTo(5, 12);
+});
+
+test('path lengths are summed per material of the zones, the gaps have no zone', () => {
+  const bodies = [
+    { type: 'box', id: 'box1', params: { ...box, name: 'wall' } },
+    { type: 'sphere', id: 'sphere1', params: sphere },
+    { type: 'box', id: 'box2', params: { ...box, width: 1, height: 1, depth: 1 } },
+  ];
+  const zones = [
+    { name: 'hole', materialType: 'air', terms: [[{ bodyId: 'box2', sign: '+' }]] },
+    { name: 'wall', materialType: 'concrete', terms: [[{ bodyId: 'box1', sign: '+' }, { bodyId: 'box2', sign: '-' }]] },
+    { name: 'ball', materialType: 'concrete', terms: [[{ bodyId: 'sphere1', sign: '+' }]] },
+  ];
+  const report = traceRay(bodies, zones, [-5, 0, 0], [10, 0, 0]);
+  expect(report.length).toBe(15);
+  expect(report.crossings.map(({ id, name, length }) => [id, name, length])).toEqual([
+    ['box1', 'wall', 2],
+    ['box2', null, 1],
+    ['sphere1', null, 2],
+  ]);
+  expect(report.materials).toEqual([
+    { materialType: null, length: 11 },
+    { materialType: 'concrete', length: 3 },
+    { materialType: 'air', length: 1 },
+  ]);
+});
+
+test('the CSV report lists the crossings and the material totals', () => {
+  const report = traceRay([{ type: 'box', id: 'box1', params: box }], [], [-5, 0, 0], [5, 0, 0]);
+  const csv = rayReportToCsv(report, [-5, 0, 0], [5, 0, 0], {
+    label: () => 'wall, north',
+    materialName: (materialType) => materialType || 'none',
+    format: (value) => value.toFixed(1),
+    unit: 'cm',
+  });
+  expect(csv).toBe(
+    'start,-5.0,0.0,0.0\nend,5.0,0.0,0.0\nlength,10.0\nunit,cm\n\n' +
+      'body,entry,exit,path length\n"wall, north",4.0,6.0,2.0\n\nmaterial,path length\nnone,10.0\n'
+  );
+});
@@ -0,0 +1,49 @@
+// selection.js
+// Multi-selection: a list of { id, type } entries in the order they were selected, the last one being
+// the primary selection. Bulk edits apply one update to the params of every selected object.
+import { add, transformBodyParams } from './geometry';
+import { SCENE_KEYS_BY_TYPE } from './objects';
+
+// Helper: Selection with an object added, or removed when it is already selected
+export function toggleSelection(selection, id, type) {
+  return selection.some((entry) => entry.id === id)
+    ? selection.filter((entry) => entry.id !== id)
+    : [...selection, { id, type }];
+}
+
+// Helper: Selected objects that still exist (undo can remove them), as { id, type, params }
+export function getSelectedItems(selection, paramsByType) {
+  return selection
+    .filter(({ id, type }) => paramsByType[type][id])
+    .map(({ id, type }) => ({ id, type, params: paramsByType[type][id] }));
+}
+
+// Helper: Scene with update(params, type) applied to the params of each of the given objects
+export function updateObjects(scene, items, update) {
+  const next = { ...scene };
+  for (const { id, type } of items) {
+    const sceneKey = SCENE_KEYS_BY_TYPE[type];
+    next[sceneKey] = { ...next[sceneKey], [id]: update(next[sceneKey][id], type) };
+  }
+  return next;
+}
+
+// Helper: Params of an object moved by an offset
+export function moveParamsBy(params, offset) {
+  return { ...params, position: add(params.position, offset) };
+}
+
+// Helper: Params of an object turned about its own center. Spheres only have a center.
+export function rotateParamsBy(params, rotation) {
+  return params.rotation ? transformBodyParams({ ...params, position: [0, 0, 0] }, rotation, params.position) : params;
+}
+
+// Helper: Params of an object with one coordinate of its position set
+export function setPositionAxis(params, axisIndex, value) {
+  return { ...params, position: params.position.map((v, i) => (i === axisIndex ? value : v)) };
+}
+
+// Helper: The value all entries share, or undefined when they differ ("mixed")
+export function commonValue(values) {
+  return values.every((v) => v === values[0]) ? values[0] : undefined;
+}
@@ -0,0 +1,67 @@
+import {
+  toggleSelection,
+  getSelectedItems,
+  updateObjects,
+  moveParamsBy,
+  rotateParamsBy,
+  setPositionAxis,
+  commonValue,
+} from './selection';
+
+test('toggling an object adds it as the primary selection, or removes it when it is selected', () => {
+  const selection = [{ id: 'box1', type: 'box' }];
+  const added = toggleSelection(selection, 'sphere1', 'sphere');
+  expect(added).toEqual([{ id: 'box1', type: 'box' }, { id: 'sphere1', type: 'sphere' }]);
+  expect(toggleSelection(added, 'box1', 'box')).toEqual([{ id: 'sphere1', type: 'sphere' }]);
+  expect(selection).toHaveLength(1);
+});
+
+test('selected objects that no longer exist are left out of the selected items', () => {
+  const paramsByType = { box: { box1: { width: 1 } }, sphere: {}, group: {} };
+  const selection = [{ id: 'sphere1', type: 'sphere' }, { id: 'box1', type: 'box' }];
+  expect(getSelectedItems(selection, paramsByType)).toEqual([{ id: 'box1', type: 'box', params: { width: 1 } }]);
+});
+
+test('a bulk update changes each selected object and nothing else', () => {
+  const scene = {
+    boxParams: { box1: { position: [0, 0, 0] }, box2: { position: [1, 1, 1] } },
+    sphereParams: { sphere1: { position: [2, 0, 0] } },
+    groups: { group1: { position: [0, 0, 5] } },
+    zones: [],
+  };
+  const items = [{ id: 'box2', type: 'box' }, { id: 'sphere1', type: 'sphere' }, { id: 'group1', type: 'group' }];
+  const next = updateObjects(scene, items, (params) => moveParamsBy(params, [1, 2, 3]));
+  expect(next.boxParams).toEqual({ box1: { position: [0, 0, 0] }, box2: { position: [2, 3, 4] } });
+  expect(next.sphereParams.sphere1.position).toEqual([3, 2, 3]);
+  expect(next.groups.group1.position).toEqual([1, 2, 8]);
+  expect(next.boxParams.box1).toBe(scene.boxParams.box1);
+  expect(next.zones).toBe(scene.zones);
+  expect(scene.boxParams.box2.position).toEqual([1, 1, 1]);
+});
+
+test('the update is told the type of each object', () => {
+  const scene = { boxParams: { box1: { materialType: 'concrete' } }, groups: { group1: {} } };
+  const items = [{ id: 'box1', type: 'box' }, { id: 'group1', type: 'group' }];
+  const setMaterial = (params, type) => (type === 'group' ? params : { ...params, materialType: 'lead' });
+  const next = updateObjects(scene, items, setMaterial);
+  expect(next.boxParams.box1.materialType).toBe('lead');
+  expect(next.groups.group1).toBe(scene.groups.group1);
+});
+
+test('a bulk rotation turns each object about its own center and leaves spheres alone', () => {
+  const box = { width: 1, height: 1, depth: 1, position: [5, 0, 0], rotation: [0, 0, 0] };
+  const turned = rotateParamsBy(box, [0, 0, 0.5]);
+  [5, 0, 0].forEach((v, i) => expect(turned.position[i]).toBeCloseTo(v));
+  expect(turned.rotation[2]).toBeCloseTo(0.5);
+  const sphere = { radius: 1, position: [5, 0, 0] };
+  expect(rotateParamsBy(sphere, [0, 0, 0.5])).toBe(sphere);
+});
+
+test('setting one coordinate of the position keeps the others', () => {
+  expect(setPositionAxis({ radius: 1, position: [1, 2, 3] }, 1, 7)).toEqual({ radius: 1, position: [1, 7, 3] });
+});
+
+test('values that differ between the selected objects have no common value', () => {
+  expect(commonValue([2, 2, 2])).toBe(2);
+  expect(commonValue([2, 3])).toBeUndefined();
+});
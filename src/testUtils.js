@@ -0,0 +1,11 @@
+// testUtils.js
+// Helpers shared by the test files
+/* eslint-env jest */
+
+// Helper: Expect each component of a vector to be within 1e-9 of the expected one
+export const expectVectorClose = (actual, expected) => {
+  actual.forEach((v, i) => expect(v).toBeCloseTo(expected[i], 9));
+};
+
+// Helper: Vector rounded to 9 decimals, with -0 turned into 0, for exact comparisons with toEqual
+export const round = (vector) => vector.map((v) => Math.round(v * 1e9) / 1e9 + 0);
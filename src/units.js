@@ -0,0 +1,61 @@
+// units.js
+import { createContext, useContext } from 'react';
+
+// Lengths in the scene are stored in centimeters, the unit of the transport decks. The project's unit
+// settings choose the unit lengths are shown and typed in, the unit of exported files, and the number
+// of decimals written to them.
+export const LENGTH_UNITS = [
+  { unit: 'mm', label: 'Millimeters (mm)', cm: 0.1 },
+  { unit: 'cm', label: 'Centimeters (cm)', cm: 1 },
+  { unit: 'm', label: 'Meters (m)', cm: 100 },
+  { unit: 'in', label: 'Inches (in)', cm: 2.54 },
+];
+
+export const DEFAULT_UNITS = { displayUnit: 'cm', exportUnit: 'cm', precision: 6 };
+
+export const MAX_PRECISION = 12;
+
+// Unit settings of the scene, available to the controls without passing them through every component
+export const UnitsContext = createContext(DEFAULT_UNITS);
+
+// Helper: Factor that converts a length from one unit to another
+export function lengthFactor(from, to) {
+  const cm = (unit) => LENGTH_UNITS.find((entry) => entry.unit === unit).cm;
+  return cm(from) / cm(to);
+}
+
+// Helper: Length converted from one unit to another. The result is rounded to 12 significant digits, so
+// converting back and forth does not leave float noise (0.3 cm is 3 mm, not 2.9999999999999996).
+export function convertLength(value, from, to) {
+  return from === to ? value : parseFloat((value * lengthFactor(from, to)).toPrecision(12));
+}
+
+// Length params of bodies and groups; rotations are angles and stay as they are
+const LENGTH_KEYS = [
+  'radius', 'radiusTop', 'radiusBottom', 'height', 'width', 'depth',
+  'majorRadius', 'minorRadius', 'apothem', 'radiusX', 'radiusZ',
+];
+
+// Helper: Params of a body or group with all lengths converted from one unit to another
+export function convertParams(params, from, to) {
+  const result = { ...params, position: params.position.map((v) => convertLength(v, from, to)) };
+  for (const key of LENGTH_KEYS) {
+    if (params[key] !== undefined) {
+      result[key] = convertLength(params[key], from, to);
+    }
+  }
+  if (params.vertices) {
+    result.vertices = params.vertices.map((vertex) => vertex.map((v) => convertLength(v, from, to)));
+  }
+  return result;
+}
+
+// Hook: The display unit, with converters between stored centimeters and the values the user sees
+export function useLengthUnit() {
+  const { displayUnit } = useContext(UnitsContext);
+  return {
+    unit: displayUnit,
+    toDisplay: (value) => (value === undefined ? value : convertLength(value, 'cm', displayUnit)),
+    fromDisplay: (value) => convertLength(value, displayUnit, 'cm'),
+  };
+}
@@ -0,0 +1,20 @@
+import { convertLength, convertParams } from './units';
+
+test('lengths convert between units without float noise', () => {
+  expect(convertLength(0.3, 'cm', 'mm')).toBe(3);
+  expect(convertLength(3, 'mm', 'cm')).toBe(0.3);
+  expect(convertLength(1, 'in', 'cm')).toBe(2.54);
+  expect(convertLength(250, 'cm', 'm')).toBe(2.5);
+});
+
+test('params convert their lengths and keep their rotation', () => {
+  const params = { radiusTop: 5, radiusBottom: 5, height: 20, rotation: [0.5, 0, 0], position: [10, 0, -5], name: 'Pipe' };
+  expect(convertParams(params, 'mm', 'cm')).toEqual({
+    radiusTop: 0.5,
+    radiusBottom: 0.5,
+    height: 2,
+    rotation: [0.5, 0, 0],
+    position: [1, 0, -0.5],
+    name: 'Pipe',
+  });
+});
@@ -0,0 +1,109 @@
+// useHistory.js
+import { useCallback, useEffect, useState } from 'react';
+
+// Maximum number of undo steps kept
+export const HISTORY_LIMIT = 200;
+
+// State with an undo/redo stack. set(updater, coalesceKey) works like a useState setter;
+// a setter call that returns the current state unchanged does not create a history entry.
+// Edits passing the same coalesce key merge into one undo step until endStep() is called, so a slider
+// drag or typing into a field is undone in one go; the caller ends the step when the gesture ends.
+export default function useHistory(initialPresent) {
+  const [history, setHistory] = useState({
+    past: [],
+    present: initialPresent,
+    future: [],
+    lastKey: null,
+  });
+
+  const set = useCallback((updater, coalesceKey = null) => {
+    setHistory((prev) => {
+      const next = typeof updater === 'function' ? updater(prev.present) : updater;
+      if (next === prev.present) {
+        return prev;
+      }
+      const coalesce = coalesceKey !== null && coalesceKey === prev.lastKey;
+      return {
+        past: coalesce ? prev.past : [...prev.past, prev.present].slice(-HISTORY_LIMIT),
+        present: next,
+        future: [],
+        lastKey: coalesceKey,
+      };
+    });
+  }, []);
+
+  // Ends the current coalesced step; the next edit starts a new one even with the same key
+  const endStep = useCallback(() => {
+    setHistory((prev) => (prev.lastKey === null ? prev : { ...prev, lastKey: null }));
+  }, []);
+
+  const undo = useCallback(() => {
+    setHistory((prev) => {
+      if (prev.past.length === 0) {
+        return prev;
+      }
+      return {
+        past: prev.past.slice(0, -1),
+        present: prev.past[prev.past.length - 1],
+        future: [prev.present, ...prev.future],
+        lastKey: null,
+      };
+    });
+  }, []);
+
+  const redo = useCallback(() => {
+    setHistory((prev) => {
+      if (prev.future.length === 0) {
+        return prev;
+      }
+      return {
+        past: [...prev.past, prev.present],
+        present: prev.future[0],
+        future: prev.future.slice(1),
+        lastKey: null,
+      };
+    });
+  }, []);
+
+  return {
+    present: history.present,
+    set,
+    endStep,
+    undo,
+    redo,
+    canUndo: history.past.length > 0,
+    canRedo: history.future.length > 0,
+  };
+}
+
+// Input types that take typed text, and keep their own undo for it
+const TEXT_INPUT_TYPES = ['text', 'number', 'search'];
+
+// Helper: Whether an element takes typed text. Sliders, checkboxes and dropdowns do not, so the undo
+// shortcuts still work while one of them has focus after a drag or click.
+function isTextEntry(target) {
+  return (
+    (target.tagName === 'INPUT' && TEXT_INPUT_TYPES.includes(target.type)) ||
+    target.tagName === 'TEXTAREA' ||
+    Boolean(target.isContentEditable)
+  );
+}
+
+// Keyboard shortcuts: Ctrl+Z to undo, Ctrl+Shift+Z or Ctrl+Y to redo. Text fields keep their own undo.
+export function useUndoShortcuts(undo, redo) {
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || isTextEntry(e.target)) return;
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        redo();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [undo, redo]);
+}
@@ -0,0 +1,125 @@
+import { act } from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import useHistory, { HISTORY_LIMIT, useUndoShortcuts } from './useHistory';
+
+let history;
+
+// Test component that hands the hook result out to the test
+function HistoryProbe() {
+  history = useHistory({ radius: 1, height: 2 });
+  return null;
+}
+
+// Each call below is a separate event
+const edit = (patch, coalesceKey) => act(() => history.set((prev) => ({ ...prev, ...patch }), coalesceKey));
+const endStep = () => act(() => history.endStep());
+const undo = () => act(() => history.undo());
+const redo = () => act(() => history.redo());
+
+test('edits with the same key are one undo step until the step is ended', () => {
+  render(<HistoryProbe />);
+  // One slow drag: however long it pauses, it is one step until the pointer is released
+  edit({ radius: 2 }, 'radius');
+  edit({ radius: 3 }, 'radius');
+  edit({ radius: 4 }, 'radius');
+  endStep();
+  // A second drag of the same slider, or an edit with another key, starts a new step
+  edit({ radius: 5 }, 'radius');
+  endStep();
+  edit({ height: 3 }, 'height');
+  expect(history.present).toEqual({ radius: 5, height: 3 });
+
+  undo();
+  expect(history.present).toEqual({ radius: 5, height: 2 });
+  undo();
+  expect(history.present).toEqual({ radius: 4, height: 2 });
+  undo();
+  expect(history.present).toEqual({ radius: 1, height: 2 });
+  expect(history.canUndo).toBe(false);
+});
+
+test('an undo ends the step, so the next edit with the same key can be undone on its own', () => {
+  render(<HistoryProbe />);
+  edit({ radius: 2 }, 'radius');
+  undo();
+  edit({ radius: 3 }, 'radius');
+  edit({ radius: 4 }, 'radius');
+  undo();
+  expect(history.present).toEqual({ radius: 1, height: 2 });
+});
+
+test('edits without a key are not merged, and unchanged state is not recorded', () => {
+  render(<HistoryProbe />);
+  edit({ radius: 2 });
+  edit({ radius: 3 });
+  act(() => history.set((prev) => prev));
+  undo();
+  expect(history.present).toEqual({ radius: 2, height: 2 });
+});
+
+test(`only the last ${HISTORY_LIMIT} steps can be undone`, () => {
+  render(<HistoryProbe />);
+  for (let radius = 2; radius <= HISTORY_LIMIT + 11; radius++) {
+    edit({ radius });
+  }
+  for (let i = 0; i < HISTORY_LIMIT; i++) {
+    undo();
+  }
+  expect(history.canUndo).toBe(false);
+  expect(history.present).toEqual({ radius: 11, height: 2 });
+});
+
+test('a new edit clears what could be redone', () => {
+  render(<HistoryProbe />);
+  edit({ radius: 2 });
+  edit({ radius: 3 });
+  undo();
+  expect(history.canRedo).toBe(true);
+  redo();
+  expect(history.present).toEqual({ radius: 3, height: 2 });
+
+  undo();
+  edit({ height: 4 });
+  expect(history.canRedo).toBe(false);
+  redo();
+  expect(history.present).toEqual({ radius: 2, height: 4 });
+});
+
+test('an import replacing the whole state is a single undo step', () => {
+  render(<HistoryProbe />);
+  edit({ radius: 2 }, 'radius');
+  // The import sets the new scene in one call, as App does
+  act(() => history.set({ radius: 7, height: 8, imported: true }));
+  expect(history.present).toEqual({ radius: 7, height: 8, imported: true });
+  undo();
+  expect(history.present).toEqual({ radius: 2, height: 2 });
+  redo();
+  expect(history.present).toEqual({ radius: 7, height: 8, imported: true });
+});
+
+// Test component with the undo shortcuts and a field of the given input type
+function ShortcutProbe({ type }) {
+  history = useHistory({ radius: 1, height: 2 });
+  useUndoShortcuts(history.undo, history.redo);
+  return <input type={type} aria-label="field" />;
+}
+
+test('the undo shortcuts work while a slider has focus after a drag', () => {
+  render(<ShortcutProbe type="range" />);
+  edit({ radius: 2 }, 'radius');
+  const slider = screen.getByLabelText('field');
+  slider.focus();
+  fireEvent.keyDown(slider, { key: 'z', ctrlKey: true });
+  expect(history.present).toEqual({ radius: 1, height: 2 });
+  fireEvent.keyDown(slider, { key: 'y', ctrlKey: true });
+  expect(history.present).toEqual({ radius: 2, height: 2 });
+});
+
+test('the undo shortcuts leave text fields to their own undo', () => {
+  render(<ShortcutProbe type="number" />);
+  edit({ radius: 2 }, 'radius');
+  fireEvent.keyDown(screen.getByLabelText('field'), { key: 'z', ctrlKey: true });
+  expect(history.present).toEqual({ radius: 2, height: 2 });
+  fireEvent.keyDown(document.body, { key: 'z', ctrlKey: true });
+  expect(history.present).toEqual({ radius: 1, height: 2 });
+});
@@ -0,0 +1,72 @@
+// world.js
+import { getExtent } from './placement';
+import { BLACK_HOLE_MATERIAL } from './materials';
+
+// A transport geometry has to put every point in space into exactly one zone. With the world enabled, the
+// export adds a world body enclosing the scene with a margin (in centimeters), a void zone for the space in
+// it that the zones leave free, filled with fill (the void or a library material id), and an exterior zone
+// outside it, a black hole that ends the particle histories.
+export const DEFAULT_WORLD = { enabled: false, shape: 'box', margin: 10, fill: 'void' };
+
+export const WORLD_SHAPES = [
+  { shape: 'box', label: 'Box' },
+  { shape: 'sphere', label: 'Sphere' },
+];
+
+// Body id of the world body; body ids otherwise start with their type
+export const WORLD_ID = 'world';
+
+// Helper: World body around the bodies ([{ type, params }] in world coordinates) as { type, id, params },
+// or null for an empty scene. A world sphere encloses the bounding box of the bodies.
+export function getWorldBody(world, bodies) {
+  if (bodies.length === 0) {
+    return null;
+  }
+  const ranges = [0, 1, 2].map((axis) => {
+    const extents = bodies.map(({ type, params }) => getExtent(type, params, axis));
+    return [Math.min(...extents.map(([min]) => min)), Math.max(...extents.map(([, max]) => max))];
+  });
+  const position = ranges.map(([min, max]) => (min + max) / 2);
+  if (world.shape === 'sphere') {
+    const radius = Math.hypot(...ranges.map(([min, max]) => (max - min) / 2)) + world.margin;
+    return { type: 'sphere', id: WORLD_ID, params: { name: 'World', radius, position } };
+  }
+  const [width, height, depth] = ranges.map(([min, max]) => max - min + 2 * world.margin);
+  return {
+    type: 'box',
+    id: WORLD_ID,
+    params: { name: 'World', width, height, depth, rotation: [0, 0, 0], position },
+  };
+}
+
+// Helper: Void and exterior zones to add to the export zones. The void zone is the inside of the world body
+// outside every export zone, so that each point is in exactly one zone even where a zone leaves out part of
+// a body (a wall minus its penetration, or the overlap of two bodies); the exterior zone is everything outside
+// the world body. Multiplying out the complement of the export zones grows exponentially with their groups,
+// so the void keeps them as a list instead: its terms are only the world, and outsideZones holds the ids of
+// the zones it leaves out. The decks write that list with their own complement operator.
+export function getWorldZones(world, exportZones) {
+  const usedNames = new Set(exportZones.map(({ name }) => name));
+  const uniqueName = (name) => {
+    while (usedNames.has(name)) {
+      name += '_';
+    }
+    usedNames.add(name);
+    return name;
+  };
+  return [
+    {
+      id: 'void',
+      name: uniqueName('void'),
+      materialType: world.fill,
+      terms: [[{ bodyId: WORLD_ID, sign: '+' }]],
+      outsideZones: exportZones.map(({ id }) => id),
+    },
+    {
+      id: 'exterior',
+      name: uniqueName('exterior'),
+      materialType: BLACK_HOLE_MATERIAL.id,
+      terms: [[{ bodyId: WORLD_ID, sign: '-' }]],
+    },
+  ];
+}
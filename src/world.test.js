@@ -0,0 +1,102 @@
+import { getWorldBody, getWorldZones, WORLD_ID } from './world';
+import { buildDeck, DECK_FORMATS } from './deckExport';
+import { DEFAULT_MATERIALS } from './materials';
+import { findZone } from './zones';
+
+const bodies = [
+  { type: 'box', id: 'box1', params: { width: 2, height: 2, depth: 2, rotation: [0, 0, 0], position: [0, 0, 0] } },
+  { type: 'sphere', id: 'sphere1', params: { radius: 1, position: [5, 0, 0] } },
+];
+const zones = [
+  { id: 'zone1', name: 'shield', materialType: 'concrete', terms: [[{ bodyId: 'box1', sign: '+' }, { bodyId: 'sphere1', sign: '-' }]] },
+];
+
+test('the world body encloses the bodies with the margin', () => {
+  const box = getWorldBody({ shape: 'box', margin: 10 }, bodies);
+  expect(box).toMatchObject({ type: 'box', id: WORLD_ID, params: { width: 27, height: 22, depth: 22, position: [2.5, 0, 0] } });
+  const sphere = getWorldBody({ shape: 'sphere', margin: 1 }, bodies);
+  expect(sphere.params.radius).toBeCloseTo(Math.hypot(3.5, 1, 1) + 1, 12);
+  expect(getWorldBody({ shape: 'box', margin: 10 }, [])).toBeNull();
+});
+
+test('the void zone is the world outside the export zones, the exterior is outside the world', () => {
+  const named = { id: 'zone2', name: 'void', terms: [[{ bodyId: 'box1', sign: '+' }]] };
+  const [voidZone, exterior] = getWorldZones({ fill: 'air' }, [...zones, named]);
+  expect(voidZone).toMatchObject({ name: 'void_', materialType: 'air' });
+  expect(voidZone.terms).toEqual([[{ bodyId: WORLD_ID, sign: '+' }]]);
+  expect(voidZone.outsideZones).toEqual(['zone1', 'zone2']);
+  expect(exterior).toMatchObject({ name: 'exterior', materialType: 'blackhole', terms: [[{ bodyId: WORLD_ID, sign: '-' }]] });
+});
+
+test('the void fills what zones leave out of their bodies, such as a penetration', () => {
+  // A wall of box1 with a hole, a sphere of radius 0.5 at its center
+  const wall = [{ id: 'zone1', name: 'wall', terms: [[{ bodyId: 'box1', sign: '+' }, { bodyId: 'hole', sign: '-' }]] }];
+  const allZones = [...wall, ...getWorldZones({ fill: 'void' }, wall)];
+  const inside = {
+    hole: (p) => Math.hypot(...p) <= 0.5,
+    box1: (p) => p.every((v) => Math.abs(v) <= 1),
+    [WORLD_ID]: (p) => p.every((v) => Math.abs(v) <= 10),
+  };
+  const zoneAt = (point) => findZone(allZones, (bodyId) => inside[bodyId](point))?.name;
+  expect([[0, 0, 0], [0.8, 0, 0], [1.5, 0, 0], [20, 0, 0]].map(zoneAt)).toEqual(['void', 'wall', 'void', 'exterior']);
+});
+
+test('the void stays one group however many groups the zones have', () => {
+  // Walls with four holes each, the holes in no zone of their own: multiplied out, the complement of the
+  // walls would have 5 groups per wall, 5^8 in all
+  const walls = Array.from({ length: 8 }, (_, w) => ({
+    id: `zone${w + 1}`,
+    name: `wall${w + 1}`,
+    materialType: 'concrete',
+    terms: [[{ bodyId: `wall${w}`, sign: '+' }, ...[0, 1, 2, 3].map((h) => ({ bodyId: `hole${w}_${h}`, sign: '-' }))]],
+  }));
+  const wallBodies = walls.flatMap((_, w) => [
+    { type: 'box', id: `wall${w}`, params: { width: 1, height: 4, depth: 4, rotation: [0, 0, 0], position: [3 * w, 0, 0] } },
+    ...[0, 1, 2, 3].map((h) => ({ type: 'sphere', id: `hole${w}_${h}`, params: { radius: 0.4, position: [3 * w, h - 1.5, 0] } })),
+  ]);
+  const worldZones = getWorldZones({ fill: 'void' }, walls);
+  expect(worldZones[0].terms).toHaveLength(1);
+  const deck = buildDeck(
+    [...wallBodies, getWorldBody({ shape: 'box', margin: 10 }, wallBodies)],
+    [...walls, ...worldZones],
+    DEFAULT_MATERIALS
+  );
+  const write = (format) => DECK_FORMATS.find((entry) => entry.format === format).write(deck);
+  expect(write('mcnp')).toMatch(/^9 0 -41 #1 #2 #3 #4 #5 #6 #7 #8 imp:n=1 \$ void$/m);
+  // The FLUKA void region goes on continuation lines indented under its expression
+  const fluka = write('fluka');
+  expect(fluka.split('\n').every((line) => line.length <= 132)).toBe(true);
+  expect(fluka.replace(/\n {11}/g, ' ').match(/-\( \+B\d+ -B\d+ -B\d+ -B\d+ -B\d+ \)/g)).toHaveLength(8);
+  // QADS has no complement operator, so it has to multiply out and gives up past its limit
+  expect(() => write('qads')).toThrow('more than 1000 groups, too many for the void zone of a QADS deck');
+});
+
+describe('decks with a world', () => {
+  const world = { shape: 'box', margin: 10, fill: 'void' };
+  const deck = buildDeck(
+    [...bodies, getWorldBody(world, bodies)],
+    [...zones, ...getWorldZones(world, zones)],
+    DEFAULT_MATERIALS
+  );
+  const write = (format) => DECK_FORMATS.find((entry) => entry.format === format).write(deck);
+
+  test('QADS writes the void multiplied out, and the void and the exterior as material 0', () => {
+    // sphere1 is in no zone, so the void takes it in
+    expect(write('qads')).toContain('void 1 3 -1 or 3 2\nexterior 1 -3\nend zone\n1 0 0 \n');
+  });
+
+  test('MCNP gives the void no density and the exterior importance 0', () => {
+    const text = write('mcnp');
+    expect(text).toContain('2 0 -3 #1 imp:n=1 $ void\n');
+    expect(text).toContain('3 0 3 imp:n=0 $ exterior\n');
+    expect(text).not.toContain('c m0');
+  });
+
+  test('FLUKA assigns its vacuum and black hole', () => {
+    const lines = write('fluka').split('\n');
+    expect(lines).toContain('VOID     5 +B3 -( +B1 -B2 )');
+    expect(lines).toContain('ASSIGNMA      VACUUM      VOID');
+    expect(lines).toContain('ASSIGNMA    BLCKHOLE  EXTERIOR');
+    expect(lines.filter((line) => line.startsWith('MATERIAL'))).toHaveLength(1);
+  });
+});
@@ -0,0 +1,195 @@
+// zones.js
+import { Brush, Evaluator, INTERSECTION, SUBTRACTION } from 'three-bvh-csg';
+import { BODY_TYPES, createBodyGeometry } from './bodies';
+
+// A zone is a union ("or") of groups; each group is the intersection of its terms.
+// A term is { bodyId, sign } where sign '+' means inside the body and '-' means outside it.
+// A zone may also list outsideZones, the ids of other zones it leaves out (the void zone of the world does).
+
+// Helper: Bodies in export order (cylinders, then spheres, then boxes, then the other types in the order
+// of BODY_TYPES) from the params of each type, keyed by type. Body numbers are index + 1.
+export function getBodyOrder(paramsByType) {
+  return BODY_TYPES.flatMap(({ type }) => Object.keys(paramsByType[type] || {}).map((id) => ({ type, id })));
+}
+
+// Helper: Next free zone id
+export function nextZoneId(zones) {
+  const numbers = zones.map((zone) => parseInt(zone.id.replace('zone', ''), 10) || 0);
+  return 'zone' + (Math.max(0, ...numbers) + 1);
+}
+
+// Helper: Format zone terms for the sidebar editor, e.g. "+cylinder1 -sphere1 or +box1"
+export function formatZoneTerms(terms) {
+  return terms
+    .map((group) => group.map(({ bodyId, sign }) => `${sign}${bodyId}`).join(' '))
+    .join(' or ');
+}
+
+// Helper: Parse zone terms typed in the sidebar editor. Returns { terms } or { error }.
+export function parseZoneTerms(text, bodyExists) {
+  const tokens = text.trim().split(/\s+/).filter(Boolean);
+  if (tokens.length === 0) {
+    return { error: 'Enter at least one body' };
+  }
+  const terms = [[]];
+  for (const token of tokens) {
+    if (token.toLowerCase() === 'or' || token === '|') {
+      terms.push([]);
+      continue;
+    }
+    const sign = token.startsWith('-') ? '-' : '+';
+    const bodyId = token.replace(/^[+-]/, '');
+    if (!bodyExists(bodyId)) {
+      return { error: `Unknown body "${bodyId}"` };
+    }
+    terms[terms.length - 1].push({ bodyId, sign });
+  }
+  if (terms.some((group) => group.length === 0)) {
+    return { error: 'Each side of "or" needs at least one body' };
+  }
+  if (terms.some((group) => !group.some(({ sign }) => sign === '+'))) {
+    return { error: 'Each group needs at least one "+" body' };
+  }
+  return { terms };
+}
+
+// Helper: Zone expression in the export format, using body numbers ("1 -2 or 3")
+export function formatZoneExpression(terms, bodyNumbers) {
+  return terms
+    .map((group) =>
+      group.map(({ bodyId, sign }) => `${sign === '-' ? '-' : ''}${bodyNumbers[bodyId]}`).join(' ')
+    )
+    .join(' or ');
+}
+
+// Helper: Parse the body tokens of an exported zone line. Returns terms, or null if a body number is unknown.
+export function parseZoneExpression(tokens, bodyIdsByNumber) {
+  const terms = [[]];
+  for (const token of tokens) {
+    if (token.toLowerCase() === 'or') {
+      terms.push([]);
+      continue;
+    }
+    const number = parseInt(token, 10);
+    const bodyId = bodyIdsByNumber[Math.abs(number)];
+    if (!bodyId) {
+      return null;
+    }
+    terms[terms.length - 1].push({ bodyId, sign: number < 0 ? '-' : '+' });
+  }
+  return terms.filter((group) => group.length > 0);
+}
+
+// Helper: Zones to export. Bodies that no zone refers to are exported as their own zone.
+export function getExportZones(zones, bodyOrder, getBodyParams) {
+  const referenced = new Set(zones.flatMap((zone) => zone.terms.flat().map(({ bodyId }) => bodyId)));
+  const usedNames = new Set(zones.map((zone) => zone.name));
+  const autoZones = [];
+  bodyOrder.forEach(({ id }, index) => {
+    if (referenced.has(id)) {
+      return;
+    }
+    let name = `zn${index + 1}`;
+    while (usedNames.has(name)) {
+      name += '_';
+    }
+    usedNames.add(name);
+    autoZones.push({
+      id: `auto-${id}`,
+      name,
+      materialType: getBodyParams(id).materialType,
+      terms: [[{ bodyId: id, sign: '+' }]],
+    });
+  });
+  return [...zones.filter((zone) => zone.terms.length > 0), ...autoZones];
+}
+
+// Helper: First zone that a point is in, given whether the point is inside each body (isInside(bodyId)),
+// or null when it is in none
+export function findZone(zones, isInside) {
+  const isInZone = (zone) =>
+    zone.terms.some((group) => group.every(({ bodyId, sign }) => isInside(bodyId) === (sign === '+'))) &&
+    !(zone.outsideZones || []).some((id) => isInZone(zones.find((other) => other.id === id)));
+  return zones.find(isInZone) || null;
+}
+
+// Helper: Groups of the complement of a union of groups: the intersection over the groups of the union of
+// their negated terms, multiplied out. Groups with a body both inside and outside are empty and dropped, and
+// so are groups that contain all the terms of another one, which already covers them. The result can grow
+// exponentially with the number of groups, so past maxGroups this throws instead.
+export function complementTerms(terms, maxGroups = 1000) {
+  const sameTerm = (a, b) => a.bodyId === b.bodyId && a.sign === b.sign;
+  const covers = (group, other) => group.every((term) => other.some((otherTerm) => sameTerm(term, otherTerm)));
+  let result = [[]];
+  for (const group of terms) {
+    const negated = group.map(({ bodyId, sign }) => ({ bodyId, sign: sign === '+' ? '-' : '+' }));
+    const expanded = result.flatMap((partial) =>
+      negated
+        .filter((term) => !partial.some((other) => other.bodyId === term.bodyId && other.sign !== term.sign))
+        .map((term) => (partial.some((other) => sameTerm(other, term)) ? partial : [...partial, term]))
+    );
+    if (expanded.length > maxGroups) {
+      throw new Error(`The complement of the zones needs more than ${maxGroups} groups`);
+    }
+    result = expanded.filter(
+      (candidate, i) =>
+        !expanded.some((other, j) => j !== i && covers(other, candidate) && (!covers(candidate, other) || j < i))
+    );
+  }
+  return result;
+}
+
+// Helper: Whether two bodies are deliberately combined in a zone (e.g. a wall minus its penetration),
+// in which case their overlap is intended and not a collision
+export function areBodiesCombined(zones, id1, id2) {
+  return zones.some((zone) => {
+    const ids = zone.terms.flat().map(({ bodyId }) => bodyId);
+    return ids.includes(id1) && ids.includes(id2);
+  });
+}
+
+// Helper: Zones without a deleted body. Groups left without a "+" body, and zones left without groups, are dropped.
+export function removeBodyFromZones(zones, bodyId) {
+  return zones.flatMap((zone) => {
+    if (!zone.terms.flat().some((term) => term.bodyId === bodyId)) {
+      return [zone];
+    }
+    const terms = zone.terms
+      .map((group) => group.filter((term) => term.bodyId !== bodyId))
+      .filter((group) => group.some(({ sign }) => sign === '+'));
+    return terms.length > 0 ? [{ ...zone, terms }] : [];
+  });
+}
+
+// Helper: three.js geometry of a body, positioned in world space
+function createBodyBrush(type, params) {
+  const brush = new Brush(createBodyGeometry(type, params));
+  brush.position.set(...params.position);
+  if (params.rotation) {
+    brush.rotation.set(...params.rotation.map((v) => v * Math.PI));
+  }
+  brush.updateMatrixWorld();
+  return brush;
+}
+
+// Helper: CSG geometries of a zone, one per "or" group (the union is shown by rendering all of them)
+export function buildZoneGeometries(zone, getBody) {
+  const evaluator = new Evaluator();
+  evaluator.useGroups = false;
+  return zone.terms.map((group) => {
+    const positives = group.filter(({ sign }) => sign === '+');
+    const negatives = group.filter(({ sign }) => sign === '-');
+    const toBrush = ({ bodyId }) => {
+      const { type, params } = getBody(bodyId);
+      return createBodyBrush(type, params);
+    };
+    let result = toBrush(positives[0]);
+    for (const term of positives.slice(1)) {
+      result = evaluator.evaluate(result, toBrush(term), INTERSECTION);
+    }
+    for (const term of negatives) {
+      result = evaluator.evaluate(result, toBrush(term), SUBTRACTION);
+    }
+    return result.geometry;
+  });
+}
@@ -0,0 +1,116 @@
+import {
+  parseZoneTerms,
+  formatZoneTerms,
+  parseZoneExpression,
+  formatZoneExpression,
+  getExportZones,
+  nextZoneId,
+  areBodiesCombined,
+  findZone,
+  complementTerms,
+  removeBodyFromZones,
+} from './zones';
+
+const plus = (bodyId) => ({ bodyId, sign: '+' });
+const minus = (bodyId) => ({ bodyId, sign: '-' });
+const bodyExists = (id) => ['box1', 'sphere1', 'cylinder1'].includes(id);
+
+test('zone terms typed in the sidebar are groups of signed bodies joined by "or"', () => {
+  const { terms } = parseZoneTerms('box1 -sphere1 or +cylinder1', bodyExists);
+  expect(terms).toEqual([[plus('box1'), minus('sphere1')], [plus('cylinder1')]]);
+  expect(formatZoneTerms(terms)).toBe('+box1 -sphere1 or +cylinder1');
+  expect(parseZoneTerms('+box1 | +sphere1', bodyExists).terms).toEqual([[plus('box1')], [plus('sphere1')]]);
+});
+
+test('zone terms that cannot be exported are rejected with a reason', () => {
+  expect(parseZoneTerms('  ', bodyExists)).toEqual({ error: 'Enter at least one body' });
+  expect(parseZoneTerms('+box1 -wedge1', bodyExists)).toEqual({ error: 'Unknown body "wedge1"' });
+  expect(parseZoneTerms('+box1 or', bodyExists)).toEqual({ error: 'Each side of "or" needs at least one body' });
+  expect(parseZoneTerms('or +box1', bodyExists)).toEqual({ error: 'Each side of "or" needs at least one body' });
+  expect(parseZoneTerms('+box1 or -sphere1', bodyExists)).toEqual({ error: 'Each group needs at least one "+" body' });
+});
+
+test('exported zone expressions read back by body number', () => {
+  const bodyIdsByNumber = { 1: 'cylinder1', 2: 'sphere1', 3: 'box1' };
+  const terms = parseZoneExpression(['3', '-1', 'or', '2'], bodyIdsByNumber);
+  expect(terms).toEqual([[plus('box1'), minus('cylinder1')], [plus('sphere1')]]);
+  expect(formatZoneExpression(terms, { cylinder1: 1, sphere1: 2, box1: 3 })).toBe('3 -1 or 2');
+  expect(parseZoneExpression(['3', '-4'], bodyIdsByNumber)).toBeNull();
+});
+
+test('bodies in no zone are exported as their own zone, named after their body number', () => {
+  const bodyOrder = [
+    { type: 'cylinder', id: 'cylinder1' },
+    { type: 'sphere', id: 'sphere1' },
+    { type: 'box', id: 'box1' },
+  ];
+  const materialTypes = { cylinder1: 'steel', sphere1: 'standard', box1: 'concrete' };
+  const zones = [
+    { id: 'zone1', name: 'zn2', materialType: 'concrete', terms: [[plus('box1')]] },
+    { id: 'zone2', name: 'empty', materialType: 'concrete', terms: [] },
+  ];
+  const exported = getExportZones(zones, bodyOrder, (id) => ({ materialType: materialTypes[id] }));
+  expect(exported).toEqual([
+    zones[0],
+    { id: 'auto-cylinder1', name: 'zn1', materialType: 'steel', terms: [[plus('cylinder1')]] },
+    // zn2 is taken by the zone of the box
+    { id: 'auto-sphere1', name: 'zn2_', materialType: 'standard', terms: [[plus('sphere1')]] },
+  ]);
+});
+
+test('zone ids count up from the highest one in use', () => {
+  expect(nextZoneId([])).toBe('zone1');
+  expect(nextZoneId([{ id: 'zone1' }, { id: 'zone4' }])).toBe('zone5');
+});
+
+test('bodies that share a zone are combined on purpose', () => {
+  const zones = [{ id: 'zone1', name: 'wall', terms: [[plus('box1'), minus('cylinder1')]] }];
+  expect(areBodiesCombined(zones, 'box1', 'cylinder1')).toBe(true);
+  expect(areBodiesCombined(zones, 'box1', 'sphere1')).toBe(false);
+});
+
+test('a point is in the first zone whose terms it meets', () => {
+  const zones = [
+    { name: 'wall', terms: [[plus('box1'), minus('cylinder1')]] },
+    { name: 'target', terms: [[plus('cylinder1')], [plus('sphere1')]] },
+  ];
+  const inside = (ids) => (bodyId) => ids.includes(bodyId);
+  expect(findZone(zones, inside(['box1'])).name).toBe('wall');
+  expect(findZone(zones, inside(['box1', 'cylinder1'])).name).toBe('target');
+  expect(findZone(zones, inside(['sphere1'])).name).toBe('target');
+  expect(findZone(zones, inside([]))).toBeNull();
+});
+
+test('a zone that leaves out other zones holds the points in none of them', () => {
+  const zones = [
+    { id: 'zone1', name: 'wall', terms: [[plus('box1'), minus('sphere1')]] },
+    { id: 'void', name: 'void', terms: [[plus('cylinder1')]], outsideZones: ['zone1'] },
+  ];
+  const inside = (ids) => (bodyId) => ids.includes(bodyId);
+  expect(findZone(zones.slice(1).concat(zones[0]), inside(['cylinder1', 'box1'])).name).toBe('wall');
+  expect(findZone(zones, inside(['cylinder1', 'box1', 'sphere1'])).name).toBe('void');
+});
+
+test('the complement of zone groups is multiplied out, up to a limit', () => {
+  // Outside a wall with a hole: outside the wall or in the hole
+  expect(complementTerms([[plus('box1'), minus('sphere1')]])).toEqual([[minus('box1')], [plus('sphere1')]]);
+  // Outside an overlap and a third body: outside either body of the overlap and the third one
+  expect(complementTerms([[plus('box1'), plus('sphere1')], [plus('cylinder1')]])).toEqual([
+    [minus('box1'), minus('cylinder1')],
+    [minus('sphere1'), minus('cylinder1')],
+  ]);
+  const walls = [0, 1, 2].map((w) => [plus(`wall${w}`), minus(`hole${w}a`), minus(`hole${w}b`)]);
+  expect(complementTerms(walls)).toHaveLength(27);
+  expect(() => complementTerms(walls, 20)).toThrow('more than 20 groups');
+});
+
+test('deleting a body drops it from the zones, and the groups and zones it leaves without a "+" body', () => {
+  const zones = [
+    { id: 'zone1', name: 'wall', terms: [[plus('box1'), minus('cylinder1')], [plus('cylinder1'), minus('sphere1')]] },
+    { id: 'zone2', name: 'pipe', terms: [[plus('cylinder1')]] },
+    { id: 'zone3', name: 'ball', terms: [[plus('sphere1')]] },
+  ];
+  const result = removeBodyFromZones(zones, 'cylinder1');
+  expect(result).toEqual([{ id: 'zone1', name: 'wall', terms: [[plus('box1')]] }, zones[2]]);
+  expect(result[1]).toBe(zones[2]);
+});